@@ -83,10 +83,34 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// -------------------- Stream Authentication Middleware --------------------
+// EventSource cannot send headers, so the token may also come as ?access_token=
+const streamAuth = async (req, res, next) => {
+  try {
+    if (process.env.USE_DUMMY_USER === 'true') {
+      req.user = DUMMY_USER;
+      return next();
+    }
+
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.access_token;
+    if (!token) {
+      return res.status(401).json({ message: 'No token provided, authorization denied' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Stream auth error:', error.message);
+    res.status(401).json({ message: 'Token is not valid or expired' });
+  }
+};
+
 module.exports = {
   auth,
   authorize,
   adminOnly,
   adminOrResponder,
-  optionalAuth
+  optionalAuth,
+  streamAuth
 };
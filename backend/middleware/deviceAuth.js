@@ -0,0 +1,131 @@
+const DeviceCredential = require('../models/DeviceCredential');
+const DeviceNonce = require('../models/DeviceNonce');
+const Sensor = require('../models/Sensor');
+const { hashSecret, decryptSecret, safeEqual, signRequest } = require('../utils/deviceCredentials');
+
+// Maximum allowed clock difference for signed requests
+const MAX_SKEW_SECONDS = parseInt(process.env.DEVICE_SIGNATURE_MAX_SKEW_SECONDS) || 300;
+
+// -------------------- Rejection Tracking --------------------
+// Count a rejected submission against the sensor so tampering shows up in its stats
+const recordRejection = async (sensorId, reason) => {
+  if (!sensorId) return;
+
+  try {
+    await Sensor.updateOne({ sensorId }, {
+      $inc: {
+        'ingestion.rejected': 1,
+        [`ingestion.rejectionReasons.${reason}`]: 1
+      },
+      $set: {
+        'ingestion.lastRejectedAt': new Date(),
+        'ingestion.lastRejectionReason': reason
+      }
+    });
+  } catch (error) {
+    console.error('Error recording rejected submission:', error.message);
+  }
+};
+
+const reject = (res, sensorId, reason, message) => {
+  console.warn(`🛑 Rejected device submission for ${sensorId || 'unknown sensor'}: ${reason}`);
+  recordRejection(sensorId, reason);
+  return res.status(401).json({ message, reason });
+};
+
+// -------------------- Credential Verification --------------------
+// Returns { credential } or { reason, message }
+const verifyDeviceRequest = async (req) => {
+  const apiKey = req.header('X-Device-Key');
+  const keyId = apiKey ? apiKey.split('.')[0] : req.header('X-Device-Key-Id');
+
+  if (!keyId) {
+    return { reason: 'missing_credentials', message: 'Device credentials required' };
+  }
+
+  const credential = await DeviceCredential.findOne({ keyId });
+  if (!credential) {
+    return { reason: 'unknown_key', message: 'Unknown device key' };
+  }
+  if (credential.status === 'revoked') {
+    return { reason: 'revoked_key', message: 'Device key has been revoked', credential };
+  }
+  if (!credential.isUsable) {
+    return { reason: 'expired_key', message: 'Device key has expired', credential };
+  }
+
+  if (credential.type === 'api_key') {
+    const secret = apiKey?.slice(keyId.length + 1);
+    if (!secret || !safeEqual(hashSecret(secret), credential.secretHash)) {
+      return { reason: 'bad_key', message: 'Invalid device key', credential };
+    }
+    return { credential };
+  }
+
+  // HMAC: signature over timestamp, nonce, method, path and body
+  const timestamp = req.header('X-Device-Timestamp');
+  const nonce = req.header('X-Device-Nonce');
+  const signature = req.header('X-Device-Signature');
+
+  if (!timestamp || !nonce || !signature) {
+    return { reason: 'missing_signature', message: 'Signed requests need X-Device-Timestamp, X-Device-Nonce and X-Device-Signature', credential };
+  }
+
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (isNaN(skew) || skew > MAX_SKEW_SECONDS) {
+    return { reason: 'stale_timestamp', message: 'Request timestamp outside the allowed window', credential };
+  }
+
+  const expected = signRequest(decryptSecret(credential.encryptedSecret), {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody
+  });
+  if (!safeEqual(expected, signature)) {
+    return { reason: 'bad_signature', message: 'Invalid request signature', credential };
+  }
+
+  try {
+    await DeviceNonce.create({ keyId, nonce });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { reason: 'replayed_nonce', message: 'Request has already been processed', credential };
+    }
+    throw error;
+  }
+
+  return { credential };
+};
+
+// -------------------- Device Authentication Middleware --------------------
+// Verifies the device credential and that it covers the sensor in req.params.id.
+// Routes without a sensor in the path (batch uploads) must check req.device.covers() per item.
+const deviceAuth = async (req, res, next) => {
+  const sensorId = req.params.id;
+
+  try {
+    const { credential, reason, message } = await verifyDeviceRequest(req);
+
+    if (reason) {
+      return reject(res, sensorId || credential?.sensorId, reason, message);
+    }
+
+    if (sensorId && !credential.covers(sensorId)) {
+      return reject(res, sensorId, 'sensor_mismatch', 'Device key is not valid for this sensor');
+    }
+
+    DeviceCredential.updateOne({ _id: credential._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    req.device = credential;
+    next();
+  } catch (error) {
+    console.error('Device auth error:', error.message);
+    res.status(500).json({ message: 'Failed to verify device credentials' });
+  }
+};
+
+module.exports = {
+  deviceAuth,
+  recordRejection
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { publish } = require('../utils/eventStream');
+const { currentExercise } = require('../utils/exercise');
 
 const alertSchema = new mongoose.Schema({
   id: {
@@ -9,7 +11,7 @@ const alertSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'other']
+    enum: ['earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other']
   },
   message: {
     type: String,
@@ -83,10 +85,163 @@ const alertSchema = new mongoose.Schema({
     unit: String,
     sensorId: String
   },
+  // Stable key of the condition that raised the alert (e.g. "coverage:water_level:water-001"),
+  // so system alerts can be found again and resolved when the condition clears
+  sourceKey: {
+    type: String
+  },
+  // Alert rule that raised the alert, if any
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  expiresAt: {
+    type: Date
+  },
+  // USGS event behind an earthquake alert (utils/earthquakeIngest.js)
+  earthquake: {
+    eventId: String,
+    // All ids USGS has used for the event
+    ids: [String],
+    magnitude: Number,
+    magType: String,
+    depth: Number,
+    time: Date,
+    // USGS revision time of the version last applied
+    updated: Date,
+    status: String,
+    tsunami: Boolean,
+    url: String
+  },
+  // Forecast-based early warning (utils/forecastWarnings.js) or predicted river level crossing
+  // (utils/riverPrediction.js): expected, not observed. The alert's expiresAt is the end of the
+  // forecast event.
+  forecast: {
+    hazard: {
+      type: String,
+      enum: ['heatwave', 'heavy_rain', 'river_level']
+    },
+    onset: Date,
+    // Forecast maximum temperature or daily rainfall, or the river level expected to be reached
+    peak: Number,
+    unit: String,
+    // 0-1, lower for longer lead times
+    confidence: Number,
+    // Heat action plan level, IMD rainfall category or sensor threshold
+    level: String,
+    days: [{
+      _id: false,
+      date: String,
+      value: Number
+    }],
+    // Weather provider of the forecast, or the prediction method
+    source: String,
+    issuedAt: Date
+  },
+  // Scenario run (utils/scenarioEngine.js) the alert was raised in: exercise data, not a real event
+  exercise: {
+    runId: String,
+    scenarioId: String,
+    name: String
+  },
+  // CAP 1.2 fields kept so imported alerts can be exported unchanged
+  cap: {
+    identifier: String,
+    sender: String,
+    sent: Date,
+    status: String,
+    msgType: String,
+    scope: String,
+    references: String,
+    language: String,
+    category: [String],
+    event: String,
+    urgency: String,
+    certainty: String,
+    headline: String,
+    instruction: String,
+    senderName: String,
+    web: String,
+    areaDesc: String,
+    polygons: [String],
+    circles: [String],
+    geocodes: [{
+      valueName: String,
+      value: String
+    }]
+  },
+  escalation: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    state: {
+      type: String,
+      enum: ['active', 'completed', 'stopped', 'none']
+    },
+    level: {
+      type: Number,
+      default: 0
+    },
+    nextEscalationAt: Date,
+    history: [{
+      level: Number,
+      action: {
+        type: String,
+        enum: ['notify', 'raise_severity', 'assign_team']
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      fromSeverity: String,
+      toSeverity: String,
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+      },
+      recipients: mongoose.Schema.Types.Mixed,
+      note: String
+    }]
+  },
+  // Lifecycle: sensor-bound alerts are updated and cleared by later readings (utils/alertLifecycle.js)
+  lifecycle: {
+    state: {
+      type: String,
+      enum: ['active', 'updated', 'clearing', 'cleared']
+    },
+    // When readings returned to normal; the alert clears after the hold-off period
+    clearingSince: Date,
+    history: [{
+      state: {
+        type: String,
+        enum: ['active', 'updated', 'clearing', 'cleared']
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      severity: String,
+      value: Number,
+      note: String
+    }]
+  },
+  // Citizens reached by the geo-targeted fan-out
+  fanout: {
+    total: Number,
+    byChannel: {
+      email: Number,
+      sms: Number,
+      push: Number
+    },
+    byLanguage: mongoose.Schema.Types.Mixed,
+    reason: String,
+    computedAt: Date
+  },
   notificationsSent: [{
     type: {
       type: String,
-      enum: ['email', 'sms', 'push', 'broadcast']
+      enum: ['email', 'sms', 'push', 'broadcast', 'webhook']
     },
     sentAt: {
       type: Date,
@@ -96,7 +251,16 @@ const alertSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: ['sent', 'failed', 'pending']
-    }
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationJob'
+    },
+    reason: String,
+    delivered: Number,
+    failed: Number,
+    attempts: Number,
+    lastError: String
   }]
 }, {
   timestamps: true
@@ -107,12 +271,68 @@ alertSchema.index({ type: 1, severity: 1 });
 alertSchema.index({ location: 1 });
 alertSchema.index({ createdAt: -1 });
 alertSchema.index({ resolved: 1 });
+alertSchema.index({ 'cap.identifier': 1 });
+alertSchema.index({ sourceKey: 1, resolved: 1, resolvedAt: -1 });
+alertSchema.index({ 'escalation.state': 1, 'escalation.nextEscalationAt': 1 });
+alertSchema.index({ 'earthquake.ids': 1 });
+alertSchema.index({ 'forecast.hazard': 1, resolved: 1 });
+alertSchema.index({ 'exercise.runId': 1, resolved: 1 });
 
 // Virtual for alert age
 alertSchema.virtual('age').get(function() {
   return Date.now() - this.createdAt.getTime();
 });
 
+// Remember what changed so post-save can publish the matching stream events
+alertSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.wasAcknowledged = !this.isNew && this.isModified('acknowledged') && this.acknowledged;
+  this.$locals.wasResolved = !this.isNew && this.isModified('resolved') && this.resolved;
+  this.$locals.wasUpdated = !this.isNew && !this.resolved && this.isModified('lifecycle.history');
+
+  // Alerts raised while processing scenario data are exercise alerts
+  if (this.isNew && !this.exercise?.runId) {
+    const exercise = currentExercise();
+    if (exercise) this.exercise = exercise;
+  }
+
+  // Every alert starts active and ends cleared, however it was raised or resolved
+  if (this.isNew && !this.lifecycle?.state) {
+    this.lifecycle = {
+      state: 'active',
+      history: [{ state: 'active', severity: this.severity, value: this.sensorData?.value, note: 'Alert raised' }]
+    };
+  }
+  if (this.$locals.wasResolved && this.lifecycle?.state !== 'cleared') {
+    this.lifecycle.state = 'cleared';
+    this.lifecycle.clearingSince = undefined;
+    this.lifecycle.history.push({
+      state: 'cleared',
+      severity: this.severity,
+      value: this.sensorData?.value,
+      note: this.resolution
+    });
+  }
+  next();
+});
+
+alertSchema.post('save', function(doc) {
+  const data = doc.toObject();
+
+  if (doc.$locals.wasNew) {
+    publish('alert.created', data);
+  }
+  if (doc.$locals.wasAcknowledged) {
+    publish('alert.acknowledged', data);
+  }
+  if (doc.$locals.wasUpdated) {
+    publish('alert.updated', data);
+  }
+  if (doc.$locals.wasResolved) {
+    publish('alert.resolved', data);
+  }
+});
+
 // Static method to find active alerts
 alertSchema.statics.findActive = function() {
   return this.find({ resolved: false }).sort({ createdAt: -1 });
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const SENSOR_TYPES = [
+  'seismic', 'weather', 'air_quality', 'water_level', 'temperature', 'humidity', 'pressure', 'wind_speed', 'rainfall',
+  'pm2_5', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3',
+  'heat_index', 'wind_chill', 'flood_index'
+];
+
+const ruleConditionSchema = new mongoose.Schema({
+  // Which sensor the condition reads: the sensor being evaluated, a fixed sensor,
+  // or the nearest active sensor of a type (e.g. the rain gauge next to a river gauge)
+  source: {
+    type: String,
+    enum: ['self', 'sensor', 'nearest'],
+    default: 'self'
+  },
+  sensorId: String,
+  sensorType: {
+    type: String,
+    enum: SENSOR_TYPES
+  },
+  radiusKm: {
+    type: Number,
+    default: 10
+  },
+  // value: latest reading; rate: change per hour over rateWindowMinutes
+  metric: {
+    type: String,
+    enum: ['value', 'rate'],
+    default: 'value'
+  },
+  operator: {
+    type: String,
+    enum: ['gt', 'gte', 'lt', 'lte'],
+    required: true
+  },
+  // A fixed threshold, or one of the sensor's own thresholds
+  threshold: Number,
+  thresholdRef: {
+    type: String,
+    enum: ['warning', 'critical']
+  },
+  // Hysteresis: once raised, the condition only clears after crossing back past this value
+  clearThreshold: Number,
+  // The condition must have held for this long (value metric only)
+  forMinutes: {
+    type: Number,
+    default: 0
+  },
+  rateWindowMinutes: {
+    type: Number,
+    default: 60
+  },
+  // Readings older than this are treated as missing
+  maxAgeMinutes: {
+    type: Number,
+    default: 15
+  }
+}, { _id: false });
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // New rules start disabled so they can be tried with a dry run first
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Sensors the rule is evaluated for; empty lists match every sensor
+  scope: {
+    sensorTypes: [{
+      type: String,
+      enum: SENSOR_TYPES
+    }],
+    sensorIds: [String]
+  },
+  // All conditions must hold for the rule to fire
+  conditions: {
+    type: [ruleConditionSchema],
+    validate: [conditions => conditions.length > 0, 'At least one condition is required']
+  },
+  alertType: {
+    type: String,
+    required: true,
+    enum: ['earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other']
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['critical', 'warning', 'moderate', 'info']
+  },
+  // e.g. "Rising water levels detected: {{value:1}}{{unit}}"; see utils/ruleEngine.js
+  messageTemplate: {
+    type: String,
+    required: true
+  },
+  estimatedImpact: {
+    type: Number,
+    default: 0
+  },
+  // Minimum time between alerts of this rule for the same sensor
+  cooldownMinutes: {
+    type: Number,
+    default: 5
+  },
+  // Set on the built-in rules that reproduce the original sensor thresholds
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+alertRuleSchema.index({ enabled: 1, 'scope.sensorTypes': 1 });
+
+// Static method to find enabled rules that apply to a sensor
+alertRuleSchema.statics.findForSensor = function(sensor) {
+  return this.find({
+    enabled: true,
+    $and: [
+      { $or: [{ 'scope.sensorTypes': { $size: 0 } }, { 'scope.sensorTypes': sensor.type }] },
+      { $or: [{ 'scope.sensorIds': { $size: 0 } }, { 'scope.sensorIds': sensor.sensorId }] }
+    ]
+  });
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
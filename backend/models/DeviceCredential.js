@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const deviceCredentialSchema = new mongoose.Schema({
+  // Public identifier sent by the device with every request
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sensorId: {
+    type: String,
+    required: true
+  },
+  // Gateway credentials may also submit readings for these sensors
+  gatewaySensors: [{
+    type: String
+  }],
+  type: {
+    type: String,
+    enum: ['api_key', 'hmac'],
+    default: 'hmac'
+  },
+  label: String,
+  // API keys are stored hashed, HMAC secrets encrypted (they are needed to verify signatures)
+  secretHash: String,
+  encryptedSecret: String,
+  status: {
+    type: String,
+    enum: ['active', 'rotating', 'revoked'],
+    default: 'active'
+  },
+  // Set on the old credential during a rotation grace period
+  expiresAt: Date,
+  replacedBy: String,
+  lastUsedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceCredentialSchema.index({ sensorId: 1, status: 1 });
+
+// Virtual for whether the credential can currently be used
+deviceCredentialSchema.virtual('isUsable').get(function() {
+  if (this.status === 'revoked') return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+});
+
+// Method to check whether the credential may submit readings for a sensor
+deviceCredentialSchema.methods.covers = function(sensorId) {
+  return this.sensorId === sensorId || (this.gatewaySensors || []).includes(sensorId);
+};
+
+// Never expose secret material
+deviceCredentialSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    delete ret.encryptedSecret;
+    delete ret.id;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DeviceCredential', deviceCredentialSchema);
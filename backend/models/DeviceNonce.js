@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Nonces of signed device requests, kept just long enough to reject replays
+const deviceNonceSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 15 * 60
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+deviceNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeviceNonce', deviceNonceSchema);
@@ -115,6 +115,12 @@ const disasterReportSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Scenario run the report was submitted for as part of the exercise
+  exercise: {
+    runId: String,
+    scenarioId: String,
+    name: String
+  },
   responses: [{
     responderId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -149,6 +155,7 @@ disasterReportSchema.index({ reportedBy: 1 });
 disasterReportSchema.index({ createdAt: -1 });
 disasterReportSchema.index({ priority: -1 });
 disasterReportSchema.index({ severity: 1 });
+disasterReportSchema.index({ 'exercise.runId': 1 });
 
 // Virtual for time since reported
 disasterReportSchema.virtual('timeSinceReported').get(function() {
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const escalationStepSchema = new mongoose.Schema({
+  // Minutes without acknowledgement before this step runs, counted from the previous step
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  actions: [{
+    type: String,
+    enum: ['notify', 'raise_severity', 'assign_team']
+  }],
+  recipients: {
+    roles: [{
+      type: String,
+      enum: ['citizen', 'admin', 'responder']
+    }],
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    emails: [String],
+    phones: [String]
+  },
+  teamTypes: [{
+    type: String,
+    enum: ['fire', 'medical', 'rescue', 'police', 'hazmat', 'coordination']
+  }]
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // Empty lists match every alert type / severity
+  alertTypes: [{
+    type: String,
+    enum: ['earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other']
+  }],
+  severities: [{
+    type: String,
+    enum: ['critical', 'warning', 'moderate', 'info']
+  }],
+  // Higher priority wins when several policies match an alert
+  priority: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  steps: {
+    type: [escalationStepSchema],
+    validate: [steps => steps.length > 0, 'At least one escalation step is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+escalationPolicySchema.index({ enabled: 1, priority: -1 });
+
+// Static method to find the policy that applies to an alert
+escalationPolicySchema.statics.findForAlert = function(alert) {
+  return this.findOne({
+    enabled: true,
+    $and: [
+      { $or: [{ alertTypes: { $size: 0 } }, { alertTypes: alert.type }] },
+      { $or: [{ severities: { $size: 0 } }, { severities: alert.severity }] }
+    ]
+  }).sort({ priority: -1, updatedAt: -1 });
+};
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const notificationJobSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['email', 'sms', 'push', 'webhook']
+  },
+  reason: {
+    type: String,
+    default: 'created'
+  },
+  // Recipients still waiting for delivery; delivered ones are removed after each attempt
+  recipients: [mongoose.Schema.Types.Mixed],
+  message: {
+    subject: String,
+    text: String,
+    sms: String,
+    data: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  delivered: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationJobSchema.index({ alert: 1 });
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
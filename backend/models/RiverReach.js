@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A stretch of river between two water level gauges. Reaches link the gauges into a network
+// (see utils/riverNetwork.js): what passes the upstream gauge reaches the downstream one
+// travelTimeMinutes later, its rise scaled by attenuation.
+const riverReachSchema = new mongoose.Schema({
+  river: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  upstreamSensorId: {
+    type: String,
+    required: true
+  },
+  downstreamSensorId: {
+    type: String,
+    required: true
+  },
+  travelTimeMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Rise at the downstream gauge per metre of rise upstream
+  attenuation: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // River course as [lng, lat] points, gauges excluded; a straight line when empty
+  path: [{
+    type: [Number],
+    validate: [point => point.length === 2, 'Path points are [lng, lat]']
+  }],
+  // Settlements along the reach, reached in proportion to their distance along it
+  communities: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        required: true
+      },
+      lng: {
+        type: Number,
+        required: true
+      }
+    },
+    population: Number
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+riverReachSchema.index({ upstreamSensorId: 1, downstreamSensorId: 1 }, { unique: true });
+riverReachSchema.index({ downstreamSensorId: 1 });
+
+// Static method to find the reaches flowing into a gauge
+riverReachSchema.statics.findUpstreamOf = function(sensorId) {
+  return this.find({ downstreamSensorId: sensorId });
+};
+
+module.exports = mongoose.model('RiverReach', riverReachSchema);
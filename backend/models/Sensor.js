@@ -1,20 +1,23 @@
 const mongoose = require('mongoose');
+const SensorReading = require('./SensorReading');
+const { publish } = require('../utils/eventStream');
+const { applyCalibration } = require('../utils/calibration');
+const { scoreReadings } = require('../utils/anomalyDetection');
+const { currentExercise, exerciseScope } = require('../utils/exercise');
 
-const sensorReadingSchema = new mongoose.Schema({
-  value: {
+const CALIBRATION_INTERVAL_DAYS = parseInt(process.env.CALIBRATION_INTERVAL_DAYS) || 180;
+const DEFAULT_INTERVAL_SECONDS = parseInt(process.env.SENSOR_EXPECTED_INTERVAL_SECONDS) || 60;
+
+const calibrationPointSchema = new mongoose.Schema({
+  raw: {
     type: Number,
     required: true
   },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  quality: {
-    type: String,
-    enum: ['good', 'fair', 'poor'],
-    default: 'good'
+  value: {
+    type: Number,
+    required: true
   }
-});
+}, { _id: false });
 
 const sensorSchema = new mongoose.Schema({
   sensorId: {
@@ -25,7 +28,13 @@ const sensorSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['seismic', 'weather', 'air_quality', 'water_level', 'temperature', 'humidity', 'pressure', 'wind_speed']
+    enum: [
+      'seismic', 'weather', 'air_quality', 'water_level', 'temperature', 'humidity', 'pressure', 'wind_speed', 'rainfall',
+      // Pollutant concentrations (inputs to the NAQI)
+      'pm2_5', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3',
+      // Derived indices
+      'heat_index', 'wind_chill', 'flood_index'
+    ]
   },
   location: {
     name: {
@@ -52,6 +61,7 @@ const sensorSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Thresholds are ascending (higher is worse) unless critical is below warning (lower is worse)
   thresholds: {
     warning: {
       type: Number,
@@ -64,6 +74,7 @@ const sensorSchema = new mongoose.Schema({
   },
   currentReading: {
     value: Number,
+    rawValue: Number,
     timestamp: Date,
     status: {
       type: String,
@@ -71,13 +82,157 @@ const sensorSchema = new mongoose.Schema({
       default: 'normal'
     }
   },
-  readings: [sensorReadingSchema],
   calibration: {
     lastCalibrated: Date,
+    // Gain applied to raw readings
     calibrationFactor: {
       type: Number,
       default: 1.0
-    }
+    },
+    offset: {
+      type: Number,
+      default: 0
+    },
+    // Optional piecewise curve; replaces gain and offset when it has two or more points
+    curve: [calibrationPointSchema],
+    intervalDays: {
+      type: Number,
+      default: CALIBRATION_INTERVAL_DAYS
+    },
+    history: [{
+      action: {
+        type: String,
+        enum: ['calibrated', 'reapplied'],
+        default: 'calibrated'
+      },
+      performedAt: {
+        type: Date,
+        default: Date.now
+      },
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      calibrationFactor: Number,
+      offset: Number,
+      curve: [calibrationPointSchema],
+      // Window of stored readings recalculated by a re-apply
+      from: Date,
+      to: Date,
+      readingsUpdated: Number,
+      notes: String
+    }]
+  },
+  // Heartbeat monitoring, maintained by the watchdog in utils/sensorWatchdog.js
+  monitoring: {
+    // How often the device is expected to report, in seconds
+    expectedInterval: {
+      type: Number,
+      default: DEFAULT_INTERVAL_SECONDS
+    },
+    // Server time of the last reading or heartbeat (device timestamps may be buffered)
+    lastSeenAt: Date,
+    health: {
+      type: String,
+      enum: ['healthy', 'degraded', 'offline', 'unknown'],
+      default: 'unknown'
+    },
+    issues: [{
+      type: String,
+      enum: ['offline', 'low_battery', 'flatline']
+    }],
+    // Set when the watchdog took the sensor offline, so it can be restored when it reports again
+    offlineSince: Date,
+    checkedAt: Date
+  },
+  // Statistical anomaly detection (see utils/anomalyDetection.js)
+  anomaly: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Overrides ANOMALY_Z_THRESHOLD for naturally noisy sensors
+    zThreshold: Number,
+    alertOnPersistent: {
+      type: Boolean,
+      default: false
+    },
+    persistReadings: {
+      type: Number,
+      default: 5
+    },
+    ewma: Number,
+    consecutive: {
+      type: Number,
+      default: 0
+    },
+    lastScore: Number,
+    lastEwmaScore: Number,
+    lastFlaggedAt: Date
+  },
+  // Threshold crossing prediction for water level sensors (see utils/riverPrediction.js)
+  prediction: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    model: {
+      type: String,
+      enum: ['linear', 'exponential'],
+      default: 'linear'
+    },
+    // Override PREDICTION_WINDOW_MINUTES / PREDICTION_HORIZON_MINUTES
+    windowMinutes: Number,
+    horizonMinutes: Number,
+    // Gauges upstream whose changes reach this one lagMinutes later, scaled by factor
+    // (defaults to the river network's reaches into this gauge)
+    upstream: [{
+      _id: false,
+      sensorId: {
+        type: String,
+        required: true
+      },
+      lagMinutes: {
+        type: Number,
+        required: true
+      },
+      factor: {
+        type: Number,
+        default: 1
+      }
+    }]
+  },
+  // Virtual sensor computed from co-located physical sensors (see utils/derivedSensors.js)
+  derived: {
+    kind: {
+      type: String,
+      enum: ['heat_index', 'wind_chill', 'naqi', 'flood_index']
+    },
+    // Sensor feeding each input role, e.g. { role: 'humidity', sensorId: 'humidity-001' }
+    inputs: [{
+      _id: false,
+      role: {
+        type: String,
+        required: true
+      },
+      sensorId: {
+        type: String,
+        required: true
+      }
+    }],
+    // Per-site overrides of the kind's parameters
+    params: mongoose.Schema.Types.Mixed,
+    maxInputAgeMinutes: Number
+  },
+  // Submissions rejected by device authentication
+  ingestion: {
+    rejected: {
+      type: Number,
+      default: 0
+    },
+    rejectionReasons: mongoose.Schema.Types.Mixed,
+    lastRejectedAt: Date,
+    lastRejectionReason: String
   },
   metadata: {
     manufacturer: String,
@@ -93,35 +248,150 @@ const sensorSchema = new mongoose.Schema({
 // Indexes
 sensorSchema.index({ type: 1, status: 1 });
 sensorSchema.index({ 'location.coordinates': '2dsphere' });
-sensorSchema.index({ 'readings.timestamp': -1 });
+sensorSchema.index({ 'derived.inputs.sensorId': 1 });
+
+// Virtual for when the next calibration is due
+sensorSchema.virtual('calibrationDueAt').get(function() {
+  const last = this.calibration?.lastCalibrated || this.metadata?.installationDate;
+  if (!last) return null;
+  return new Date(last.getTime() + (this.calibration?.intervalDays || CALIBRATION_INTERVAL_DAYS) * 24 * 60 * 60 * 1000);
+});
+
+// Virtual for seconds since the sensor last reported
+sensorSchema.virtual('lastSeenAge').get(function() {
+  const lastSeen = this.monitoring?.lastSeenAt || this.currentReading?.timestamp;
+  return lastSeen ? Math.round((Date.now() - lastSeen.getTime()) / 1000) : null;
+});
 
 // Virtual for latest reading
 sensorSchema.virtual('latestReading').get(function() {
-  return this.readings.length > 0 ? this.readings[this.readings.length - 1] : null;
+  return this.currentReading?.value != null ? this.currentReading : null;
 });
 
-// Method to add new reading
-sensorSchema.methods.addReading = function(value, quality = 'good') {
-  const reading = { value, quality, timestamp: new Date() };
-  this.readings.push(reading);
-  
-  // Keep only last 1000 readings to prevent document from growing too large
-  if (this.readings.length > 1000) {
-    this.readings = this.readings.slice(-1000);
+// Method to add a set of readings, e.g. a gateway uploading its offline buffer.
+// Time-series collections cannot have unique indexes, so readings whose timestamp is
+// already stored for this sensor are skipped here. currentReading only moves forward in time.
+sensorSchema.methods.addReadings = async function(readings) {
+  // Apply calibration on ingest, keeping what the device reported as rawValue
+  readings = readings.map(reading => ({
+    ...reading,
+    rawValue: reading.value,
+    value: applyCalibration(this.calibration, reading.value)
+  }));
+
+  // Scenario readings are stored tagged with their run and leave the sensor's real state
+  // (last seen, anomaly baselines, current reading) alone
+  const exercise = currentExercise();
+
+  const existing = await SensorReading.find({
+    sensorId: this.sensorId,
+    timestamp: { $in: readings.map(reading => reading.timestamp) },
+    ...exerciseScope(exercise)
+  }).select('timestamp').lean();
+
+  const seen = new Set(existing.map(reading => reading.timestamp.getTime()));
+  const accepted = [];
+  const duplicates = [];
+
+  for (const reading of readings) {
+    const key = reading.timestamp.getTime();
+    if (seen.has(key)) {
+      duplicates.push(reading);
+      continue;
+    }
+    seen.add(key);
+    accepted.push(reading);
   }
-  
-  // Update current reading
-  this.currentReading = {
-    value,
+
+  if (!exercise) {
+    await this.markSeen(readings.reduce((level, reading) => reading.batteryLevel ?? level, undefined));
+  }
+
+  if (accepted.length === 0) {
+    return { accepted, duplicates };
+  }
+
+  if (!exercise) await scoreReadings(this, accepted);
+
+  await SensorReading.insertMany(accepted.map(reading => ({
+    sensorId: this.sensorId,
     timestamp: reading.timestamp,
-    status: this.getAlertStatus(value)
-  };
-  
-  return this.save();
+    value: reading.value,
+    rawValue: reading.rawValue,
+    quality: reading.quality || 'good',
+    anomaly: reading.anomaly,
+    ...(exercise && { exercise: { runId: exercise.runId } })
+  })), { ordered: false });
+
+  const latest = accepted.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+  const currentAt = this.currentReading?.timestamp;
+
+  if (!currentAt || latest.timestamp >= currentAt) {
+    this.currentReading = {
+      value: latest.value,
+      rawValue: latest.rawValue,
+      timestamp: latest.timestamp,
+      status: this.getAlertStatus(latest.value)
+    };
+    // Alert messages built from this document show the scenario value; it is never saved
+    if (!exercise) {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { currentReading: this.currentReading } }
+      );
+    }
+
+    publish('sensor.reading', {
+      sensorId: this.sensorId,
+      type: this.type,
+      unit: this.unit,
+      location: this.location.name,
+      coordinates: this.location.coordinates,
+      value: latest.value,
+      timestamp: latest.timestamp,
+      status: this.currentReading.status,
+      exercise: exercise || undefined
+    });
+  }
+
+  return { accepted, duplicates };
+};
+
+// Method to record that the device is alive (readings or heartbeats). A sensor the watchdog
+// took offline goes back to active as soon as it reports again.
+sensorSchema.methods.markSeen = async function(batteryLevel) {
+  const update = { 'monitoring.lastSeenAt': new Date() };
+
+  if (typeof batteryLevel === 'number') {
+    update['metadata.batteryLevel'] = batteryLevel;
+  }
+
+  if (this.monitoring?.offlineSince) {
+    update.status = 'active';
+    update['monitoring.offlineSince'] = null;
+    update['monitoring.issues'] = (this.monitoring.issues || []).filter(issue => issue !== 'offline');
+    update['monitoring.health'] = update['monitoring.issues'].length > 0 ? 'degraded' : 'healthy';
+    console.log(`✅ Sensor back online: ${this.sensorId}`);
+  }
+
+  this.set(update);
+  await this.constructor.updateOne({ _id: this._id }, { $set: update });
+};
+
+// Method to add a single reading, stamped with server time unless the device supplied one
+sensorSchema.methods.addReading = async function(value, quality = 'good', timestamp = new Date()) {
+  await this.addReadings([{ value, quality, timestamp }]);
+  return this;
 };
 
 // Method to determine alert status based on thresholds
 sensorSchema.methods.getAlertStatus = function(value) {
+  if (this.thresholds.critical < this.thresholds.warning) {
+    if (value <= this.thresholds.critical) return 'critical';
+    if (value <= this.thresholds.warning) return 'warning';
+    return 'normal';
+  }
+
   if (value >= this.thresholds.critical) {
     return 'critical';
   } else if (value >= this.thresholds.warning) {
@@ -135,6 +405,21 @@ sensorSchema.statics.findByType = function(type) {
   return this.find({ type, status: 'active' });
 };
 
+// Static method to find the derived sensors computed from a sensor's readings
+sensorSchema.statics.findDerivedFrom = function(sensorId) {
+  return this.find({ 'derived.inputs.sensorId': sensorId, status: { $ne: 'inactive' } });
+};
+
+// Static method to find sensors overdue for calibration (never calibrated counts as overdue)
+sensorSchema.statics.findCalibrationDue = async function(withinDays = 0) {
+  const sensors = await this.find({ status: { $ne: 'inactive' } });
+  const cutoff = Date.now() + withinDays * 24 * 60 * 60 * 1000;
+
+  return sensors
+    .filter(sensor => !sensor.calibrationDueAt || sensor.calibrationDueAt.getTime() <= cutoff)
+    .sort((a, b) => (a.calibrationDueAt || 0) - (b.calibrationDueAt || 0));
+};
+
 // Static method to find sensors in critical state
 sensorSchema.statics.findCritical = function() {
   return this.find({ 'currentReading.status': 'critical', status: 'active' });
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Rolling per-sensor baseline for one hour of the day (exponentially weighted mean and variance)
+const sensorBaselineSchema = new mongoose.Schema({
+  sensorId: {
+    type: String,
+    required: true
+  },
+  // Local hour of day, 0-23
+  hour: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 23
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  mean: {
+    type: Number,
+    default: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+sensorBaselineSchema.index({ sensorId: 1, hour: 1 }, { unique: true });
+
+module.exports = mongoose.model('SensorBaseline', sensorBaselineSchema);
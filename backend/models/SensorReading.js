@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// How long raw readings are kept; changing it later needs `npm run migrate:readings` to apply
+const RETENTION_DAYS = parseInt(process.env.SENSOR_READING_RETENTION_DAYS) || 90;
+
+// Raw sensor readings live in a MongoDB time-series collection, bucketed by sensorId
+const sensorReadingSchema = new mongoose.Schema({
+  sensorId: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Calibrated value; rawValue is what the device reported
+  value: {
+    type: Number,
+    required: true
+  },
+  rawValue: Number,
+  // Score against the sensor's hour-of-day baseline; absent while the baseline warms up
+  anomaly: {
+    score: Number,
+    ewmaScore: Number,
+    flagged: Boolean
+  },
+  quality: {
+    type: String,
+    enum: ['good', 'fair', 'poor'],
+    default: 'good'
+  },
+  // Scenario run (utils/scenarioEngine.js) that fed this reading: drill data, kept out of
+  // history, rollups, baselines, predictions and replays
+  exercise: {
+    runId: String
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'sensorId',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+// Indexes
+sensorReadingSchema.index({ sensorId: 1, timestamp: -1 });
+
+// Static method to get readings for a sensor in a time range, oldest first
+sensorReadingSchema.statics.findHistory = async function(sensorId, from, to = new Date(), limit = 1000) {
+  const readings = await this.find({ sensorId, timestamp: { $gte: from, $lte: to }, 'exercise.runId': { $exists: false } })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+
+  return readings.reverse();
+};
+
+sensorReadingSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('SensorReading', sensorReadingSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Pre-computed per-sensor statistics for one minute, hour or day bucket
+const sensorRollupSchema = new mongoose.Schema({
+  sensorId: {
+    type: String,
+    required: true
+  },
+  bucket: {
+    type: String,
+    required: true,
+    enum: ['minute', 'hour', 'day']
+  },
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true
+  },
+  min: Number,
+  max: Number,
+  sum: Number,
+  mean: Number,
+  last: Number,
+  lastAt: Date,
+  p50: Number,
+  p90: Number,
+  p95: Number,
+  p99: Number
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes
+sensorRollupSchema.index({ sensorId: 1, bucket: 1, bucketStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('SensorRollup', sensorRollupSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { publish } = require('../utils/eventStream');
 
 const memberSchema = new mongoose.Schema({
   name: {
@@ -110,6 +111,26 @@ teamSchema.virtual('isAvailable').get(function() {
   return this.status === 'available';
 });
 
+// Publish status changes to the event stream
+teamSchema.pre('save', function(next) {
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  next();
+});
+
+teamSchema.post('save', function(doc) {
+  if (!doc.$locals.statusChanged) return;
+
+  publish('team.status', {
+    teamId: doc.teamId,
+    name: doc.name,
+    type: doc.type,
+    status: doc.status,
+    coordinates: doc.location?.current?.coordinates,
+    currentAssignment: doc.currentAssignment,
+    updatedAt: doc.updatedAt
+  });
+});
+
 // Method to assign team to alert
 teamSchema.methods.assignToAlert = function(alertId, priority = 'medium') {
   this.status = 'deployed';
@@ -66,6 +66,14 @@ const userSchema = new mongoose.Schema({
     alertRadius: { type: Number, default: 10 }, // km
     language: { type: String, default: 'en' }
   },
+  pushSubscriptions: [{
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: String,
+      auth: String
+    },
+    createdAt: { type: Date, default: Date.now }
+  }],
   isVerified: {
     type: Boolean,
     default: false
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateAlertRule } = require('../utils/validation');
+const { dryRunRule, ensureDefaultRules } = require('../utils/ruleEngine');
+
+// Alert rules are managed by admins only
+router.use(auth, adminOnly);
+
+// Get all alert rules
+router.get('/', async (req, res) => {
+  try {
+    await ensureDefaultRules();
+    const { enabled, sensorType, alertType } = req.query;
+
+    let query = {};
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+    if (sensorType) query['scope.sensorTypes'] = sensorType;
+    if (alertType) query.alertType = alertType;
+
+    const rules = await AlertRule.find(query).sort({ alertType: 1, name: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({ message: 'Failed to fetch alert rules', error: error.message });
+  }
+});
+
+// Try a rule against stored readings without raising anything.
+// Body: { ruleId } or { rule }, plus { from, to, sensorIds }.
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { ruleId, from, to, sensorIds } = req.body;
+    let rule;
+
+    if (ruleId) {
+      rule = await AlertRule.findById(ruleId);
+      if (!rule) {
+        return res.status(404).json({ message: 'Alert rule not found' });
+      }
+    } else {
+      const { error, value } = validateAlertRule(req.body.rule || {});
+      if (error) {
+        return res.status(400).json({ message: 'Validation error', details: error.details });
+      }
+      rule = new AlertRule(value);
+    }
+
+    if (!from) {
+      return res.status(400).json({ message: 'from is required' });
+    }
+
+    const report = await dryRunRule(rule, { from, to, sensorIds });
+    res.json(report);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error running alert rule dry run:', error);
+    res.status(500).json({ message: 'Failed to run alert rule dry run', error: error.message });
+  }
+});
+
+// Get alert rule by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Alert rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({ message: 'Failed to fetch alert rule', error: error.message });
+  }
+});
+
+// Create alert rule (disabled unless enabled is passed)
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    await ensureDefaultRules();
+    const existing = await AlertRule.findOne({ name: value.name });
+    if (existing) {
+      return res.status(400).json({ message: 'An alert rule with this name already exists' });
+    }
+
+    const rule = new AlertRule({
+      ...value,
+      createdBy: req.user.userId || req.user._id
+    });
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({ message: 'Failed to create alert rule', error: error.message });
+  }
+});
+
+// Update alert rule
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Alert rule not found' });
+    }
+
+    rule.set(value);
+    await rule.save();
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ message: 'Failed to update alert rule', error: error.message });
+  }
+});
+
+// Delete alert rule. Built-in rules are only disabled. Alerts it raised clear through the
+// hold-off at their sensor's next evaluation, unless another rule for the type still holds them.
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Alert rule not found' });
+    }
+
+    if (rule.builtIn) {
+      return res.status(400).json({ message: 'Built-in alert rules cannot be deleted, disable them instead' });
+    }
+
+    await rule.deleteOne();
+    res.json({ message: 'Alert rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({ message: 'Failed to delete alert rule', error: error.message });
+  }
+});
+
+module.exports = router;
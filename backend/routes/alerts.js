@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Alert = require('../models/Alert');
+const { auth, adminOnly, adminOrResponder } = require('../middleware/auth');
 const { validateAlert } = require('../utils/validation');
+const { alertToCap, alertsToAtomFeed, parseCapAlert } = require('../utils/cap');
+const { dispatchAlert, previewFanout } = require('../services/alertFanout');
+const { getActiveExercise } = require('../utils/exercise');
+
+// Accept raw CAP XML bodies on the import endpoint
+const capBodyParser = express.text({
+  type: ['application/xml', 'text/xml', 'application/cap+xml'],
+  limit: '1mb'
+});
 
 // Get all alerts
 router.get('/', async (req, res) => {
@@ -10,6 +21,8 @@ router.get('/', async (req, res) => {
       status = 'all', 
       severity, 
       type, 
+      forecast,
+      exercise,
       limit = 50, 
       page = 1,
       sortBy = 'createdAt',
@@ -35,6 +48,16 @@ router.get('/', async (req, res) => {
       query.type = type;
     }
 
+    // Forecast warnings only (true) or observed alerts only (false)
+    if (forecast === 'true' || forecast === 'false') {
+      query['forecast.hazard'] = { $exists: forecast === 'true' };
+    }
+
+    // Exercise alerts only (true) or real ones only (false)
+    if (exercise === 'true' || exercise === 'false') {
+      query['exercise.runId'] = { $exists: exercise === 'true' };
+    }
+
     const alerts = await Alert.find(query)
       .populate('responseTeams.teamId', 'name type status')
       .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
@@ -59,6 +82,148 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Atom feed of active alerts in CAP 1.2 format
+router.get('/feed.atom', async (req, res) => {
+  try {
+    const alerts = await Alert.findActive().limit(200).lean();
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.type('application/atom+xml').send(alertsToAtomFeed(alerts, {
+      baseUrl,
+      updated: alerts[0]?.updatedAt || new Date()
+    }));
+  } catch (error) {
+    console.error('Error building CAP feed:', error);
+    res.status(500).json({ message: 'Failed to build CAP feed', error: error.message });
+  }
+});
+
+// Export alert as CAP 1.2 XML (accepts the document _id or the alert id)
+router.get('/:id.cap', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const alert = await Alert.findOne(
+      mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { id }] } : { id }
+    ).lean();
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    res.type('application/cap+xml').send(alertToCap(alert));
+  } catch (error) {
+    console.error('Error exporting CAP alert:', error);
+    res.status(500).json({ message: 'Failed to export CAP alert', error: error.message });
+  }
+});
+
+// Import a CAP 1.2 alert (XML body, or JSON { xml })
+router.post('/import/cap', capBodyParser, auth, adminOrResponder, async (req, res) => {
+  try {
+    const xml = typeof req.body === 'string' ? req.body : req.body?.xml;
+    if (!xml) {
+      return res.status(400).json({ message: 'CAP XML document is required' });
+    }
+
+    const { error, identifier, status, msgType, references, alert: alertData } = parseCapAlert(xml);
+    if (error) {
+      return res.status(400).json({ message: error.message, details: error.details });
+    }
+
+    // Test, exercise, draft and system messages must never raise, update or cancel real alerts
+    if (status !== 'Actual') {
+      return res.status(400).json({ message: `CAP ${status} messages cannot be imported as alerts` });
+    }
+
+    if (msgType === 'Ack' || msgType === 'Error') {
+      return res.status(400).json({ message: `CAP ${msgType} messages cannot be imported as alerts` });
+    }
+
+    const identifiers = [identifier, ...references];
+    const matchQuery = {
+      $or: [
+        { id: { $in: identifiers } },
+        { 'cap.identifier': { $in: identifiers } }
+      ]
+    };
+
+    if (msgType === 'Cancel') {
+      const alerts = await Alert.find({ ...matchQuery, resolved: false });
+      for (const alert of alerts) {
+        alert.resolved = true;
+        alert.resolvedAt = new Date();
+        alert.resolution = `Cancelled by CAP message ${identifier}`;
+        await alert.save();
+      }
+
+      return res.json({
+        message: `${alerts.length} alert(s) cancelled from CAP`,
+        alerts
+      });
+    }
+
+    // Updates and re-imports of the same message modify the existing alert
+    const existing = await Alert.findOne(matchQuery);
+    if (existing) {
+      existing.set(alertData);
+      await existing.save();
+
+      return res.json({
+        message: 'Alert updated from CAP',
+        alert: existing
+      });
+    }
+
+    const alert = new Alert({
+      ...alertData,
+      id: identifier,
+      estimatedImpact: alertData.estimatedImpact ?? calculateEstimatedImpact(alertData.type, alertData.severity)
+    });
+    await alert.save();
+    await dispatchAlert(alert);
+
+    res.status(201).json({
+      message: 'Alert imported from CAP',
+      alert
+    });
+  } catch (error) {
+    console.error('Error importing CAP alert:', error);
+    res.status(500).json({ message: 'Failed to import CAP alert', error: error.message });
+  }
+});
+
+// Preview how many citizens an alert would reach (existing alertId, or coordinates)
+router.post('/fanout/preview', auth, adminOnly, async (req, res) => {
+  try {
+    const { alertId, coordinates } = req.body;
+    let target;
+
+    if (alertId) {
+      target = await Alert.findOne(
+        mongoose.isValidObjectId(alertId) ? { $or: [{ _id: alertId }, { id: alertId }] } : { id: alertId }
+      ).lean();
+      if (!target) {
+        return res.status(404).json({ message: 'Alert not found' });
+      }
+    } else if (typeof coordinates?.lat === 'number' && typeof coordinates?.lng === 'number') {
+      target = { coordinates };
+    } else {
+      return res.status(400).json({ message: 'alertId or coordinates { lat, lng } required' });
+    }
+
+    const preview = await previewFanout(target);
+
+    res.json({
+      alertId: target.id,
+      coordinates: target.coordinates,
+      ...preview
+    });
+  } catch (error) {
+    console.error('Error previewing alert fan-out:', error);
+    res.status(500).json({ message: 'Failed to preview alert fan-out', error: error.message });
+  }
+});
+
 // Get alert by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -86,20 +251,27 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Validation error', details: error.details });
     }
 
+    // Only alerts explicitly marked as exercise join the scenario run; anything else is real
+    const { exercise, ...fields } = value;
+    if (exercise && !getActiveExercise()) {
+      return res.status(400).json({ message: 'No scenario is running' });
+    }
+
     // Generate unique alert ID
     const alertId = `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     const alertData = {
-      ...value,
+      ...fields,
       id: alertId,
       coordinates: value.coordinates || { lat: 28.6692, lng: 77.4538 }, // Default to Ghaziabad
-      estimatedImpact: value.estimatedImpact || calculateEstimatedImpact(value.type, value.severity)
+      estimatedImpact: value.estimatedImpact || calculateEstimatedImpact(value.type, value.severity),
+      exercise: exercise ? getActiveExercise() : undefined
     };
 
     const alert = new Alert(alertData);
     await alert.save();
 
-    // TODO: Trigger notifications and team assignments here
+    await dispatchAlert(alert);
     
     res.status(201).json({
       message: 'Alert created successfully',
@@ -126,6 +298,10 @@ router.patch('/:id/acknowledge', async (req, res) => {
     
     alert.acknowledged = true;
     alert.acknowledgedAt = new Date();
+    if (alert.escalation?.state === 'active') {
+      alert.escalation.state = 'stopped';
+      alert.escalation.nextEscalationAt = undefined;
+    }
     // alert.acknowledgedBy = req.user?.id; // TODO: Add when authentication is implemented
     
     await alert.save();
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const DeviceCredential = require('../models/DeviceCredential');
+const Sensor = require('../models/Sensor');
+const { auth, adminOnly } = require('../middleware/auth');
+const { issueCredential } = require('../utils/deviceCredentials');
+const { validateDeviceCredential, validateCredentialRotation } = require('../utils/validation');
+
+// Device credentials are managed by admins only
+router.use(auth, adminOnly);
+
+// List device credentials (secrets are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const { sensorId, status } = req.query;
+
+    let query = {};
+    if (sensorId) query.$or = [{ sensorId }, { gatewaySensors: sensorId }];
+    if (status) query.status = status;
+
+    const credentials = await DeviceCredential.find(query).sort({ sensorId: 1, createdAt: -1 });
+    res.json(credentials);
+  } catch (error) {
+    console.error('Error fetching device credentials:', error);
+    res.status(500).json({ message: 'Failed to fetch device credentials', error: error.message });
+  }
+});
+
+// Rejected submission counts per sensor
+router.get('/rejections', async (req, res) => {
+  try {
+    const sensors = await Sensor.find({ 'ingestion.rejected': { $gt: 0 } })
+      .select('sensorId type location.name ingestion')
+      .sort({ 'ingestion.rejected': -1 });
+
+    res.json(sensors);
+  } catch (error) {
+    console.error('Error fetching rejected submissions:', error);
+    res.status(500).json({ message: 'Failed to fetch rejected submissions', error: error.message });
+  }
+});
+
+// Provision a credential for a sensor
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateDeviceCredential(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const { sensorId, type, label, gatewaySensors } = value;
+    const sensorIds = [...new Set([sensorId, ...gatewaySensors])];
+    const found = await Sensor.find({ sensorId: { $in: sensorIds } }).distinct('sensorId');
+    const missing = sensorIds.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      return res.status(404).json({ message: 'Sensor not found', missing });
+    }
+
+    const { credential, secret, apiKey } = await issueCredential({
+      sensorId,
+      gatewaySensors: sensorIds.filter(id => id !== sensorId),
+      type,
+      label,
+      createdBy: req.user.userId || req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Device credential created. Store the secret now, it will not be shown again.',
+      credential,
+      secret,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Error creating device credential:', error);
+    res.status(500).json({ message: 'Failed to create device credential', error: error.message });
+  }
+});
+
+// Rotate a credential: issue a new one and let the old one work for a grace period
+router.post('/:keyId/rotate', async (req, res) => {
+  try {
+    const { error, value } = validateCredentialRotation(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const current = await DeviceCredential.findOne({ keyId: req.params.keyId });
+
+    if (!current) {
+      return res.status(404).json({ message: 'Device credential not found' });
+    }
+
+    if (!current.isUsable) {
+      return res.status(400).json({ message: 'Only active credentials can be rotated' });
+    }
+
+    const { credential, secret, apiKey } = await issueCredential({
+      sensorId: current.sensorId,
+      gatewaySensors: current.gatewaySensors,
+      type: current.type,
+      label: current.label,
+      createdBy: req.user.userId || req.user._id
+    });
+
+    current.status = 'rotating';
+    current.expiresAt = new Date(Date.now() + value.graceMinutes * 60 * 1000);
+    current.replacedBy = credential.keyId;
+    try {
+      await current.save();
+    } catch (saveError) {
+      // Nobody holds the new secret unless the rotation completes
+      await DeviceCredential.deleteOne({ _id: credential._id });
+      throw saveError;
+    }
+
+    res.status(201).json({
+      message: 'Device credential rotated. Store the new secret now, it will not be shown again.',
+      credential,
+      secret,
+      apiKey,
+      previous: current
+    });
+  } catch (error) {
+    console.error('Error rotating device credential:', error);
+    res.status(500).json({ message: 'Failed to rotate device credential', error: error.message });
+  }
+});
+
+// Revoke a credential
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const credential = await DeviceCredential.findOne({ keyId: req.params.keyId });
+
+    if (!credential) {
+      return res.status(404).json({ message: 'Device credential not found' });
+    }
+
+    if (credential.status === 'revoked') {
+      return res.status(400).json({ message: 'Device credential already revoked' });
+    }
+
+    credential.status = 'revoked';
+    credential.revokedAt = new Date();
+    credential.revokedBy = req.user.userId || req.user._id;
+    await credential.save();
+
+    res.json({
+      message: 'Device credential revoked successfully',
+      credential
+    });
+  } catch (error) {
+    console.error('Error revoking device credential:', error);
+    res.status(500).json({ message: 'Failed to revoke device credential', error: error.message });
+  }
+});
+
+module.exports = router;
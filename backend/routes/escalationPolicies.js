@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateEscalationPolicy } = require('../utils/validation');
+const { resetUnmatchedAlerts } = require('../utils/escalationEngine');
+
+// Escalation policies are managed by admins only
+router.use(auth, adminOnly);
+
+// Get all escalation policies
+router.get('/', async (req, res) => {
+  try {
+    const { enabled, alertType, severity } = req.query;
+
+    let query = {};
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+    if (alertType) query.alertTypes = alertType;
+    if (severity) query.severities = severity;
+
+    const policies = await EscalationPolicy.find(query).sort({ priority: -1, name: 1 });
+    res.json(policies);
+  } catch (error) {
+    console.error('Error fetching escalation policies:', error);
+    res.status(500).json({ message: 'Failed to fetch escalation policies', error: error.message });
+  }
+});
+
+// Get escalation policy by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Escalation policy not found' });
+    }
+
+    res.json(policy);
+  } catch (error) {
+    console.error('Error fetching escalation policy:', error);
+    res.status(500).json({ message: 'Failed to fetch escalation policy', error: error.message });
+  }
+});
+
+// Create escalation policy
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateEscalationPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const existing = await EscalationPolicy.findOne({ name: value.name });
+    if (existing) {
+      return res.status(400).json({ message: 'An escalation policy with this name already exists' });
+    }
+
+    const policy = new EscalationPolicy({
+      ...value,
+      createdBy: req.user.userId || req.user._id
+    });
+    await policy.save();
+    await resetUnmatchedAlerts();
+
+    res.status(201).json({
+      message: 'Escalation policy created successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Error creating escalation policy:', error);
+    res.status(500).json({ message: 'Failed to create escalation policy', error: error.message });
+  }
+});
+
+// Update escalation policy
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = validateEscalationPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const policy = await EscalationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Escalation policy not found' });
+    }
+
+    policy.set(value);
+    await policy.save();
+    await resetUnmatchedAlerts();
+
+    res.json({
+      message: 'Escalation policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Error updating escalation policy:', error);
+    res.status(500).json({ message: 'Failed to update escalation policy', error: error.message });
+  }
+});
+
+// Delete escalation policy (alerts using it stop escalating on their next step)
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Escalation policy not found' });
+    }
+
+    res.json({ message: 'Escalation policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting escalation policy:', error);
+    res.status(500).json({ message: 'Failed to delete escalation policy', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateReplay } = require('../utils/validation');
+const {
+  startReplay,
+  pauseReplay,
+  resumeReplay,
+  stopReplay,
+  deleteReplay,
+  compareReplay,
+  listReplays,
+  getReplay
+} = require('../utils/historicalReplay');
+
+// Replays are run by admins only
+router.use(auth, adminOnly);
+
+// List replays (running and recently finished)
+router.get('/', async (req, res) => {
+  res.json(listReplays());
+});
+
+// Replay stored readings from { from, to } through the current alert rules into a sandbox,
+// at `speed` times real time (default 60), optionally for some sensors only
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateReplay(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const replay = await startReplay({
+      ...value,
+      startedBy: req.user.userId || req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Replay started',
+      replay
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error starting replay:', error);
+    res.status(500).json({ message: 'Failed to start replay', error: error.message });
+  }
+});
+
+// Get replay progress
+router.get('/:id', async (req, res) => {
+  const replay = getReplay(req.params.id);
+
+  if (!replay) {
+    return res.status(404).json({ message: 'Replay not found' });
+  }
+
+  res.json(replay);
+});
+
+// Sandbox alerts under current rules compared with the alerts raised at the time, up to
+// where the replay has got to. Only alert rules are replayed (`covers: ['rules']`): anomaly,
+// river prediction, surge and derived sensor alerts are in neither side of the comparison.
+router.get('/:id/comparison', async (req, res) => {
+  try {
+    const comparison = compareReplay(req.params.id);
+
+    if (!comparison) {
+      return res.status(404).json({ message: 'Replay not found' });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing replay:', error);
+    res.status(500).json({ message: 'Failed to compare replay', error: error.message });
+  }
+});
+
+// Pause, resume or stop a replay
+const control = (action, verb) => async (req, res) => {
+  const replay = action(req.params.id);
+
+  if (!replay) {
+    return res.status(404).json({ message: 'Replay not found' });
+  }
+
+  res.json({
+    message: `Replay ${verb}`,
+    replay
+  });
+};
+
+router.post('/:id/pause', control(pauseReplay, 'paused'));
+router.post('/:id/resume', control(resumeReplay, 'resumed'));
+router.post('/:id/stop', control(stopReplay, 'stopped'));
+
+// Discard a replay and its sandbox
+router.delete('/:id', async (req, res) => {
+  if (!deleteReplay(req.params.id)) {
+    return res.status(404).json({ message: 'Replay not found' });
+  }
+
+  res.json({ message: 'Replay deleted successfully' });
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { auth, adminOnly, adminOrResponder, optionalAuth } = require('../middlewa
 const { uploadReportImages, handleUploadError, getFileUrl, deleteFiles } = require('../middleware/upload');
 const DisasterReport = require('../models/DisasterReport');
 const User = require('../models/User');
+const { getActiveExercise } = require('../utils/exercise');
 const { body, validationResult, param } = require('express-validator');
 
 // Validation middleware
@@ -19,7 +20,8 @@ const validateReport = [
   body('location.address').trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5-200 characters'),
   body('location.coordinates.lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
   body('location.coordinates.lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-  body('contactInfo.phone').optional().isMobilePhone('en-IN').withMessage('Invalid phone number')
+  body('contactInfo.phone').optional().isMobilePhone('en-IN').withMessage('Invalid phone number'),
+  body('exercise').optional().isBoolean().withMessage('Exercise must be true or false').toBoolean()
 ];
 
 // Get all disaster reports (public + admin filters)
@@ -31,6 +33,7 @@ router.get('/', optionalAuth, async (req, res) => {
       type,
       severity,
       status,
+      exercise,
       location,
       radius = 50, // km
       sortBy = 'createdAt',
@@ -49,6 +52,11 @@ router.get('/', optionalAuth, async (req, res) => {
     
     // Filter by severity
     if (severity) query.severity = severity;
+
+    // Exercise reports only (true) or real ones only (false)
+    if (exercise === 'true' || exercise === 'false') {
+      query['exercise.runId'] = { $exists: exercise === 'true' };
+    }
     
     // Filter by status
     if (status) {
@@ -187,9 +195,18 @@ router.post('/', auth, uploadReportImages, handleUploadError, validateReport, as
       contactInfo,
       affectedPeople,
       isPublic,
-      tags
+      tags,
+      exercise
     } = req.body;
 
+    // Only reports explicitly marked as exercise join the scenario run; anything else is real
+    if (exercise && !getActiveExercise()) {
+      if (req.files && req.files.length > 0) {
+        await deleteFiles(req.files.map(file => file.path));
+      }
+      return res.status(400).json({ message: 'No scenario is running' });
+    }
+
     // Process uploaded images
     const images = req.files ? req.files.map(file => ({
       url: getFileUrl(req, file.filename, 'reports'),
@@ -214,6 +231,7 @@ router.post('/', auth, uploadReportImages, handleUploadError, validateReport, as
       affectedPeople,
       isPublic: isPublic !== false, // Default to true
       tags: tags || [],
+      exercise: exercise ? getActiveExercise() : undefined,
       metadata: {
         userAgent: req.get('User-Agent'),
         ipAddress: req.ip,
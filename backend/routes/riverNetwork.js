@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const RiverReach = require('../models/RiverReach');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateRiverReach } = require('../utils/validation');
+const { loadNetwork, checkReach, currentProjections, toGeoJSON } = require('../utils/riverNetwork');
+
+// Get all reaches of the river network
+router.get('/', async (req, res) => {
+  try {
+    const { river, sensorId } = req.query;
+
+    let query = {};
+    if (river) query.river = river;
+    if (sensorId) query.$or = [{ upstreamSensorId: sensorId }, { downstreamSensorId: sensorId }];
+
+    const reaches = await RiverReach.find(query).sort({ river: 1, upstreamSensorId: 1 });
+    res.json(reaches);
+  } catch (error) {
+    console.error('Error fetching river network:', error);
+    res.status(500).json({ message: 'Failed to fetch river network', error: error.message });
+  }
+});
+
+// Network as GeoJSON (gauges, reaches and communities), with projections of surges under way
+router.get('/geojson', async (req, res) => {
+  try {
+    const [network, surges] = await Promise.all([loadNetwork(), currentProjections()]);
+
+    res.type('application/geo+json').json(toGeoJSON(network, surges));
+  } catch (error) {
+    console.error('Error building river network GeoJSON:', error);
+    res.status(500).json({ message: 'Failed to build river network GeoJSON', error: error.message });
+  }
+});
+
+// Surges under way and their projected arrival downstream
+router.get('/projections', async (req, res) => {
+  try {
+    const surges = await currentProjections();
+
+    res.json({
+      timestamp: new Date(),
+      surges
+    });
+  } catch (error) {
+    console.error('Error projecting river surges:', error);
+    res.status(500).json({ message: 'Failed to project river surges', error: error.message });
+  }
+});
+
+// Get reach by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const reach = await RiverReach.findById(req.params.id);
+
+    if (!reach) {
+      return res.status(404).json({ message: 'River reach not found' });
+    }
+
+    res.json(reach);
+  } catch (error) {
+    console.error('Error fetching river reach:', error);
+    res.status(500).json({ message: 'Failed to fetch river reach', error: error.message });
+  }
+});
+
+// Create reach (admin only)
+router.post('/', auth, adminOnly, async (req, res) => {
+  try {
+    const { error, value } = validateRiverReach(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    await checkReach(value);
+
+    const reach = new RiverReach({
+      ...value,
+      createdBy: req.user.userId || req.user._id
+    });
+    await reach.save();
+
+    res.status(201).json({
+      message: 'River reach created successfully',
+      reach
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating river reach:', error);
+    res.status(500).json({ message: 'Failed to create river reach', error: error.message });
+  }
+});
+
+// Update reach (admin only)
+router.put('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const { error, value } = validateRiverReach(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const reach = await RiverReach.findById(req.params.id);
+
+    if (!reach) {
+      return res.status(404).json({ message: 'River reach not found' });
+    }
+
+    await checkReach(value, reach._id);
+
+    reach.set(value);
+    await reach.save();
+
+    res.json({
+      message: 'River reach updated successfully',
+      reach
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating river reach:', error);
+    res.status(500).json({ message: 'Failed to update river reach', error: error.message });
+  }
+});
+
+// Delete reach (admin only)
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const reach = await RiverReach.findByIdAndDelete(req.params.id);
+
+    if (!reach) {
+      return res.status(404).json({ message: 'River reach not found' });
+    }
+
+    res.json({ message: 'River reach deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting river reach:', error);
+    res.status(500).json({ message: 'Failed to delete river reach', error: error.message });
+  }
+});
+
+module.exports = router;
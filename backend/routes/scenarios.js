@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateScenarioStart } = require('../utils/validation');
+const {
+  loadScenarios,
+  summarize,
+  startScenario,
+  pauseScenario,
+  resumeScenario,
+  stopScenario,
+  getStatus
+} = require('../utils/scenarioEngine');
+
+// Exercises are run by admins only
+router.use(auth, adminOnly);
+
+// List available scenarios and the run in progress
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      scenarios: loadScenarios().map(summarize),
+      run: getStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching scenarios:', error);
+    res.status(500).json({ message: 'Failed to fetch scenarios', error: error.message });
+  }
+});
+
+// Run in progress
+router.get('/status', async (req, res) => {
+  res.json(getStatus());
+});
+
+// Start a scenario, optionally at a different speed (simulated minutes per real minute)
+router.post('/:id/start', async (req, res) => {
+  try {
+    const { error, value } = validateScenarioStart(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const run = await startScenario(req.params.id, {
+      speed: value.speed,
+      startedBy: req.user.userId || req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Scenario started',
+      run
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error starting scenario:', error);
+    res.status(500).json({ message: 'Failed to start scenario', error: error.message });
+  }
+});
+
+// Pause the running scenario
+router.post('/pause', async (req, res) => {
+  try {
+    res.json({
+      message: 'Scenario paused',
+      run: pauseScenario()
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error pausing scenario:', error);
+    res.status(500).json({ message: 'Failed to pause scenario', error: error.message });
+  }
+});
+
+// Resume a paused scenario
+router.post('/resume', async (req, res) => {
+  try {
+    res.json({
+      message: 'Scenario resumed',
+      run: resumeScenario()
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error resuming scenario:', error);
+    res.status(500).json({ message: 'Failed to resume scenario', error: error.message });
+  }
+});
+
+// Stop the running scenario and close its exercise alerts
+router.post('/stop', async (req, res) => {
+  try {
+    res.json({
+      message: 'Scenario stopped',
+      run: await stopScenario()
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error stopping scenario:', error);
+    res.status(500).json({ message: 'Failed to stop scenario', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { aggregateSeries } = require('../utils/sensorRollups');
 const { LocationDataService, WeatherService } = require('../services/externalAPI');
-const { optionalAuth } = require('../middleware/auth');
+const { auth, adminOnly, adminOrResponder, optionalAuth } = require('../middleware/auth');
+const { deviceAuth, recordRejection } = require('../middleware/deviceAuth');
+const { ingestReading, ingestReadings } = require('../utils/readingPipeline');
+const { reapplyCalibration } = require('../utils/calibration');
+const { Z_THRESHOLD, hourOfDay, getBaselineBands } = require('../utils/anomalyDetection');
+const { DERIVED_KINDS, resolveInputs, computeDerivedValue } = require('../utils/derivedSensors');
+const { aqiCategory } = require('../utils/aqi');
+const {
+  PREDICTABLE_TYPES,
+  predictSensor,
+  describePrediction,
+  backtestPrediction,
+  resolveUpstream
+} = require('../utils/riverPrediction');
+const {
+  validateSensorReading,
+  validateBatchReading,
+  validateDerivedSensor,
+  validateDerivedSensorUpdate,
+  validateHeartbeat,
+  validateAnomalySettings,
+  validatePredictionSettings,
+  validateCalibration,
+  validateCalibrationReapply
+} = require('../utils/validation');
+
+const MAX_BATCH_ITEMS = parseInt(process.env.INGEST_BATCH_MAX_ITEMS) || 5000;
+
+// Device clocks may run slightly ahead of ours
+const MAX_FUTURE_MS = (parseInt(process.env.DEVICE_SIGNATURE_MAX_SKEW_SECONDS) || 300) * 1000;
+
+const DERIVED_READING_ERROR = 'Derived sensors are computed from their inputs and do not accept readings';
+
+// NDJSON batches arrive as text; keep the raw body for signed requests
+const ndjsonParser = express.text({
+  type: ['application/x-ndjson', 'application/ndjson'],
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+});
 
 // Get all sensors with real-time data
 router.get('/', optionalAuth, async (req, res) => {
@@ -25,9 +67,10 @@ router.get('/', optionalAuth, async (req, res) => {
           parseFloat(lon)
         );
         
-        // Update sensors with real data
+        // Update sensors with real data (derived sensors keep their computed values)
         sensors.forEach(sensor => {
           let realValue = null;
+          if (sensor.derived?.kind) return;
           
           switch (sensor.type) {
             case 'temperature':
@@ -54,7 +97,7 @@ router.get('/', optionalAuth, async (req, res) => {
               break;
           }
           
-          if (realValue !== null) {
+          if (realValue != null) {
             sensor.currentReading = {
               value: realValue,
               timestamp: new Date(),
@@ -79,13 +122,139 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     }
     
-    res.json(sensors);
+    res.json(sensors.map(sensor => ({
+      ...sensor.toObject(),
+      lastSeenAge: sensor.lastSeenAge,
+      health: sensor.monitoring?.health || 'unknown'
+    })));
   } catch (error) {
     console.error('Error fetching sensors:', error);
     res.status(500).json({ message: 'Failed to fetch sensors', error: error.message });
   }
 });
 
+// Aggregate history across one or many sensors from the pre-computed rollups
+// e.g. /aggregate?sensorIds=water-001,air-001&from=...&to=...&bucket=1h&fn=p95
+router.get('/aggregate', async (req, res) => {
+  try {
+    const { sensorIds, from, to = new Date(), bucket = '1h', fn = 'mean' } = req.query;
+
+    const ids = (sensorIds || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+      return res.status(400).json({ message: 'sensorIds is required' });
+    }
+
+    const fromDate = new Date(from || Date.now() - 24 * 60 * 60 * 1000);
+    const toDate = new Date(to);
+    if (isNaN(fromDate) || isNaN(toDate)) {
+      return res.status(400).json({ message: 'Invalid from/to date' });
+    }
+
+    const series = await aggregateSeries({ sensorIds: ids, from: fromDate, to: toDate, bucket, fn });
+
+    res.json({
+      from: fromDate,
+      to: toDate,
+      bucket,
+      fn,
+      series
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error aggregating sensor data:', error);
+    res.status(500).json({ message: 'Failed to aggregate sensor data', error: error.message });
+  }
+});
+
+// Sensors overdue (or due within ?withinDays) for calibration
+router.get('/maintenance', auth, async (req, res) => {
+  try {
+    const withinDays = Math.max(0, parseInt(req.query.withinDays) || 0);
+    const sensors = await Sensor.findCalibrationDue(withinDays);
+    const now = Date.now();
+
+    res.json({
+      withinDays,
+      count: sensors.length,
+      sensors: sensors.map(sensor => ({
+        sensorId: sensor.sensorId,
+        type: sensor.type,
+        location: sensor.location.name,
+        status: sensor.status,
+        lastCalibrated: sensor.calibration?.lastCalibrated || null,
+        calibrationDueAt: sensor.calibrationDueAt,
+        overdueDays: sensor.calibrationDueAt
+          ? Math.max(0, Math.floor((now - sensor.calibrationDueAt.getTime()) / (24 * 60 * 60 * 1000)))
+          : null,
+        neverCalibrated: !sensor.calibration?.lastCalibrated
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sensor maintenance list:', error);
+    res.status(500).json({ message: 'Failed to fetch sensor maintenance list', error: error.message });
+  }
+});
+
+// Kinds of derived sensor that can be configured, with their inputs and defaults
+router.get('/derived/kinds', auth, (req, res) => {
+  res.json(Object.entries(DERIVED_KINDS).map(([kind, definition]) => ({
+    kind,
+    type: definition.type,
+    unit: definition.unit,
+    inputs: definition.inputs,
+    thresholds: definition.thresholds,
+    params: definition.params || {}
+  })));
+});
+
+// Create a derived sensor (e.g. the heat index at a weather station). It is listed, stored
+// and alerted on like a physical sensor, with values computed whenever an input reports.
+router.post('/derived', auth, adminOnly, async (req, res) => {
+  try {
+    const { error, value } = validateDerivedSensor(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const existing = await Sensor.findOne({ sensorId: value.sensorId });
+    if (existing) {
+      return res.status(400).json({ message: 'A sensor with this ID already exists' });
+    }
+
+    const definition = DERIVED_KINDS[value.kind];
+    const inputs = await resolveInputs(value.kind, value.location.coordinates, value.inputs);
+
+    const sensor = new Sensor({
+      sensorId: value.sensorId,
+      type: definition.type,
+      location: value.location,
+      unit: definition.unit,
+      thresholds: value.thresholds || definition.thresholds,
+      monitoring: value.monitoring,
+      derived: {
+        kind: value.kind,
+        inputs,
+        params: value.params,
+        maxInputAgeMinutes: value.maxInputAgeMinutes
+      }
+    });
+    await sensor.save();
+
+    res.status(201).json({
+      message: 'Derived sensor created successfully',
+      sensor
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating derived sensor:', error);
+    res.status(500).json({ message: 'Failed to create derived sensor', error: error.message });
+  }
+});
+
 // Get sensor by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -108,7 +277,7 @@ router.get('/readings/current', async (req, res) => {
     const { lat, lon } = req.query;
     
     const sensors = await Sensor.find({ status: 'active' })
-      .select('sensorId type currentReading location unit')
+      .select('sensorId type currentReading location unit thresholds derived.kind')
       .sort({ type: 1 });
     
     let realData = null;
@@ -132,8 +301,8 @@ router.get('/readings/current', async (req, res) => {
       let currentValue = sensor.currentReading?.value;
       let timestamp = sensor.currentReading?.timestamp || new Date();
       
-      // Override with real data if available
-      if (realData) {
+      // Override with real data if available (derived sensors keep their computed values)
+      if (realData && !sensor.derived?.kind) {
         switch (sensor.type) {
           case 'temperature':
             currentValue = realData.weather?.temperature || realData.weather?.temperature;
@@ -219,7 +388,9 @@ router.get('/location/:lat/:lon', async (req, res) => {
           aqi: locationData.airQuality.aqi,
           pm25: locationData.airQuality.pm25,
           pm10: locationData.airQuality.pm10,
-          category: getAQICategory(locationData.airQuality.aqi)
+          category: locationData.airQuality.aqi != null ? aqiCategory(locationData.airQuality.aqi) : null,
+          dominantPollutant: locationData.airQuality.dominantPollutant,
+          subIndices: locationData.airQuality.subIndices
         } : null,
         seismic: {
           currentActivity: LocationDataService.getSimulatedSensorData().seismic.magnitude,
@@ -241,29 +412,51 @@ router.get('/location/:lat/:lon', async (req, res) => {
   }
 });
 
-// Historical data endpoint with real data integration
+// Historical data endpoint. Pass `bucket` (e.g. 15m, 1h) and `fn` for downsampled data.
 router.get('/:id/history', async (req, res) => {
   try {
-    const { hours = 24, limit = 100 } = req.query;
-    const hoursAgo = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const { hours = 24, limit = 100, bucket, fn = 'mean' } = req.query;
+    const to = new Date();
+    const hoursAgo = new Date(to.getTime() - hours * 60 * 60 * 1000);
     
     const sensor = await Sensor.findOne({ sensorId: req.params.id });
     
     if (!sensor) {
       return res.status(404).json({ message: 'Sensor not found' });
     }
-    
-    // Get historical readings from database
-    let historicalReadings = sensor.readings
-      .filter(reading => reading.timestamp >= hoursAgo)
-      .slice(-limit)
-      .sort((a, b) => a.timestamp - b.timestamp);
-    
-    // If we don't have enough historical data, generate some realistic data
-    if (historicalReadings.length < 10) {
-      historicalReadings = generateHistoricalData(sensor.type, hours, limit);
+
+    if (bucket) {
+      const [series] = await aggregateSeries({
+        sensorIds: [sensor.sensorId],
+        from: hoursAgo,
+        to,
+        bucket,
+        fn
+      });
+
+      return res.json({
+        sensorId: sensor.sensorId,
+        type: sensor.type,
+        unit: sensor.unit,
+        bucket,
+        fn,
+        ...series,
+        summary: {
+          period: `${hours} hours`,
+          latest: sensor.currentReading
+        }
+      });
     }
     
+    // Get historical readings from the time-series collection
+    const historicalReadings = await SensorReading.findHistory(
+      sensor.sensorId,
+      hoursAgo,
+      to,
+      parseInt(limit)
+    );
+    const values = historicalReadings.map(r => r.value);
+    
     res.json({
       sensorId: sensor.sensorId,
       type: sensor.type,
@@ -273,24 +466,387 @@ router.get('/:id/history', async (req, res) => {
         count: historicalReadings.length,
         period: `${hours} hours`,
         latest: sensor.currentReading,
-        average: calculateAverage(historicalReadings),
-        min: Math.min(...historicalReadings.map(r => r.value)),
-        max: Math.max(...historicalReadings.map(r => r.value))
+        average: values.length > 0 ? calculateAverage(historicalReadings) : null,
+        min: values.length > 0 ? Math.min(...values) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        // Readings are never synthesized; an empty window is reported as such
+        noData: values.length === 0
       }
     });
   } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error fetching sensor history:', error);
     res.status(500).json({ message: 'Failed to fetch sensor history', error: error.message });
   }
 });
 
-// Add new sensor reading (for IoT devices)
-router.post('/:id/readings', async (req, res) => {
+// History with anomaly flags and the hour-of-day baseline band, for charting
+router.get('/:id/baseline', async (req, res) => {
   try {
-    const { value, quality = 'good' } = req.body;
-    
-    if (typeof value !== 'number') {
-      return res.status(400).json({ message: 'Value must be a number' });
+    const { hours = 24, limit = 1000 } = req.query;
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    const k = sensor.anomaly?.zThreshold || Z_THRESHOLD;
+    const [readings, bands] = await Promise.all([
+      SensorReading.findHistory(sensor.sensorId, from, to, parseInt(limit)),
+      getBaselineBands(sensor.sensorId, k)
+    ]);
+
+    res.json({
+      sensorId: sensor.sensorId,
+      type: sensor.type,
+      unit: sensor.unit,
+      k,
+      readings: readings.map(reading => {
+        const band = bands.get(hourOfDay(reading.timestamp));
+        return {
+          timestamp: reading.timestamp,
+          value: reading.value,
+          anomaly: reading.anomaly || null,
+          baseline: band?.mean ?? null,
+          lower: band?.lower ?? null,
+          upper: band?.upper ?? null
+        };
+      }),
+      hourly: [...bands.entries()].map(([hour, band]) => ({ hour, ...band })),
+      summary: {
+        count: readings.length,
+        flagged: readings.filter(reading => reading.anomaly?.flagged).length,
+        settings: sensor.anomaly
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sensor baseline:', error);
+    res.status(500).json({ message: 'Failed to fetch sensor baseline', error: error.message });
+  }
+});
+
+// Update anomaly detection settings (e.g. a higher threshold for noisy sensors)
+router.put('/:id/anomaly', auth, adminOrResponder, async (req, res) => {
+  try {
+    const { error, value } = validateAnomalySettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    Object.entries(value).forEach(([key, setting]) => {
+      sensor.anomaly[key] = setting === null ? undefined : setting;
+    });
+    await sensor.save();
+
+    res.json({
+      message: 'Anomaly settings updated successfully',
+      anomaly: sensor.anomaly
+    });
+  } catch (error) {
+    console.error('Error updating anomaly settings:', error);
+    res.status(500).json({ message: 'Failed to update anomaly settings', error: error.message });
+  }
+});
+
+// Predicted water level and time until the warning and critical levels are crossed
+router.get('/:id/prediction', async (req, res) => {
+  try {
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+    if (!PREDICTABLE_TYPES.includes(sensor.type)) {
+      return res.status(400).json({ message: `Predictions are only available for ${PREDICTABLE_TYPES.join(', ')} sensors` });
+    }
+
+    const prediction = await predictSensor(sensor);
+
+    res.json({
+      sensorId: sensor.sensorId,
+      type: sensor.type,
+      unit: sensor.unit,
+      thresholds: sensor.thresholds,
+      settings: sensor.prediction,
+      prediction: prediction ? describePrediction(prediction) : null,
+      reason: prediction ? undefined : 'Not enough recent readings to fit a trend'
+    });
+  } catch (error) {
+    console.error('Error predicting sensor level:', error);
+    res.status(500).json({ message: 'Failed to predict sensor level', error: error.message });
+  }
+});
+
+// Replay the predictor over stored history and report its accuracy
+router.get('/:id/prediction/backtest', auth, async (req, res) => {
+  try {
+    const { hours = 72, step = 15 } = req.query;
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+    if (!PREDICTABLE_TYPES.includes(sensor.type)) {
+      return res.status(400).json({ message: `Predictions are only available for ${PREDICTABLE_TYPES.join(', ')} sensors` });
+    }
+
+    const stepMinutes = parseInt(step);
+    if (!(stepMinutes >= 1) || !(hours > 0) || hours > 24 * 14) {
+      return res.status(400).json({ message: 'hours must be between 0 and 336 and step at least 1 minute' });
+    }
+
+    res.json(await backtestPrediction(sensor, { from, to, stepMinutes }));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error backtesting prediction:', error);
+    res.status(500).json({ message: 'Failed to backtest prediction', error: error.message });
+  }
+});
+
+// Update prediction settings (model, window, upstream gauges)
+router.put('/:id/prediction', auth, adminOrResponder, async (req, res) => {
+  try {
+    const { error, value } = validatePredictionSettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+    if (!PREDICTABLE_TYPES.includes(sensor.type)) {
+      return res.status(400).json({ message: `Predictions are only available for ${PREDICTABLE_TYPES.join(', ')} sensors` });
+    }
+
+    if (value.upstream) {
+      value.upstream = await resolveUpstream(sensor, value.upstream);
+    }
+
+    Object.entries(value).forEach(([key, setting]) => {
+      sensor.prediction[key] = setting === null ? undefined : setting;
+    });
+    await sensor.save();
+
+    res.json({
+      message: 'Prediction settings updated successfully',
+      prediction: sensor.prediction
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating prediction settings:', error);
+    res.status(500).json({ message: 'Failed to update prediction settings', error: error.message });
+  }
+});
+
+// Derived sensor definition with the inputs and breakdown of its current value
+router.get('/:id/derived', async (req, res) => {
+  try {
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+    if (!sensor.derived?.kind) {
+      return res.status(400).json({ message: 'Sensor is not a derived sensor' });
+    }
+
+    const current = await computeDerivedValue(sensor);
+
+    res.json({
+      sensorId: sensor.sensorId,
+      derived: sensor.derived,
+      params: { ...DERIVED_KINDS[sensor.derived.kind].params, ...sensor.derived.params },
+      current
+    });
+  } catch (error) {
+    console.error('Error fetching derived sensor:', error);
+    res.status(500).json({ message: 'Failed to fetch derived sensor', error: error.message });
+  }
+});
+
+// Update a derived sensor's site configuration (inputs, parameters, thresholds)
+router.put('/:id/derived', auth, adminOnly, async (req, res) => {
+  try {
+    const { error, value } = validateDerivedSensorUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+    if (!sensor.derived?.kind) {
+      return res.status(400).json({ message: 'Sensor is not a derived sensor' });
+    }
+
+    if (value.location) sensor.location = value.location;
+    if (value.thresholds) sensor.thresholds = value.thresholds;
+    if (value.monitoring?.expectedInterval) sensor.monitoring.expectedInterval = value.monitoring.expectedInterval;
+    if (value.params) sensor.derived.params = value.params;
+    if (value.maxInputAgeMinutes) sensor.derived.maxInputAgeMinutes = value.maxInputAgeMinutes;
+    if (value.inputs || value.location) {
+      sensor.derived.inputs = await resolveInputs(
+        sensor.derived.kind,
+        sensor.location.coordinates,
+        value.inputs || sensor.derived.inputs
+      );
+    }
+    await sensor.save();
+
+    res.json({
+      message: 'Derived sensor updated successfully',
+      sensor
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating derived sensor:', error);
+    res.status(500).json({ message: 'Failed to update derived sensor', error: error.message });
+  }
+});
+
+// Current calibration and its history
+router.get('/:id/calibration', auth, async (req, res) => {
+  try {
+    const sensor = await Sensor.findOne({ sensorId: req.params.id })
+      .populate('calibration.history.performedBy', 'name email role');
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    res.json({
+      sensorId: sensor.sensorId,
+      calibration: sensor.calibration,
+      calibrationDueAt: sensor.calibrationDueAt
+    });
+  } catch (error) {
+    console.error('Error fetching sensor calibration:', error);
+    res.status(500).json({ message: 'Failed to fetch sensor calibration', error: error.message });
+  }
+});
+
+// Record a new calibration; it applies to readings ingested from now on
+router.post('/:id/calibration', auth, adminOrResponder, async (req, res) => {
+  try {
+    const { error, value } = validateCalibration(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    const { calibrationFactor = 1, offset = 0, curve = [], intervalDays, notes } = value;
+
+    sensor.calibration.calibrationFactor = calibrationFactor;
+    sensor.calibration.offset = offset;
+    sensor.calibration.curve = curve;
+    sensor.calibration.lastCalibrated = new Date();
+    if (intervalDays) sensor.calibration.intervalDays = intervalDays;
+
+    sensor.calibration.history.push({
+      action: 'calibrated',
+      performedBy: req.user.userId || req.user._id,
+      calibrationFactor,
+      offset,
+      curve,
+      notes
+    });
+
+    await sensor.save();
+
+    res.json({
+      message: 'Sensor calibrated successfully',
+      calibration: sensor.calibration,
+      calibrationDueAt: sensor.calibrationDueAt
+    });
+  } catch (error) {
+    console.error('Error calibrating sensor:', error);
+    res.status(500).json({ message: 'Failed to calibrate sensor', error: error.message });
+  }
+});
+
+// Recalculate stored readings in a past window from their raw values, e.g. after finding
+// that the sensor drifted. Uses the calibration in the body, or the current one.
+router.post('/:id/calibration/reapply', auth, adminOrResponder, async (req, res) => {
+  try {
+    const { error, value } = validateCalibrationReapply(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    const { from, to = new Date(), notes } = value;
+    const calibration = {
+      calibrationFactor: value.calibrationFactor ?? sensor.calibration.calibrationFactor,
+      offset: value.offset ?? sensor.calibration.offset,
+      curve: value.curve ?? sensor.calibration.curve
+    };
+
+    const readingsUpdated = await reapplyCalibration(sensor, calibration, from, to);
+
+    sensor.calibration.history.push({
+      action: 'reapplied',
+      performedBy: req.user.userId || req.user._id,
+      ...calibration,
+      from,
+      to,
+      readingsUpdated,
+      notes
+    });
+    await sensor.save();
+
+    res.json({
+      message: 'Calibration re-applied successfully',
+      from,
+      to,
+      readingsUpdated,
+      currentReading: sensor.currentReading
+    });
+  } catch (error) {
+    console.error('Error re-applying sensor calibration:', error);
+    res.status(500).json({ message: 'Failed to re-apply sensor calibration', error: error.message });
+  }
+});
+
+// Add new sensor reading (for IoT devices, requires a device credential)
+router.post('/:id/readings', deviceAuth, async (req, res) => {
+  try {
+    const { error, value: reading } = validateSensorReading(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
     }
     
     const sensor = await Sensor.findOne({ sensorId: req.params.id });
@@ -298,11 +854,14 @@ router.post('/:id/readings', async (req, res) => {
     if (!sensor) {
       return res.status(404).json({ message: 'Sensor not found' });
     }
+    if (sensor.derived?.kind) {
+      return res.status(400).json({ message: DERIVED_READING_ERROR });
+    }
     
-    await sensor.addReading(value, quality);
+    const { duplicate } = await ingestReading(sensor, reading);
     
     res.json({
-      message: 'Reading added successfully',
+      message: duplicate ? 'Reading already recorded' : 'Reading added successfully',
       currentReading: sensor.currentReading
     });
   } catch (error) {
@@ -311,24 +870,149 @@ router.post('/:id/readings', async (req, res) => {
   }
 });
 
-// Helper functions
-function getAQICategory(aqi) {
-  if (aqi <= 50) return 'Good';
-  if (aqi <= 100) return 'Satisfactory';
-  if (aqi <= 200) return 'Moderate';
-  if (aqi <= 300) return 'Poor';
-  if (aqi <= 400) return 'Very Poor';
-  return 'Severe';
-}
+// Device heartbeat without a reading (battery level, declared reporting interval)
+router.post('/:id/heartbeat', deviceAuth, async (req, res) => {
+  try {
+    const { error, value } = validateHeartbeat(req.body);
+    if (error) {
+      return res.status(400).json({ message: 'Validation error', details: error.details });
+    }
+
+    const sensor = await Sensor.findOne({ sensorId: req.params.id });
+
+    if (!sensor) {
+      return res.status(404).json({ message: 'Sensor not found' });
+    }
+
+    if (value.expectedInterval && value.expectedInterval !== sensor.monitoring.expectedInterval) {
+      sensor.monitoring.expectedInterval = value.expectedInterval;
+      await Sensor.updateOne({ _id: sensor._id }, { $set: { 'monitoring.expectedInterval': value.expectedInterval } });
+    }
+
+    await sensor.markSeen(value.batteryLevel);
+
+    res.json({
+      message: 'Heartbeat recorded',
+      status: sensor.status,
+      monitoring: sensor.monitoring
+    });
+  } catch (error) {
+    console.error('Error recording sensor heartbeat:', error);
+    res.status(500).json({ message: 'Failed to record sensor heartbeat', error: error.message });
+  }
+});
+
+// Upload many readings at once (gateways flushing an offline buffer).
+// Accepts a JSON array, { readings: [...] } or NDJSON with one reading per line.
+router.post('/readings/batch', ndjsonParser, deviceAuth, async (req, res) => {
+  try {
+    const items = parseBatchBody(req.body);
+
+    if (!items) {
+      return res.status(400).json({ message: 'Body must be a JSON array, { readings: [...] } or NDJSON' });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(413).json({ message: `A batch may contain at most ${MAX_BATCH_ITEMS} readings` });
+    }
+
+    const results = [];
+    const bySensor = new Map();
+    const mismatched = new Set();
+    const now = Date.now();
+    const oldest = now - SensorReading.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    items.forEach((item, index) => {
+      const result = { index, sensorId: item?.sensorId, status: 'rejected' };
+      results.push(result);
+
+      if (item === undefined) {
+        result.error = 'Invalid JSON';
+        return;
+      }
 
+      const { error, value: reading } = validateBatchReading(item);
+      if (error) {
+        result.error = error.details[0].message;
+        return;
+      }
+
+      result.timestamp = reading.timestamp;
+
+      if (!req.device.covers(reading.sensorId)) {
+        mismatched.add(reading.sensorId);
+        result.error = 'Device key is not valid for this sensor';
+        return;
+      }
+      if (reading.timestamp.getTime() > now + MAX_FUTURE_MS) {
+        result.error = 'Timestamp is in the future';
+        return;
+      }
+      if (reading.timestamp.getTime() < oldest) {
+        result.error = 'Timestamp is older than the retention period';
+        return;
+      }
+
+      reading.index = index;
+      if (!bySensor.has(reading.sensorId)) bySensor.set(reading.sensorId, []);
+      bySensor.get(reading.sensorId).push(reading);
+    });
+
+    for (const sensorId of mismatched) {
+      recordRejection(sensorId, 'sensor_mismatch');
+    }
+
+    const sensors = await Sensor.find({ sensorId: { $in: [...bySensor.keys()] } });
+    const alerts = [];
+
+    for (const [sensorId, readings] of bySensor) {
+      const sensor = sensors.find(s => s.sensorId === sensorId);
+
+      if (!sensor) {
+        readings.forEach(reading => { results[reading.index].error = 'Sensor not found'; });
+        continue;
+      }
+      if (sensor.derived?.kind) {
+        readings.forEach(reading => { results[reading.index].error = DERIVED_READING_ERROR; });
+        continue;
+      }
+
+      const { accepted, duplicates, alerts: raised } = await ingestReadings(sensor, readings);
+      accepted.forEach(reading => { results[reading.index].status = 'accepted'; });
+      duplicates.forEach(reading => { results[reading.index].status = 'duplicate'; });
+      alerts.push(...raised.map(alert => alert.id));
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    res.json({
+      message: 'Batch processed',
+      summary: {
+        received: results.length,
+        accepted: count('accepted'),
+        duplicates: count('duplicate'),
+        rejected: count('rejected'),
+        alerts
+      },
+      results
+    });
+  } catch (error) {
+    console.error('Error ingesting sensor reading batch:', error);
+    res.status(500).json({ message: 'Failed to ingest sensor readings', error: error.message });
+  }
+});
+
+// Helper functions
 function generateLocationAlerts(locationData) {
   const alerts = [];
   
-  if (locationData.airQuality?.aqi > 200) {
+  // NAQI Poor (201+) and worse
+  const aqi = locationData.airQuality?.aqi;
+  if (aqi > 200) {
+    const dominant = locationData.airQuality.dominantPollutant;
     alerts.push({
       type: 'air_quality',
-      severity: locationData.airQuality.aqi > 300 ? 'high' : 'medium',
-      message: `Poor air quality detected. AQI: ${Math.round(locationData.airQuality.aqi)}`
+      severity: aqi > 300 ? 'high' : 'medium',
+      message: `${aqiCategory(aqi)} air quality detected. AQI: ${Math.round(aqi)}${dominant ? ` (${dominant.replace('_', '.').toUpperCase()})` : ''}`
     });
   }
   
@@ -354,51 +1038,23 @@ function generateLocationAlerts(locationData) {
   return alerts;
 }
 
-function generateHistoricalData(sensorType, hours, limit) {
-  const data = [];
-  const now = new Date();
-  const interval = (hours * 60 * 60 * 1000) / limit;
-  
-  for (let i = 0; i < limit; i++) {
-    const timestamp = new Date(now.getTime() - (limit - i) * interval);
-    let value;
-    
-    switch (sensorType) {
-      case 'temperature':
-        // Simulate daily temperature cycle
-        const hourOfDay = timestamp.getHours();
-        value = 20 + 8 * Math.sin((hourOfDay - 6) / 24 * 2 * Math.PI) + Math.random() * 2;
-        break;
-      case 'humidity':
-        value = 50 + 20 * Math.sin(timestamp.getTime() / 3600000) + Math.random() * 10;
-        break;
-      case 'air_quality':
-        // Higher AQI during day, lower at night
-        const isDay = timestamp.getHours() >= 6 && timestamp.getHours() <= 20;
-        value = (isDay ? 120 : 80) + Math.random() * 40;
-        break;
-      case 'wind_speed':
-        value = 10 + Math.random() * 20;
-        break;
-      case 'seismic':
-        value = Math.random() * 2; // Usually low
-        if (Math.random() < 0.02) value += Math.random() * 3; // Occasional spikes
-        break;
-      case 'water_level':
-        value = 3 + Math.sin(timestamp.getTime() / 3600000) + Math.random() * 0.5;
-        break;
-      default:
-        value = Math.random() * 100;
-    }
-    
-    data.push({
-      value: Math.max(0, value),
-      timestamp,
-      quality: 'good'
+// Parse a batch body into reading items; unparseable NDJSON lines become undefined entries
+function parseBatchBody(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.readings)) return body.readings;
+  if (typeof body !== 'string') return null;
+
+  return body
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return undefined;
+      }
     });
-  }
-  
-  return data;
 }
 
 function calculateAverage(readings) {
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { streamAuth } = require('../middleware/auth');
+const { subscribe, getEventsSince, createFilter } = require('../utils/eventStream');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// Server-Sent Events stream of alert, sensor and team updates
+// Query options: topics, alertType, severity, sensorType, bbox, lastEventId
+router.get('/', streamAuth, (req, res) => {
+  let filter;
+  try {
+    filter = createFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid subscription', error: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression buffers output, so flush after every write
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const send = (entry) => {
+    if (!filter(entry)) return;
+    write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  };
+
+  write('retry: 5000\n\n');
+
+  // Resume from the last event the client saw
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Too old to replay, the client should refetch state over REST
+      write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+  }
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { auth } = require('../middleware/auth');
+const User = require('../models/User');
 
 // Basic user routes for future implementation
 // For now, we'll keep it simple without authentication
@@ -53,4 +55,61 @@ router.get('/alerts', (req, res) => {
   });
 });
 
+// Get the VAPID public key browsers need to create a push subscription
+router.get('/push/public-key', (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res.status(404).json({ message: 'Web push is not configured' });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Register a browser push subscription for the current user
+router.post('/push-subscriptions', auth, async (req, res) => {
+  try {
+    const { endpoint, keys } = req.body;
+
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+      return res.status(400).json({ message: 'endpoint, keys.p256dh and keys.auth are required' });
+    }
+
+    const userId = req.user.userId || req.user._id;
+    await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint } } });
+    const result = await User.updateOne(
+      { _id: userId },
+      { $push: { pushSubscriptions: { endpoint, keys } } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(201).json({ message: 'Push subscription registered successfully' });
+  } catch (error) {
+    console.error('Error registering push subscription:', error);
+    res.status(500).json({ message: 'Failed to register push subscription', error: error.message });
+  }
+});
+
+// Remove a browser push subscription
+router.delete('/push-subscriptions', auth, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+      return res.status(400).json({ message: 'endpoint is required' });
+    }
+
+    await User.updateOne(
+      { _id: req.user.userId || req.user._id },
+      { $pull: { pushSubscriptions: { endpoint } } }
+    );
+
+    res.json({ message: 'Push subscription removed successfully' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ message: 'Failed to remove push subscription', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
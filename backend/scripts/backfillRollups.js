@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { recomputeRollups } = require('../utils/sensorRollups');
+
+// Readings are rolled up a week at a time to keep each aggregation small
+const WINDOW_DAYS = 7;
+const DAY = 24 * 60 * 60 * 1000;
+
+// First and last stored (non-exercise) reading of a sensor, or null without readings
+const readingRange = async (sensorId) => {
+  const filter = { sensorId, 'exercise.runId': { $exists: false } };
+  const [first, last] = await Promise.all([
+    SensorReading.findOne(filter).sort({ timestamp: 1 }).select('timestamp').lean(),
+    SensorReading.findOne(filter).sort({ timestamp: -1 }).select('timestamp').lean()
+  ]);
+  return first ? { from: first.timestamp, to: last.timestamp } : null;
+};
+
+// Rebuild every rollup level of one sensor from its stored readings
+const backfillSensor = async (sensorId) => {
+  const range = await readingRange(sensorId);
+  if (!range) return 0;
+
+  let windows = 0;
+  for (let start = range.from.getTime(); start <= range.to.getTime(); start += WINDOW_DAYS * DAY) {
+    const end = Math.min(start + WINDOW_DAYS * DAY - 1, range.to.getTime());
+    await recomputeRollups([sensorId], new Date(start), new Date(end));
+    windows++;
+  }
+  return windows;
+};
+
+// Rollups are normally kept current by the scheduled job, which only revisits recent buckets.
+// Readings stored before rollups existed (or moved by `npm run migrate:readings`) need this
+// once. Pass sensor ids to limit it to those sensors; running it again is safe.
+const backfillRollups = async (sensorIds = []) => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disaster-response');
+    console.log('📊 Backfilling sensor rollups from stored readings...');
+
+    const ids = sensorIds.length > 0
+      ? sensorIds
+      : (await Sensor.find().select('sensorId').lean()).map(sensor => sensor.sensorId);
+
+    let sensors = 0;
+    for (const sensorId of ids) {
+      const windows = await backfillSensor(sensorId);
+      if (windows === 0) {
+        console.log(`⏭️  ${sensorId}: no readings`);
+        continue;
+      }
+      sensors++;
+      console.log(`✅ ${sensorId}: rollups rebuilt (${windows} week(s) of readings)`);
+    }
+
+    console.log(`🎉 Backfilled rollups for ${sensors} sensor(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling rollups:', error);
+    process.exit(1);
+  }
+};
+
+// Run backfill if this file is executed directly
+if (require.main === module) {
+  backfillRollups(process.argv.slice(2));
+}
+
+module.exports = { backfillRollups };
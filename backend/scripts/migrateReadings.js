@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+
+const BATCH_SIZE = 1000;
+
+// Create the time-series collection if needed and apply the configured retention
+const ensureReadingsCollection = async () => {
+  await SensorReading.createCollection();
+
+  const expireAfterSeconds = SensorReading.RETENTION_DAYS * 24 * 60 * 60;
+  await mongoose.connection.db.command({
+    collMod: SensorReading.collection.collectionName,
+    expireAfterSeconds
+  });
+  console.log(`🗄️  Reading retention set to ${SensorReading.RETENTION_DAYS} days`);
+};
+
+// Move one sensor's embedded readings, skipping any already copied by an interrupted run
+const migrateSensor = async (doc) => {
+  const readings = doc.readings
+    .filter(reading => typeof reading.value === 'number' && reading.timestamp)
+    .map(reading => ({
+      sensorId: doc.sensorId,
+      timestamp: reading.timestamp,
+      value: reading.value,
+      quality: reading.quality || 'good'
+    }));
+
+  let inserted = 0;
+
+  if (readings.length > 0) {
+    const timestamps = readings.map(reading => reading.timestamp.getTime());
+    const existing = await SensorReading.find({
+      sensorId: doc.sensorId,
+      timestamp: { $gte: new Date(Math.min(...timestamps)), $lte: new Date(Math.max(...timestamps)) }
+    }).select('timestamp').lean();
+    const seen = new Set(existing.map(reading => reading.timestamp.getTime()));
+    const pending = readings.filter(reading => !seen.has(reading.timestamp.getTime()));
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      await SensorReading.insertMany(pending.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+    inserted = pending.length;
+  }
+
+  await Sensor.collection.updateOne({ _id: doc._id }, { $unset: { readings: '' } });
+  return inserted;
+};
+
+const migrateReadings = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disaster-response');
+    console.log('🚚 Migrating embedded sensor readings to the time-series collection...');
+
+    await ensureReadingsCollection();
+
+    // Read through the raw collection since `readings` is no longer in the schema
+    const cursor = Sensor.collection.find(
+      { readings: { $exists: true } },
+      { projection: { sensorId: 1, readings: 1 } }
+    );
+
+    let sensors = 0;
+    let total = 0;
+    for await (const doc of cursor) {
+      const inserted = await migrateSensor(doc);
+      sensors++;
+      total += inserted;
+      console.log(`✅ ${doc.sensorId}: ${inserted} reading(s) migrated`);
+    }
+
+    console.log(`🎉 Migrated ${total} reading(s) from ${sensors} sensor(s)`);
+    if (total > 0) {
+      console.log('📊 Run `npm run backfill:rollups` to build rollups for the migrated readings');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating readings:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateReadings();
+}
+
+module.exports = { migrateReadings };
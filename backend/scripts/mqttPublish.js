@@ -0,0 +1,45 @@
+const mqtt = require('mqtt');
+require('dotenv').config();
+
+// Publish a test reading to the broker the bridge listens on:
+//   npm run mqtt:publish -- <sensorId> <value> [quality]
+const [sensorId, value, quality = 'good'] = process.argv.slice(2);
+
+if (!sensorId || isNaN(Number(value))) {
+  console.error('Usage: npm run mqtt:publish -- <sensorId> <value> [quality]');
+  process.exit(1);
+}
+
+const url = process.env.MQTT_URL || 'mqtt://localhost:1883';
+const topic = (process.env.MQTT_TOPIC || 'sensors/{sensorId}/readings').replace('{sensorId}', sensorId);
+
+const client = mqtt.connect(url, {
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  connectTimeout: 10000,
+  reconnectPeriod: 0
+});
+
+client.on('connect', () => {
+  const payload = JSON.stringify({
+    value: Number(value),
+    quality,
+    timestamp: new Date().toISOString()
+  });
+
+  client.publish(topic, payload, { qos: 1 }, (error) => {
+    if (error) {
+      console.error('❌ Publish failed:', error.message);
+      process.exitCode = 1;
+    } else {
+      console.log(`📡 Published to ${topic}: ${payload}`);
+    }
+    client.end();
+  });
+});
+
+client.on('error', (error) => {
+  console.error('❌ MQTT error:', error.message);
+  client.end();
+  process.exit(1);
+});
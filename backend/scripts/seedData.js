@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { initializeSensors } = require('../utils/sensorSimulator');
+const { ensureDefaultRules } = require('../utils/ruleEngine');
 const Team = require('../models/Team');
 require('dotenv').config();
 
@@ -158,6 +159,7 @@ const seedDatabase = async () => {
     console.log('🌱 Starting database seeding...');
     
     await initializeSensors();
+    await ensureDefaultRules();
     await seedTeams();
     
     console.log('✅ Database seeding completed successfully!');
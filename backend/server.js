@@ -17,7 +17,13 @@ app.use(cors({
 }));
 app.use(compression());
 app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so signed device requests can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // -------------------- Database --------------------
@@ -34,18 +40,33 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disaster-
 // -------------------- Routes --------------------
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/reports', require('./routes/reports'));
 app.use('/api/sensors', require('./routes/sensors'));
 app.use('/api/teams', require('./routes/teams'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/training', require('./routes/training'));
+app.use('/api/stream', require('./routes/stream'));
+app.use('/api/escalation-policies', require('./routes/escalationPolicies'));
+app.use('/api/alert-rules', require('./routes/alertRules'));
+app.use('/api/device-credentials', require('./routes/deviceCredentials'));
+app.use('/api/river-network', require('./routes/riverNetwork'));
+app.use('/api/scenarios', require('./routes/scenarios'));
+app.use('/api/replays', require('./routes/replays'));
 
 // -------------------- Health Check --------------------
+const { getProviderStatus } = require('./services/externalAPI');
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    mqtt: getMqttStatus(),
+    earthquakeFeed: getEarthquakeFeedStatus(),
+    forecastWarnings: getForecastWarningStatus(),
+    scenario: getScenarioStatus(),
+    replays: getReplayStatus(),
+    externalData: getProviderStatus()
   });
 });
 
@@ -55,6 +76,58 @@ cron.schedule('*/5 * * * * *', () => {
   simulateSensorData();
 });
 
+// -------------------- Scenario Engine --------------------
+const { advanceScenario, getStatus: getScenarioStatus } = require('./utils/scenarioEngine');
+cron.schedule('*/5 * * * * *', () => {
+  advanceScenario();
+});
+
+// -------------------- Historical Replay --------------------
+const { advanceReplays, getStatus: getReplayStatus } = require('./utils/historicalReplay');
+cron.schedule('*/5 * * * * *', () => {
+  advanceReplays();
+});
+
+// -------------------- Sensor Rollups --------------------
+const { updateRecentRollups } = require('./utils/sensorRollups');
+cron.schedule('30 * * * * *', () => {
+  updateRecentRollups();
+});
+
+// -------------------- Sensor Watchdog --------------------
+const { checkSensorHealth } = require('./utils/sensorWatchdog');
+cron.schedule('15 * * * * *', () => {
+  checkSensorHealth();
+});
+
+// -------------------- Alert Escalation --------------------
+const { processEscalations } = require('./utils/escalationEngine');
+cron.schedule('*/30 * * * * *', () => {
+  processEscalations();
+});
+
+// -------------------- Notification Queue --------------------
+const { processNotificationQueue } = require('./services/notificationDispatcher');
+cron.schedule('*/10 * * * * *', () => {
+  processNotificationQueue();
+});
+
+// -------------------- Earthquake Feed --------------------
+const { ingestEarthquakes, getStatus: getEarthquakeFeedStatus } = require('./utils/earthquakeIngest');
+cron.schedule('45 * * * * *', () => {
+  ingestEarthquakes();
+});
+
+// -------------------- Forecast Early Warnings --------------------
+const { evaluateForecastWarnings, getStatus: getForecastWarningStatus } = require('./utils/forecastWarnings');
+cron.schedule('0 */30 * * * *', () => {
+  evaluateForecastWarnings();
+});
+
+// -------------------- MQTT Bridge --------------------
+const { startMqttBridge, getStatus: getMqttStatus } = require('./services/mqttBridge');
+startMqttBridge();
+
 // -------------------- Error Handling --------------------
 app.use((err, req, res, next) => {
   console.error(err.stack);
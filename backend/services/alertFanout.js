@@ -0,0 +1,131 @@
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const {
+  MESSAGE_LABELS,
+  notifyAlert,
+  queueNotification,
+  buildAlertMessage,
+  collectUserRecipients
+} = require('./notificationDispatcher');
+
+// Upper bound for the geo query; users asking for a larger radius are capped to it
+const MAX_RADIUS_KM = parseFloat(process.env.FANOUT_MAX_RADIUS_KM) || 100;
+const DEFAULT_RADIUS_KM = 10;
+
+// Find citizens whose own alert radius covers the alert coordinates
+const findRecipients = (alert) => {
+  return User.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [alert.coordinates.lng, alert.coordinates.lat] },
+        key: 'location.coordinates.coordinates',
+        distanceField: 'distance',
+        maxDistance: MAX_RADIUS_KM * 1000,
+        spherical: true,
+        query: { role: 'citizen' }
+      }
+    },
+    {
+      $match: {
+        $expr: {
+          $lte: ['$distance', { $multiply: [{ $ifNull: ['$preferences.alertRadius', DEFAULT_RADIUS_KM] }, 1000] }]
+        }
+      }
+    },
+    {
+      $project: {
+        email: 1,
+        phone: 1,
+        preferences: 1,
+        pushSubscriptions: 1,
+        distance: 1
+      }
+    }
+  ]);
+};
+
+// Helper function to group recipients by language and channel
+const groupRecipients = (users) => {
+  const byLanguage = {};
+
+  users.forEach(user => {
+    const language = MESSAGE_LABELS[user.preferences?.language] ? user.preferences.language : 'en';
+    (byLanguage[language] = byLanguage[language] || []).push(user);
+  });
+
+  return Object.entries(byLanguage).map(([language, group]) => ({
+    language,
+    users: group.length,
+    recipients: collectUserRecipients(group)
+  }));
+};
+
+// Helper function to total recipients per channel
+const summarize = (users, groups) => {
+  const byChannel = { email: 0, sms: 0, push: 0 };
+  const byLanguage = {};
+
+  groups.forEach(({ language, users: count, recipients }) => {
+    byLanguage[language] = count;
+    Object.keys(byChannel).forEach(channel => {
+      byChannel[channel] += recipients[channel].length;
+    });
+  });
+
+  return { total: users.length, byChannel, byLanguage };
+};
+
+// Count who an alert would reach without sending anything
+const previewFanout = async (alert) => {
+  const users = await findRecipients(alert);
+  return {
+    ...summarize(users, groupRecipients(users)),
+    maxRadiusKm: MAX_RADIUS_KM
+  };
+};
+
+// Queue localized notifications to every citizen in range and record the counts on the alert
+const fanOutAlert = async (alert, { reason = 'created' } = {}) => {
+  // Exercise alerts stay with staff; citizens are never told about a drill
+  if (alert.exercise?.runId) return null;
+
+  try {
+    const users = await findRecipients(alert);
+    const groups = groupRecipients(users);
+
+    for (const { language, recipients } of groups) {
+      const message = buildAlertMessage(alert, reason, language);
+      for (const [channel, list] of Object.entries(recipients)) {
+        await queueNotification({ alert, channel, recipients: list, message, reason: `fanout:${reason}` });
+      }
+    }
+
+    const fanout = {
+      ...summarize(users, groups),
+      reason,
+      computedAt: new Date()
+    };
+    await Alert.updateOne({ _id: alert._id }, { $set: { fanout } });
+
+    if (users.length > 0) {
+      console.log(`📢 Alert ${alert.id} fanned out to ${users.length} citizen(s)`);
+    }
+    return fanout;
+  } catch (error) {
+    console.error('Error fanning out alert:', error);
+    return null;
+  }
+};
+
+// Notify staff and citizens about a new alert
+const dispatchAlert = async (alert, { reason = 'created' } = {}) => {
+  await notifyAlert(alert, { reason });
+  await fanOutAlert(alert, { reason });
+};
+
+module.exports = {
+  findRecipients,
+  previewFanout,
+  fanOutAlert,
+  dispatchAlert
+};
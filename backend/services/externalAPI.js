@@ -1,72 +1,547 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const { POLLUTANTS, aqiCategory, averageConcentration, computeNAQI } = require('../utils/aqi');
 
 // API Keys (Add these to your .env file)
 const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const DATA_GOV_IN_API_KEY = process.env.DATA_GOV_IN_API_KEY;
+
+// data.gov.in resource with CPCB's real-time station readings
+const CPCB_AQI_RESOURCE = '3b01bcb8-0b14-4abf-b6f2-c1bfd384ba69';
+const CPCB_POLLUTANTS = {
+  'PM2.5': 'pm2_5',
+  PM10: 'pm10',
+  NO2: 'no2',
+  SO2: 'so2',
+  CO: 'co',
+  OZONE: 'o3',
+  NH3: 'nh3'
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// -------------------- Provider Layer --------------------
+// Every outbound call goes through a provider, which adds a timeout, retries with backoff
+// and a circuit breaker, and through the response cache, which serves last-known data
+// when the provider fails.
+
+// Serve recorded responses from this directory instead of calling the network, or record
+// live responses into it with EXTERNAL_API_RECORD=true
+const FIXTURES_DIR = process.env.EXTERNAL_API_FIXTURES
+  ? path.resolve(__dirname, '..', process.env.EXTERNAL_API_FIXTURES)
+  : null;
+const RECORD_FIXTURES = process.env.EXTERNAL_API_RECORD === 'true';
+
+// How long a response stays fresh, per data type
+const CACHE_TTL = {
+  weather: 10 * MINUTE,
+  forecast: HOUR,
+  airQuality: 30 * MINUTE,
+  earthquakes: 5 * MINUTE,
+  geocode: 24 * HOUR,
+  cityAqi: 30 * MINUTE
+};
+// Cache keys use coordinates rounded to 2 decimals (about 1 km)
+const CACHE_COORD_DECIMALS = 2;
+const MAX_CACHE_ENTRIES = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Timeouts, network errors, rate limiting and server errors are worth retrying
+const isRetryable = (error) => !error.response || error.response.status === 429 || error.response.status >= 500;
+
+class ExternalProvider {
+  constructor(name, {
+    timeoutMs = 5000,
+    retries = 2,
+    backoffMs = 300,
+    failureThreshold = 5,
+    resetAfterMs = MINUTE,
+    configured = () => true
+  } = {}) {
+    this.name = name;
+    this.options = { timeoutMs, retries, backoffMs, failureThreshold, resetAfterMs };
+    this.configured = configured;
+    this.state = 'closed';
+    this.openedAt = null;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.stats = { requests: 0, failures: 0, retries: 0, rejected: 0 };
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.lastLatencyMs = null;
+  }
+
+  // Circuit breaker: open after failureThreshold consecutive failures, let one trial
+  // request through (half open) once resetAfterMs has passed. Other requests are rejected
+  // until the trial settles.
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.resetAfterMs) {
+      this.state = 'half_open';
+    }
+    return this.state === 'closed' || (this.state === 'half_open' && !this.trialInFlight);
+  }
+
+  recordSuccess(latencyMs) {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+    this.lastLatencyMs = latencyMs;
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date();
+    this.lastError = error.message;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.options.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚡ Circuit open for ${this.name}: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // One HTTP GET, or the recorded fixture named `fixture` in fixture mode
+  async send(url, params, fixture) {
+    const file = FIXTURES_DIR && path.join(FIXTURES_DIR, this.name, `${fixture}.json`);
+
+    if (file && !RECORD_FIXTURES) {
+      if (!fs.existsSync(file)) {
+        const error = new Error(`No recorded fixture ${this.name}/${fixture}`);
+        error.response = { status: 404 };
+        throw error;
+      }
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    }
+
+    const response = await axios.get(url, { params, timeout: this.options.timeoutMs });
+
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(response.data, null, 2));
+    }
+    return response.data;
+  }
+
+  // Configured (API key set), or answering from fixtures
+  available() {
+    return this.configured() || Boolean(FIXTURES_DIR && !RECORD_FIXTURES);
+  }
+
+  // GET with timeout, retries and the circuit breaker; resolves to the response body
+  async get(url, { params, fixture }) {
+    if (!this.available()) {
+      throw new Error(`${this.name} is not configured`);
+    }
+    if (!this.canRequest()) {
+      this.stats.rejected++;
+      throw new Error(this.state === 'half_open'
+        ? `${this.name} circuit is half open, waiting for its trial request`
+        : `${this.name} circuit is open`);
+    }
+
+    const trial = this.state === 'half_open';
+    if (trial) this.trialInFlight = true;
 
-// OpenWeatherMap API for weather and air quality data
-class WeatherService {
-  static async getCurrentWeather(lat, lon) {
     try {
-      const response = await axios.get(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=metric`
-      );
-      
+      for (let attempt = 0; ; attempt++) {
+        const startedAt = Date.now();
+        this.stats.requests++;
+        try {
+          const data = await this.send(url, params, fixture);
+          this.recordSuccess(Date.now() - startedAt);
+          return data;
+        } catch (error) {
+          // A half-open trial gets no retries
+          if (attempt >= this.options.retries || !isRetryable(error) || trial) {
+            this.recordFailure(error);
+            throw error;
+          }
+          this.stats.retries++;
+          await sleep(this.options.backoffMs * 2 ** attempt * (1 + Math.random() * 0.5));
+        }
+      }
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  getStatus() {
+    this.canRequest();
+    return {
+      name: this.name,
+      configured: this.configured(),
+      state: this.state,
+      healthy: this.state === 'closed' && (!this.lastFailureAt || this.lastSuccessAt > this.lastFailureAt),
+      consecutiveFailures: this.consecutiveFailures,
+      ...this.stats,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      lastLatencyMs: this.lastLatencyMs,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.resetAfterMs) : null
+    };
+  }
+}
+
+const providers = {
+  openweather: new ExternalProvider('openweather', { configured: () => Boolean(OPENWEATHER_API_KEY) }),
+  openmeteo: new ExternalProvider('openmeteo'),
+  usgs: new ExternalProvider('usgs', { timeoutMs: 8000 }),
+  google: new ExternalProvider('google', { configured: () => Boolean(GOOGLE_MAPS_API_KEY) }),
+  datagovin: new ExternalProvider('datagovin', { timeoutMs: 8000, configured: () => Boolean(DATA_GOV_IN_API_KEY) })
+};
+
+// Cached entries are kept after they expire, as last-known data for when a provider fails
+const cache = new Map();
+const inflight = new Map();
+const cacheStats = { hits: 0, misses: 0, staleServed: 0 };
+
+const cacheKey = (dataType, lat, lon, ...extra) =>
+  [dataType, Number(lat).toFixed(CACHE_COORD_DECIMALS), Number(lon).toFixed(CACHE_COORD_DECIMALS), ...extra].join(':');
+
+// Fresh cached value, or fetch() from the provider(s); on failure fall back to the last-known value
+const cachedFetch = async (dataType, key, fetch) => {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.storedAt < CACHE_TTL[dataType]) {
+    cacheStats.hits++;
+    return entry.value;
+  }
+  cacheStats.misses++;
+
+  // Concurrent requests for the same key share one call
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = (async () => {
+    try {
+      const value = await fetch();
+      cache.delete(key);
+      cache.set(key, { value, storedAt: Date.now() });
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+      return value;
+    } catch (error) {
+      if (entry) {
+        cacheStats.staleServed++;
+        console.warn(`External data unavailable, serving ${dataType} from ${new Date(entry.storedAt).toISOString()}: ${error.message}`);
+        return entry.value;
+      }
+      throw error;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+
+  inflight.set(key, promise);
+  return promise;
+};
+
+// Health of every provider, for /api/health
+const getProviderStatus = () => ({
+  mode: FIXTURES_DIR ? (RECORD_FIXTURES ? 'recording' : 'fixtures') : 'live',
+  weatherProviders: WEATHER_PROVIDERS,
+  cache: { entries: cache.size, ...cacheStats },
+  providers: Object.values(providers).map(provider => provider.getStatus())
+});
+
+// -------------------- Weather Providers --------------------
+// Interchangeable sources of current weather, forecast and air quality. Every source returns
+// the same shapes and units: °C, %, hPa (sea level), km/h, degrees, km, and mm per 3 hours.
+
+// WMO weather codes (Open-Meteo) as a description and the matching OpenWeather icon
+const WMO_CODES = {
+  0: ['clear sky', '01'],
+  1: ['mainly clear', '02'],
+  2: ['partly cloudy', '03'],
+  3: ['overcast clouds', '04'],
+  45: ['fog', '50'],
+  48: ['depositing rime fog', '50'],
+  51: ['light drizzle', '09'],
+  53: ['drizzle', '09'],
+  55: ['heavy drizzle', '09'],
+  56: ['freezing drizzle', '09'],
+  57: ['heavy freezing drizzle', '09'],
+  61: ['light rain', '10'],
+  63: ['moderate rain', '10'],
+  65: ['heavy rain', '10'],
+  66: ['freezing rain', '13'],
+  67: ['heavy freezing rain', '13'],
+  71: ['light snow', '13'],
+  73: ['snow', '13'],
+  75: ['heavy snow', '13'],
+  77: ['snow grains', '13'],
+  80: ['light rain showers', '09'],
+  81: ['rain showers', '09'],
+  82: ['violent rain showers', '09'],
+  85: ['snow showers', '13'],
+  86: ['heavy snow showers', '13'],
+  95: ['thunderstorm', '11'],
+  96: ['thunderstorm with hail', '11'],
+  99: ['thunderstorm with heavy hail', '11']
+};
+
+const describeWmo = (code, isDay = true) => {
+  const [description, icon] = WMO_CODES[code] || ['unknown', '01'];
+  return { description, icon: `${icon}${isDay ? 'd' : 'n'}` };
+};
+
+// Open-Meteo pollutant names
+const OPEN_METEO_POLLUTANTS = {
+  pm2_5: 'pm2_5',
+  pm10: 'pm10',
+  co: 'carbon_monoxide',
+  no2: 'nitrogen_dioxide',
+  so2: 'sulphur_dioxide',
+  o3: 'ozone',
+  nh3: 'ammonia'
+};
+
+// airQualityHours() returns the last 24 hours, oldest first, as { time, components } with
+// concentrations in µg/m³ (OpenWeather's component names)
+const weatherProviders = {
+  openweather: {
+    provider: providers.openweather,
+
+    async currentWeather(lat, lon) {
+      const data = await providers.openweather.get('https://api.openweathermap.org/data/2.5/weather', {
+        params: { lat, lon, appid: OPENWEATHER_API_KEY, units: 'metric' },
+        fixture: 'weather'
+      });
+
       return {
-        temperature: response.data.main.temp,
-        humidity: response.data.main.humidity,
-        pressure: response.data.main.pressure,
-        windSpeed: response.data.wind?.speed ? response.data.wind.speed * 3.6 : 0, // Convert m/s to km/h
-        windDirection: response.data.wind?.deg || 0,
-        visibility: response.data.visibility ? response.data.visibility / 1000 : 10, // Convert to km
-        description: response.data.weather[0].description,
-        icon: response.data.weather[0].icon,
-        timestamp: new Date()
+        temperature: data.main.temp,
+        humidity: data.main.humidity,
+        pressure: data.main.pressure,
+        windSpeed: data.wind?.speed ? data.wind.speed * 3.6 : 0, // Convert m/s to km/h
+        windDirection: data.wind?.deg || 0,
+        visibility: data.visibility ? data.visibility / 1000 : 10, // Convert to km
+        description: data.weather[0].description,
+        icon: data.weather[0].icon,
+        timestamp: new Date(data.dt * 1000)
       };
+    },
+
+    async forecast(lat, lon, days) {
+      const data = await providers.openweather.get('https://api.openweathermap.org/data/2.5/forecast', {
+        // 8 forecasts per day (3-hour intervals)
+        params: { lat, lon, appid: OPENWEATHER_API_KEY, units: 'metric', cnt: days * 8 },
+        fixture: 'forecast'
+      });
+
+      return data.list.map(item => ({
+        datetime: new Date(item.dt * 1000),
+        temperature: item.main.temp,
+        humidity: item.main.humidity,
+        windSpeed: item.wind?.speed ? item.wind.speed * 3.6 : 0,
+        description: item.weather[0].description,
+        precipitation: item.rain?.['3h'] || item.snow?.['3h'] || 0
+      }));
+    },
+
+    async airQualityHours(lat, lon) {
+      const end = Math.floor(Date.now() / 1000);
+      const data = await providers.openweather.get('https://api.openweathermap.org/data/2.5/air_pollution/history', {
+        params: { lat, lon, start: end - 24 * 60 * 60, end, appid: OPENWEATHER_API_KEY },
+        fixture: 'air_pollution_history'
+      });
+
+      return data.list.map(hour => ({ time: new Date(hour.dt * 1000), components: hour.components }));
+    }
+  },
+
+  // Open-Meteo needs no API key
+  openmeteo: {
+    provider: providers.openmeteo,
+
+    async currentWeather(lat, lon) {
+      const data = await providers.openmeteo.get('https://api.open-meteo.com/v1/forecast', {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          current: 'temperature_2m,relative_humidity_2m,pressure_msl,wind_speed_10m,wind_direction_10m,weather_code,visibility,is_day',
+          wind_speed_unit: 'kmh',
+          timeformat: 'unixtime'
+        },
+        fixture: 'current'
+      });
+
+      const current = data.current;
+      return {
+        temperature: current.temperature_2m,
+        humidity: current.relative_humidity_2m,
+        pressure: current.pressure_msl,
+        windSpeed: current.wind_speed_10m || 0,
+        windDirection: current.wind_direction_10m || 0,
+        visibility: current.visibility != null ? current.visibility / 1000 : 10,
+        ...describeWmo(current.weather_code, current.is_day !== 0),
+        timestamp: new Date(current.time * 1000)
+      };
+    },
+
+    async forecast(lat, lon, days) {
+      const data = await providers.openmeteo.get('https://api.open-meteo.com/v1/forecast', {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          hourly: 'temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation,weather_code',
+          forecast_days: days + 1,
+          wind_speed_unit: 'kmh',
+          timeformat: 'unixtime'
+        },
+        fixture: 'forecast'
+      });
+
+      // Hourly steps grouped into 3-hour steps from the current one, like OpenWeather's forecast
+      const hourly = data.hourly;
+      const start = Math.floor(Date.now() / (3 * HOUR)) * 3 * HOUR;
+      const first = hourly.time.findIndex(time => time * 1000 >= start);
+      const steps = [];
+
+      for (let i = Math.max(first, 0); i < hourly.time.length && steps.length < days * 8; i += 3) {
+        const precipitation = hourly.precipitation.slice(i, i + 3).reduce((sum, value) => sum + (value || 0), 0);
+        steps.push({
+          datetime: new Date(hourly.time[i] * 1000),
+          temperature: hourly.temperature_2m[i],
+          humidity: hourly.relative_humidity_2m[i],
+          windSpeed: hourly.wind_speed_10m[i] || 0,
+          description: describeWmo(hourly.weather_code[i]).description,
+          precipitation: Math.round(precipitation * 100) / 100
+        });
+      }
+
+      return steps;
+    },
+
+    async airQualityHours(lat, lon) {
+      const data = await providers.openmeteo.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
+        params: {
+          latitude: lat,
+          longitude: lon,
+          hourly: Object.values(OPEN_METEO_POLLUTANTS).join(','),
+          past_days: 1,
+          forecast_days: 1,
+          timeformat: 'unixtime'
+        },
+        fixture: 'air_quality'
+      });
+
+      const hourly = data.hourly;
+      return hourly.time
+        .map((time, i) => ({
+          time: new Date(time * 1000),
+          components: Object.fromEntries(Object.entries(OPEN_METEO_POLLUTANTS)
+            .map(([pollutant, name]) => [pollutant, hourly[name]?.[i] ?? undefined]))
+        }))
+        // Past hours only (the response also has today's forecast)
+        .filter(hour => hour.time.getTime() <= Date.now() && hour.components.pm2_5 != null)
+        .slice(-24);
+    }
+  }
+};
+
+// Weather sources to use, in order of preference (WEATHER_PROVIDERS=openmeteo,openweather)
+const WEATHER_PROVIDERS = (process.env.WEATHER_PROVIDERS || 'openweather,openmeteo')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => weatherProviders[name]);
+
+// Call `method` on each weather source in turn until one answers. Sources without an
+// API key or with an open circuit are skipped.
+const withFailover = async (method, ...args) => {
+  const errors = [];
+
+  for (const name of WEATHER_PROVIDERS) {
+    const source = weatherProviders[name];
+    if (!source.provider.available()) continue;
+    if (!source.provider.canRequest()) {
+      errors.push(`${name}: circuit open`);
+      continue;
+    }
+
+    try {
+      return { source: name, value: await source[method](...args) };
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(errors.length > 0 ? errors.join('; ') : 'No weather provider is configured');
+};
+
+// Weather, forecast and air quality from the first weather source that answers
+class WeatherService {
+  static async getCurrentWeather(lat, lon) {
+    try {
+      return await cachedFetch('weather', cacheKey('weather', lat, lon), async () => {
+        const { source, value } = await withFailover('currentWeather', lat, lon);
+        return { ...value, source };
+      });
     } catch (error) {
       console.error('Weather API error:', error.message);
       throw new Error('Failed to fetch weather data');
     }
   }
 
+  // Indian NAQI from the last 24 hours of pollutant concentrations, averaged over each
+  // pollutant's CPCB period
   static async getAirQuality(lat, lon) {
     try {
-      const response = await axios.get(
-        `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}`
-      );
-      
-      const pollutionData = response.data.list[0];
-      
-      return {
-        aqi: pollutionData.main.aqi * 50, // Convert to standard AQI scale
-        pm25: pollutionData.components.pm2_5,
-        pm10: pollutionData.components.pm10,
-        co: pollutionData.components.co,
-        no2: pollutionData.components.no2,
-        o3: pollutionData.components.o3,
-        so2: pollutionData.components.so2,
-        timestamp: new Date()
-      };
+      return await cachedFetch('airQuality', cacheKey('airQuality', lat, lon), async () => {
+        const { source, value } = await withFailover('airQualityHours', lat, lon);
+        return { ...this.toAirQuality(value), source };
+      });
     } catch (error) {
       console.error('Air Quality API error:', error.message);
       throw new Error('Failed to fetch air quality data');
     }
   }
 
+  // NAQI and latest concentrations from hourly { time, components } data, oldest first
+  static toAirQuality(hours) {
+    if (!hours?.length) {
+      throw new Error('No air quality data for this location');
+    }
+    const latest = hours[hours.length - 1];
+
+    const concentrations = {};
+    for (const pollutant of POLLUTANTS) {
+      const average = averageConcentration(pollutant, hours.map(hour => hour.components[pollutant]));
+      // Sources report CO in µg/m³, the CPCB breakpoints are in mg/m³
+      if (average !== null) concentrations[pollutant] = pollutant === 'co' ? average / 1000 : average;
+    }
+    const naqi = computeNAQI(concentrations);
+
+    return {
+      aqi: naqi?.aqi ?? null,
+      category: naqi?.category ?? null,
+      dominantPollutant: naqi?.dominant ?? null,
+      subIndices: naqi?.subIndices ?? {},
+      pm25: latest.components.pm2_5,
+      pm10: latest.components.pm10,
+      co: latest.components.co,
+      no2: latest.components.no2,
+      o3: latest.components.o3,
+      so2: latest.components.so2,
+      nh3: latest.components.nh3 ?? null,
+      timestamp: latest.time
+    };
+  }
+
   static async getWeatherForecast(lat, lon, days = 5) {
     try {
-      const response = await axios.get(
-        `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=metric&cnt=${days * 8}` // 8 forecasts per day (3-hour intervals)
-      );
-      
-      return response.data.list.map(item => ({
-        datetime: new Date(item.dt * 1000),
-        temperature: item.main.temp,
-        humidity: item.main.humidity,
-        windSpeed: item.wind?.speed ? item.wind.speed * 3.6 : 0,
-        description: item.weather[0].description,
-        precipitation: item.rain?.['3h'] || item.snow?.['3h'] || 0
-      }));
+      return await cachedFetch('forecast', cacheKey('forecast', lat, lon, days), async () => {
+        const { source, value } = await withFailover('forecast', lat, lon, days);
+        return value.map(step => ({ ...step, source }));
+      });
     } catch (error) {
       console.error('Weather Forecast API error:', error.message);
       throw new Error('Failed to fetch weather forecast');
@@ -75,34 +550,74 @@ class WeatherService {
 }
 
 // Earthquake data from USGS
+// A GeoJSON feature from the USGS event service as an earthquake
+const toEarthquake = (feature) => ({
+  id: feature.id,
+  // Every id the event has had (networks merge events, the preferred id can change)
+  ids: (feature.properties.ids || feature.id).split(',').filter(Boolean),
+  magnitude: feature.properties.mag,
+  magType: feature.properties.magType,
+  depth: feature.geometry.coordinates[2],
+  location: feature.properties.place,
+  coordinates: {
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0]
+  },
+  timestamp: new Date(feature.properties.time),
+  updated: new Date(feature.properties.updated || feature.properties.time),
+  status: feature.properties.status,
+  tsunami: feature.properties.tsunami === 1,
+  url: feature.properties.url
+});
+
 class EarthquakeService {
   static async getRecentEarthquakes(lat, lon, radiusKm = 500, minMagnitude = 2.5) {
     try {
-      const startTime = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(); // Last 7 days
-      const endTime = new Date().toISOString();
-      
-      const response = await axios.get(
-        `https://earthquake.usgs.gov/fdsnws/event/1/query?format=geojson&starttime=${startTime}&endtime=${endTime}&latitude=${lat}&longitude=${lon}&maxradiuskm=${radiusKm}&minmagnitude=${minMagnitude}`
-      );
-      
-      return response.data.features.map(earthquake => ({
-        id: earthquake.id,
-        magnitude: earthquake.properties.mag,
-        depth: earthquake.geometry.coordinates[2],
-        location: earthquake.properties.place,
-        coordinates: {
-          lat: earthquake.geometry.coordinates[1],
-          lng: earthquake.geometry.coordinates[0]
-        },
-        timestamp: new Date(earthquake.properties.time),
-        tsunami: earthquake.properties.tsunami === 1
-      }));
+      const key = cacheKey('earthquakes', lat, lon, radiusKm, minMagnitude);
+      return await cachedFetch('earthquakes', key, async () => {
+        const data = await providers.usgs.get('https://earthquake.usgs.gov/fdsnws/event/1/query', {
+          params: {
+            format: 'geojson',
+            starttime: new Date(Date.now() - 7 * 24 * HOUR).toISOString(), // Last 7 days
+            endtime: new Date().toISOString(),
+            latitude: lat,
+            longitude: lon,
+            maxradiuskm: radiusKm,
+            minmagnitude: minMagnitude
+          },
+          fixture: 'earthquakes'
+        });
+
+        return data.features.map(toEarthquake);
+      });
     } catch (error) {
       console.error('Earthquake API error:', error.message);
       return []; // Return empty array if service is down
     }
   }
 
+  // Events in a region since `startTime`, including revisions and deletions (status "deleted").
+  // With `updatedAfter` only events added or changed since then are returned. Not cached, and
+  // errors are thrown so the caller can retry on its next poll.
+  static async getEventFeed({ lat, lon, radiusKm, minMagnitude, startTime, updatedAfter }) {
+    const data = await providers.usgs.get('https://earthquake.usgs.gov/fdsnws/event/1/query', {
+      params: {
+        format: 'geojson',
+        starttime: startTime.toISOString(),
+        updatedafter: updatedAfter ? updatedAfter.toISOString() : undefined,
+        latitude: lat,
+        longitude: lon,
+        maxradiuskm: radiusKm,
+        minmagnitude: minMagnitude,
+        includedeleted: true,
+        orderby: 'time-asc'
+      },
+      fixture: 'feed'
+    });
+
+    return data.features.map(toEarthquake);
+  }
+
   static generateSeismicReading() {
     // Generate realistic seismic data for simulation
     const baseValue = Math.random() * 0.5; // Usually low
@@ -115,7 +630,7 @@ class EarthquakeService {
 class GeocodingService {
   static async reverseGeocode(lat, lon) {
     try {
-      if (!GOOGLE_MAPS_API_KEY) {
+      if (!GOOGLE_MAPS_API_KEY && !FIXTURES_DIR) {
         return {
           address: `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
           city: 'Unknown',
@@ -124,24 +639,27 @@ class GeocodingService {
         };
       }
 
-      const response = await axios.get(
-        `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lon}&key=${GOOGLE_MAPS_API_KEY}`
-      );
-      
-      if (response.data.results.length === 0) {
-        throw new Error('No results found');
-      }
-      
-      const result = response.data.results[0];
-      const components = result.address_components;
-      
-      return {
-        address: result.formatted_address,
-        city: this.getComponent(components, 'locality') || this.getComponent(components, 'administrative_area_level_2'),
-        state: this.getComponent(components, 'administrative_area_level_1'),
-        country: this.getComponent(components, 'country'),
-        pincode: this.getComponent(components, 'postal_code')
-      };
+      return await cachedFetch('geocode', cacheKey('geocode', lat, lon), async () => {
+        const data = await providers.google.get('https://maps.googleapis.com/maps/api/geocode/json', {
+          params: { latlng: `${lat},${lon}`, key: GOOGLE_MAPS_API_KEY },
+          fixture: 'geocode'
+        });
+
+        if (data.results.length === 0) {
+          throw new Error('No results found');
+        }
+
+        const result = data.results[0];
+        const components = result.address_components;
+
+        return {
+          address: result.formatted_address,
+          city: this.getComponent(components, 'locality') || this.getComponent(components, 'administrative_area_level_2'),
+          state: this.getComponent(components, 'administrative_area_level_1'),
+          country: this.getComponent(components, 'country'),
+          pincode: this.getComponent(components, 'postal_code')
+        };
+      });
     } catch (error) {
       console.error('Geocoding API error:', error.message);
       return {
@@ -159,39 +677,75 @@ class GeocodingService {
   }
 }
 
-// Indian Government APIs (fallback data)
+// Indian Government APIs
 class IndianGovService {
+  // City NAQI from CPCB's monitoring stations (via data.gov.in). The feed already averages
+  // each pollutant over its CPCB period; the city index is the mean of the station indices.
   static async getAQIFromCPCB(city = 'Delhi') {
+    const unavailable = { city, aqi: null, category: null, stations: [], timestamp: new Date() };
+
+    if (!DATA_GOV_IN_API_KEY && !FIXTURES_DIR) {
+      return unavailable;
+    }
+
     try {
-      // This is a simulated response since CPCB API requires special access
-      // In production, you would integrate with official CPCB APIs
-      const simulatedData = {
-        Delhi: 180,
-        Mumbai: 120,
-        Bangalore: 95,
-        Chennai: 110,
-        Kolkata: 160,
-        Ghaziabad: 200
-      };
-      
+      const data = await cachedFetch('cityAqi', `cityAqi:${city.toLowerCase()}`, () =>
+        providers.datagovin.get(`https://api.data.gov.in/resource/${CPCB_AQI_RESOURCE}`, {
+          params: {
+            'api-key': DATA_GOV_IN_API_KEY,
+            format: 'json',
+            limit: 1000,
+            'filters[city]': city
+          },
+          fixture: 'cpcb_aqi'
+        })
+      );
+
+      const stations = new Map();
+      for (const record of data.records || []) {
+        const pollutant = CPCB_POLLUTANTS[record.pollutant_id];
+        const value = parseFloat(record.avg_value ?? record.pollutant_avg);
+        if (!pollutant || Number.isNaN(value)) continue;
+
+        if (!stations.has(record.station)) {
+          stations.set(record.station, { concentrations: {}, lastUpdate: record.last_update });
+        }
+        stations.get(record.station).concentrations[pollutant] = value;
+      }
+
+      const indices = [...stations.entries()]
+        .map(([station, { concentrations, lastUpdate }]) => {
+          const naqi = computeNAQI(concentrations);
+          return naqi && {
+            station,
+            aqi: naqi.aqi,
+            category: naqi.category,
+            dominantPollutant: naqi.dominant,
+            lastUpdate
+          };
+        })
+        .filter(Boolean);
+
+      if (indices.length === 0) {
+        return unavailable;
+      }
+
+      const aqi = Math.round(indices.reduce((sum, station) => sum + station.aqi, 0) / indices.length);
       return {
-        aqi: simulatedData[city] || 150,
-        category: this.getAQICategory(simulatedData[city] || 150),
+        city,
+        aqi,
+        category: aqiCategory(aqi),
+        stations: indices,
         timestamp: new Date()
       };
     } catch (error) {
       console.error('Indian AQI API error:', error.message);
-      return { aqi: 150, category: 'Moderate', timestamp: new Date() };
+      return unavailable;
     }
   }
 
   static getAQICategory(aqi) {
-    if (aqi <= 50) return 'Good';
-    if (aqi <= 100) return 'Satisfactory';
-    if (aqi <= 200) return 'Moderate';
-    if (aqi <= 300) return 'Poor';
-    if (aqi <= 400) return 'Very Poor';
-    return 'Severe';
+    return typeof aqi === 'number' ? aqiCategory(aqi) : null;
   }
 }
 
@@ -219,7 +773,7 @@ class LocationDataService {
     }
   }
 
-  static async getSimulatedSensorData(location) {
+  static getSimulatedSensorData(location) {
     // Generate realistic sensor data based on location and time
     const now = new Date();
     const hour = now.getHours();
@@ -238,9 +792,7 @@ class LocationDataService {
         timestamp: now
       },
       airQuality: {
-        aqi: this.getAQIForLocation(location),
-        pm25: 20 + Math.random() * 80,
-        pm10: 30 + Math.random() * 120,
+        ...this.getSimulatedAirQuality(location),
         timestamp: now
       },
       waterLevel: {
@@ -260,23 +812,34 @@ class LocationDataService {
     return baseTemp + dailyVariation + randomVariation;
   }
 
-  static getAQIForLocation(location = 'Ghaziabad') {
-    // Simulate AQI based on location and add some randomness
-    const baseAQI = {
-      'Ghaziabad': 180,
-      'Delhi': 170,
-      'Noida': 160,
-      'Mumbai': 120,
-      'Bangalore': 95
+  static getSimulatedAirQuality(location = 'Ghaziabad') {
+    // Simulate pollutant levels based on location, and the NAQI they give
+    const basePM25 = {
+      'Ghaziabad': 110,
+      'Delhi': 100,
+      'Noida': 95,
+      'Mumbai': 55,
+      'Bangalore': 40
+    };
+
+    const pm25 = (basePM25[location] || 75) * (0.8 + Math.random() * 0.4);
+    const pm10 = pm25 * (1.6 + Math.random() * 0.4);
+    const no2 = 25 + Math.random() * 50;
+    const naqi = computeNAQI({ pm2_5: pm25, pm10, no2 });
+
+    return {
+      aqi: naqi.aqi,
+      category: naqi.category,
+      dominantPollutant: naqi.dominant,
+      pm25,
+      pm10,
+      no2
     };
-    
-    const base = baseAQI[location] || 140;
-    const variation = (Math.random() - 0.5) * 40;
-    return Math.max(20, Math.min(400, base + variation));
   }
 }
 
 module.exports = {
+  getProviderStatus,
   WeatherService,
   EarthquakeService,
   GeocodingService,
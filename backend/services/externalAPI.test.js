@@ -0,0 +1,309 @@
+const fs = require('fs');
+
+const { readFile: readFixture } = fs.promises;
+
+process.env.EXTERNAL_API_FIXTURES = 'fixtures/external';
+
+const MINUTE = 60 * 1000;
+const FIXTURE_TIME = new Date('2025-10-19T10:00:00Z');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status }
+});
+
+// Fresh module state (cache, circuits) for every test, with the given weather sources
+const load = (weatherProviders = 'openweather,openmeteo') => {
+  let api;
+  process.env.WEATHER_PROVIDERS = weatherProviders;
+  jest.isolateModules(() => {
+    api = require('./externalAPI');
+  });
+  return api;
+};
+
+const providerStatus = (api, name) => api.getProviderStatus().providers.find(provider => provider.name === name);
+
+const feedQuery = {
+  lat: 28.67,
+  lon: 77.45,
+  radiusKm: 300,
+  minMagnitude: 2.5,
+  startTime: new Date('2025-10-18T00:00:00Z')
+};
+
+// Let a call run to completion, firing its backoff timers
+const settle = async (promise) => {
+  const result = promise.then(value => ({ value }), error => ({ error }));
+  await jest.runAllTimersAsync();
+  return result;
+};
+
+let readFile;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: FIXTURE_TIME });
+  readFile = jest.spyOn(fs.promises, 'readFile');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('response cache', () => {
+  test('serves a fresh response from the cache until its TTL passes', async () => {
+    const api = load();
+
+    const first = await api.WeatherService.getCurrentWeather(28.6692, 77.4538);
+    jest.setSystemTime(FIXTURE_TIME.getTime() + 9 * MINUTE);
+    const second = await api.WeatherService.getCurrentWeather(28.6701, 77.4540);
+
+    expect(second).toEqual(first);
+    expect(readFile).toHaveBeenCalledTimes(1);
+    expect(api.getProviderStatus().cache).toMatchObject({ hits: 1, misses: 1 });
+
+    jest.setSystemTime(FIXTURE_TIME.getTime() + 11 * MINUTE);
+    await api.WeatherService.getCurrentWeather(28.6692, 77.4538);
+
+    expect(readFile).toHaveBeenCalledTimes(2);
+    expect(api.getProviderStatus().cache).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  test('serves the last-known response when every provider fails', async () => {
+    const api = load();
+
+    const cached = await api.WeatherService.getCurrentWeather(28.6692, 77.4538);
+    jest.setSystemTime(FIXTURE_TIME.getTime() + 11 * MINUTE);
+    readFile.mockRejectedValue(httpError(503));
+
+    const { value } = await settle(api.WeatherService.getCurrentWeather(28.6692, 77.4538));
+
+    expect(value).toEqual(cached);
+    expect(api.getProviderStatus().cache.staleServed).toBe(1);
+  });
+
+  test('fails without a last-known response', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(503));
+
+    const { error } = await settle(api.WeatherService.getCurrentWeather(28.6692, 77.4538));
+
+    expect(error.message).toBe('Failed to fetch weather data');
+  });
+});
+
+describe('retries', () => {
+  test('retries server errors with exponential backoff', async () => {
+    const api = load();
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    readFile
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(502));
+
+    const { value, error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error).toBeUndefined();
+    expect(value.length).toBeGreaterThan(0);
+    expect(readFile).toHaveBeenCalledTimes(3);
+
+    const delays = setTimeoutSpy.mock.calls.map(([, ms]) => ms);
+    expect(delays).toHaveLength(2);
+    expect(delays[0]).toBeGreaterThanOrEqual(300);
+    expect(delays[0]).toBeLessThanOrEqual(450);
+    expect(delays[1]).toBeGreaterThanOrEqual(600);
+    expect(delays[1]).toBeLessThanOrEqual(900);
+
+    expect(providerStatus(api, 'usgs')).toMatchObject({ state: 'closed', requests: 3, retries: 2, failures: 0 });
+  });
+
+  test('gives up after the last retry', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(500));
+
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error.response.status).toBe(500);
+    expect(readFile).toHaveBeenCalledTimes(3);
+    expect(providerStatus(api, 'usgs')).toMatchObject({ requests: 3, retries: 2, failures: 1 });
+  });
+
+  test('does not retry client errors', async () => {
+    const api = load();
+    readFile.mockRejectedValueOnce(httpError(400));
+
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error.response.status).toBe(400);
+    expect(readFile).toHaveBeenCalledTimes(1);
+    expect(providerStatus(api, 'usgs')).toMatchObject({ requests: 1, retries: 0, failures: 1 });
+  });
+
+  test('retries rate limiting', async () => {
+    const api = load();
+    readFile.mockRejectedValueOnce(httpError(429));
+
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error).toBeUndefined();
+    expect(providerStatus(api, 'usgs')).toMatchObject({ requests: 2, retries: 1 });
+  });
+});
+
+describe('circuit breaker', () => {
+  const failFiveTimes = async (api) => {
+    for (let i = 0; i < 5; i++) {
+      await settle(api.EarthquakeService.getEventFeed(feedQuery));
+    }
+  };
+
+  test('opens after five consecutive failures and rejects requests while open', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(404));
+
+    await failFiveTimes(api);
+    expect(providerStatus(api, 'usgs')).toMatchObject({ state: 'open', consecutiveFailures: 5 });
+
+    readFile.mockClear();
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error.message).toBe('usgs circuit is open');
+    expect(readFile).not.toHaveBeenCalled();
+    expect(providerStatus(api, 'usgs').rejected).toBe(1);
+  });
+
+  test('goes half open after the reset time and closes when the trial succeeds', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(404));
+    await failFiveTimes(api);
+
+    jest.setSystemTime(Date.now() + MINUTE);
+    expect(providerStatus(api, 'usgs').state).toBe('half_open');
+
+    readFile.mockRestore();
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(error).toBeUndefined();
+    expect(providerStatus(api, 'usgs')).toMatchObject({ state: 'closed', consecutiveFailures: 0, healthy: true });
+  });
+
+  test('lets only one trial request through while half open', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(404));
+    await failFiveTimes(api);
+
+    jest.setSystemTime(Date.now() + MINUTE);
+    readFile.mockRestore();
+    const [trial, concurrent] = await Promise.all([
+      settle(api.EarthquakeService.getEventFeed(feedQuery)),
+      settle(api.EarthquakeService.getEventFeed({ ...feedQuery, minMagnitude: 4 }))
+    ]);
+
+    expect(trial.error).toBeUndefined();
+    expect(concurrent.error.message).toBe('usgs circuit is half open, waiting for its trial request');
+    expect(providerStatus(api, 'usgs')).toMatchObject({ state: 'closed', requests: 6, rejected: 1 });
+
+    const { error } = await settle(api.EarthquakeService.getEventFeed(feedQuery));
+    expect(error).toBeUndefined();
+  });
+
+  test('opens again when the half-open trial fails, without retrying it', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(404));
+    await failFiveTimes(api);
+
+    jest.setSystemTime(Date.now() + MINUTE);
+    readFile.mockClear();
+    readFile.mockRejectedValue(httpError(503));
+    await settle(api.EarthquakeService.getEventFeed(feedQuery));
+
+    expect(readFile).toHaveBeenCalledTimes(1);
+    expect(providerStatus(api, 'usgs').state).toBe('open');
+  });
+});
+
+describe('weather providers', () => {
+  const lat = 28.6692;
+  const lon = 77.4538;
+
+  // Field names and value types, with the source left out
+  const shape = (value) => Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== 'source')
+    .map(([key, field]) => [key, field instanceof Date ? 'date' : field === null ? 'null' : typeof field])
+    .sort(([a], [b]) => a.localeCompare(b)));
+
+  const fromEach = async (fetch) => {
+    const openweather = await fetch(load('openweather').WeatherService);
+    const openmeteo = await fetch(load('openmeteo').WeatherService);
+    return { openweather, openmeteo };
+  };
+
+  test('return current weather in the same shape', async () => {
+    const { openweather, openmeteo } = await fromEach(service => service.getCurrentWeather(lat, lon));
+
+    expect(openweather.source).toBe('openweather');
+    expect(openmeteo.source).toBe('openmeteo');
+    expect(shape(openmeteo)).toEqual(shape(openweather));
+  });
+
+  test('return forecasts in the same shape', async () => {
+    const { openweather, openmeteo } = await fromEach(service => service.getWeatherForecast(lat, lon, 5));
+
+    expect(openweather).toHaveLength(40);
+    expect(openmeteo).toHaveLength(40);
+    expect(openmeteo[1].datetime - openmeteo[0].datetime).toBe(3 * 60 * MINUTE);
+    for (const step of [...openweather, ...openmeteo]) {
+      expect(shape(step)).toEqual(shape(openweather[0]));
+    }
+  });
+
+  test('return air quality in the same shape', async () => {
+    const { openweather, openmeteo } = await fromEach(service => service.getAirQuality(lat, lon));
+
+    expect(typeof openweather.aqi).toBe('number');
+    expect(typeof openmeteo.aqi).toBe('number');
+    expect(Object.keys(openmeteo.subIndices).sort()).toEqual(Object.keys(openweather.subIndices).sort());
+    expect(shape(openmeteo)).toEqual(shape(openweather));
+  });
+
+  test('fail over to the next source when one throws', async () => {
+    const api = load();
+    readFile.mockImplementation(async (file, ...args) => {
+      if (file.includes('openweather')) throw httpError(401);
+      return readFixture(file, ...args);
+    });
+
+    const weather = await api.WeatherService.getCurrentWeather(lat, lon);
+
+    expect(weather.source).toBe('openmeteo');
+    expect(providerStatus(api, 'openweather').failures).toBe(1);
+  });
+
+  test('skip a source whose circuit is open', async () => {
+    const api = load();
+    readFile.mockImplementation(async (file, ...args) => {
+      if (file.includes('openweather')) throw httpError(404);
+      return readFixture(file, ...args);
+    });
+
+    // Five failed forecasts open the OpenWeather circuit
+    for (let days = 1; days <= 5; days++) {
+      await api.WeatherService.getWeatherForecast(lat, lon, days);
+    }
+    expect(providerStatus(api, 'openweather').state).toBe('open');
+
+    const before = providerStatus(api, 'openweather').requests;
+    const weather = await api.WeatherService.getCurrentWeather(lat, lon);
+
+    expect(weather.source).toBe('openmeteo');
+    expect(providerStatus(api, 'openweather').requests).toBe(before);
+  });
+
+  test('fail when every source fails', async () => {
+    const api = load();
+    readFile.mockRejectedValue(httpError(404));
+
+    await expect(api.WeatherService.getAirQuality(lat, lon)).rejects.toThrow('Failed to fetch air quality data');
+  });
+});
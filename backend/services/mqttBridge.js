@@ -0,0 +1,170 @@
+const mqtt = require('mqtt');
+const Sensor = require('../models/Sensor');
+const { ingestReadings } = require('../utils/readingPipeline');
+const { validateSensorReading } = require('../utils/validation');
+
+// Topic template; {sensorId} marks the level that carries the sensor id
+const TOPIC_TEMPLATE = process.env.MQTT_TOPIC || 'sensors/{sensorId}/readings';
+// Subscription QoS: 0, 1 or 2 (default 1)
+const parsedQos = parseInt(process.env.MQTT_QOS);
+const QOS = [0, 1, 2].includes(parsedQos) ? parsedQos : 1;
+
+let client = null;
+
+const status = {
+  enabled: false,
+  connected: false,
+  broker: null,
+  topic: null,
+  connectedAt: null,
+  lastMessageAt: null,
+  lastError: null,
+  received: 0,
+  accepted: 0,
+  duplicates: 0,
+  rejected: 0
+};
+
+// -------------------- Topics --------------------
+const topicFilter = () => TOPIC_TEMPLATE.replace('{sensorId}', '+');
+
+const sensorIdFromTopic = (topic) => {
+  const index = TOPIC_TEMPLATE.split('/').indexOf('{sensorId}');
+  const levels = topic.split('/');
+  return levels.length === TOPIC_TEMPLATE.split('/').length ? levels[index] : null;
+};
+
+// Payloads are a reading object, an array of readings (buffered) or a bare number
+const parsePayload = (payload) => {
+  const text = payload.toString('utf8').trim();
+  const data = JSON.parse(text);
+
+  if (typeof data === 'number') return [{ value: data }];
+  return Array.isArray(data) ? data : [data];
+};
+
+const reject = (sensorId, reason) => {
+  status.rejected++;
+  console.warn(`🛑 Rejected MQTT reading for ${sensorId || 'unknown sensor'}: ${reason}`);
+};
+
+// -------------------- Message Handling --------------------
+// Which client may publish to which sensor topic is enforced by the broker's ACLs
+const handleMessage = async (topic, payload) => {
+  status.received++;
+  status.lastMessageAt = new Date();
+
+  const sensorId = sensorIdFromTopic(topic);
+  if (!sensorId) {
+    return reject(null, `unexpected topic ${topic}`);
+  }
+
+  let items;
+  try {
+    items = parsePayload(payload);
+  } catch (error) {
+    return reject(sensorId, 'invalid JSON payload');
+  }
+
+  const readings = [];
+  for (const item of items) {
+    const { error, value } = validateSensorReading(item);
+    if (error) {
+      reject(sensorId, error.details[0].message);
+      continue;
+    }
+    readings.push({ ...value, timestamp: value.timestamp || new Date() });
+  }
+
+  if (readings.length === 0) return;
+
+  try {
+    const sensor = await Sensor.findOne({ sensorId });
+    if (!sensor) {
+      readings.forEach(() => reject(sensorId, 'sensor not found'));
+      return;
+    }
+    if (sensor.derived?.kind) {
+      readings.forEach(() => reject(sensorId, 'derived sensor'));
+      return;
+    }
+
+    const { accepted, duplicates } = await ingestReadings(sensor, readings);
+    status.accepted += accepted.length;
+    status.duplicates += duplicates.length;
+  } catch (error) {
+    status.lastError = error.message;
+    console.error('Error ingesting MQTT reading:', error);
+  }
+};
+
+// -------------------- Connection --------------------
+// Connects to MQTT_URL, or uses the given client (anything with the mqtt.js client API,
+// e.g. a stand-in EventEmitter in tests). Without either the bridge stays disabled.
+const startMqttBridge = (options = {}) => {
+  if (client) return client;
+
+  const url = process.env.MQTT_URL;
+  if (!options.client && !url) {
+    console.log('📡 MQTT bridge disabled (MQTT_URL not set)');
+    return null;
+  }
+
+  client = options.client || mqtt.connect(url, {
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    clientId: process.env.MQTT_CLIENT_ID || `disaster-backend-${Math.random().toString(16).slice(2, 10)}`,
+    reconnectPeriod: 5000
+  });
+
+  status.enabled = true;
+  status.broker = url ? url.replace(/\/\/[^@/]*@/, '//') : 'in-process';
+  status.topic = topicFilter();
+
+  client.on('connect', () => {
+    status.connected = true;
+    status.connectedAt = new Date();
+    status.lastError = null;
+
+    client.subscribe(status.topic, { qos: QOS }, (error) => {
+      if (error) {
+        status.lastError = error.message;
+        console.error('❌ MQTT subscribe error:', error.message);
+      } else {
+        console.log(`📡 MQTT bridge subscribed to ${status.topic}`);
+      }
+    });
+  });
+
+  client.on('message', (topic, payload) => {
+    handleMessage(topic, payload);
+  });
+
+  client.on('close', () => {
+    status.connected = false;
+  });
+
+  client.on('error', (error) => {
+    status.lastError = error.message;
+    console.error('❌ MQTT bridge error:', error.message);
+  });
+
+  return client;
+};
+
+const stopMqttBridge = async () => {
+  if (!client) return;
+  await client.endAsync?.();
+  client = null;
+  status.enabled = false;
+  status.connected = false;
+};
+
+const getStatus = () => ({ ...status });
+
+module.exports = {
+  startMqttBridge,
+  stopMqttBridge,
+  handleMessage,
+  getStatus
+};
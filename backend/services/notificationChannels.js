@@ -0,0 +1,225 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+
+// Each channel sends one message to a list of recipients and reports
+// { delivered, failed: [{ recipient, error }] } so the queue can retry only the failures
+
+// SMTP email
+class EmailChannel {
+  static transporter = null;
+
+  static isConfigured() {
+    return Boolean(process.env.EMAIL_HOST && process.env.EMAIL_USER);
+  }
+
+  static getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: parseInt(process.env.EMAIL_PORT) === 465,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  static async send(recipients, message) {
+    const failed = [];
+    let delivered = 0;
+
+    for (const recipient of recipients) {
+      try {
+        await this.getTransporter().sendMail({
+          from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+          to: recipient.email,
+          subject: message.subject,
+          text: message.text
+        });
+        delivered++;
+      } catch (error) {
+        failed.push({ recipient, error: error.message });
+      }
+    }
+
+    return { delivered, failed };
+  }
+}
+
+// SMS through the Twilio REST API
+class SmsChannel {
+  static isConfigured() {
+    return Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+  }
+
+  static async send(recipients, message) {
+    const failed = [];
+    let delivered = 0;
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`;
+
+    for (const recipient of recipients) {
+      try {
+        await axios.post(url, new URLSearchParams({
+          From: process.env.TWILIO_PHONE_NUMBER,
+          To: recipient.phone,
+          Body: message.sms || message.text
+        }), {
+          auth: {
+            username: process.env.TWILIO_ACCOUNT_SID,
+            password: process.env.TWILIO_AUTH_TOKEN
+          },
+          timeout: 10000
+        });
+        delivered++;
+      } catch (error) {
+        failed.push({ recipient, error: error.response?.data?.message || error.message });
+      }
+    }
+
+    return { delivered, failed };
+  }
+}
+
+// Web Push with VAPID keys
+class PushChannel {
+  static isConfigured() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  }
+
+  static async send(recipients, message) {
+    const failed = [];
+    let delivered = 0;
+
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER || 'admin@example.com'}`,
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+
+    const payload = JSON.stringify({
+      title: message.subject,
+      body: message.sms || message.text,
+      data: message.data
+    });
+
+    for (const recipient of recipients) {
+      try {
+        await webpush.sendNotification(recipient.subscription, payload, { TTL: 3600 });
+        delivered++;
+      } catch (error) {
+        failed.push({ recipient, error: error.body || error.message, permanent: [404, 410].includes(error.statusCode) });
+      }
+    }
+
+    return { delivered, failed };
+  }
+}
+
+// Outbound webhook, signed with NOTIFICATION_WEBHOOK_SECRET when set
+class WebhookChannel {
+  static isConfigured() {
+    return true;
+  }
+
+  static async send(recipients, message) {
+    const failed = [];
+    let delivered = 0;
+    const body = JSON.stringify({
+      subject: message.subject,
+      text: message.text,
+      data: message.data,
+      sentAt: new Date()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-Signature'] = crypto
+        .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+    }
+
+    for (const recipient of recipients) {
+      try {
+        await axios.post(recipient.url, body, { headers, timeout: 10000 });
+        delivered++;
+      } catch (error) {
+        failed.push({ recipient, error: error.message });
+      }
+    }
+
+    return { delivered, failed };
+  }
+}
+
+// Offline stand-in: writes every message to logs/notifications.log and the console
+class FileChannel {
+  static logFile = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '../logs/notifications.log');
+
+  static isConfigured() {
+    return true;
+  }
+
+  static async send(recipients, message, channel = 'file') {
+    const entry = {
+      channel,
+      recipients,
+      subject: message.subject,
+      text: message.text,
+      data: message.data,
+      sentAt: new Date()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+    await fs.promises.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+    console.log(`📨 [${channel}] ${message.subject} -> ${recipients.length} recipient(s)`);
+
+    return { delivered: recipients.length, failed: [] };
+  }
+}
+
+const LIVE_CHANNELS = {
+  email: EmailChannel,
+  sms: SmsChannel,
+  push: PushChannel,
+  webhook: WebhookChannel
+};
+
+// "file" routes every channel to the stand-in; defaults to it outside production
+const getTransportMode = () => {
+  return process.env.NOTIFICATION_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'live' : 'file');
+};
+
+// Send through the configured adapter for a channel
+const sendThroughChannel = (channel, recipients, message) => {
+  if (getTransportMode() === 'file') {
+    return FileChannel.send(recipients, message, channel);
+  }
+
+  const adapter = LIVE_CHANNELS[channel];
+  if (!adapter) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!adapter.isConfigured()) {
+    throw new Error(`Notification channel "${channel}" is not configured`);
+  }
+
+  return adapter.send(recipients, message);
+};
+
+module.exports = {
+  EmailChannel,
+  SmsChannel,
+  PushChannel,
+  WebhookChannel,
+  FileChannel,
+  sendThroughChannel
+};
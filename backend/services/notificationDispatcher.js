@@ -0,0 +1,270 @@
+const Alert = require('../models/Alert');
+const NotificationJob = require('../models/NotificationJob');
+const User = require('../models/User');
+const { sendThroughChannel } = require('./notificationChannels');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+// Jobs left in "processing" longer than this were interrupted (e.g. by a restart)
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+let isProcessing = false;
+
+// Localized labels for notification text; unknown languages fall back to English
+const MESSAGE_LABELS = {
+  en: {
+    escalated: 'ESCALATED',
+    updated: 'UPDATED',
+    cleared: 'ALL CLEAR',
+    exercise: 'EXERCISE',
+    alert: 'alert',
+    location: 'Location',
+    severity: 'Severity',
+    issued: 'Issued',
+    types: {},
+    severities: {}
+  },
+  hi: {
+    escalated: 'बढ़ाया गया',
+    updated: 'अद्यतन',
+    cleared: 'खतरा टला',
+    exercise: 'अभ्यास',
+    alert: 'चेतावनी',
+    location: 'स्थान',
+    severity: 'गंभीरता',
+    issued: 'जारी',
+    types: {
+      earthquake: 'भूकंप',
+      flood: 'बाढ़',
+      storm: 'तूफ़ान',
+      fire: 'आग',
+      pollution: 'प्रदूषण',
+      heatwave: 'लू',
+      infrastructure: 'बुनियादी ढांचा',
+      other: 'अन्य'
+    },
+    severities: {
+      critical: 'अति गंभीर',
+      warning: 'गंभीर',
+      moderate: 'मध्यम',
+      info: 'सूचना'
+    }
+  }
+};
+
+// Helper function to build the message for an alert
+const buildAlertMessage = (alert, reason = 'created', language = 'en') => {
+  const labels = MESSAGE_LABELS[language] || MESSAGE_LABELS.en;
+  const type = labels.types[alert.type] || alert.type;
+  const severity = labels.severities[alert.severity] || alert.severity;
+  const prefixes = { escalation: labels.escalated, updated: labels.updated, cleared: labels.cleared };
+  const prefix = prefixes[reason] ? `${prefixes[reason]}: ` : '';
+  const exercise = alert.exercise?.runId ? `${labels.exercise} - ` : '';
+  const subject = `${exercise}${prefix}[${severity.toUpperCase()}] ${type} ${labels.alert} - ${alert.location}`;
+
+  return {
+    subject,
+    text: `${alert.message}\n\n${labels.location}: ${alert.location}\n${labels.severity}: ${severity}\n${labels.issued}: ${new Date(alert.createdAt || Date.now()).toISOString()}`,
+    sms: `${subject}: ${alert.message}`.slice(0, 300),
+    data: {
+      alertId: alert.id,
+      type: alert.type,
+      severity: alert.severity,
+      location: alert.location,
+      coordinates: alert.coordinates,
+      reason,
+      exercise: Boolean(alert.exercise?.runId),
+      language: MESSAGE_LABELS[language] ? language : 'en'
+    }
+  };
+};
+
+// Split users into per-channel recipient lists according to their preferences
+const collectUserRecipients = (users) => {
+  const recipients = { email: [], sms: [], push: [] };
+
+  users.forEach(user => {
+    const prefs = user.preferences?.notifications || {};
+
+    if (prefs.email !== false && user.email) {
+      recipients.email.push({ userId: user._id, email: user.email });
+    }
+    if (prefs.sms !== false && user.phone) {
+      recipients.sms.push({ userId: user._id, phone: user.phone });
+    }
+    if (prefs.push !== false) {
+      (user.pushSubscriptions || []).forEach(subscription => {
+        recipients.push.push({
+          userId: user._id,
+          subscription: { endpoint: subscription.endpoint, keys: subscription.keys }
+        });
+      });
+    }
+  });
+
+  return recipients;
+};
+
+// Webhook endpoints that receive every alert
+const getWebhookRecipients = () => {
+  return (process.env.NOTIFICATION_WEBHOOK_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean)
+    .map(url => ({ url }));
+};
+
+// Queue a message on one channel and record it as pending on the alert
+const queueNotification = async ({ alert, channel, recipients, message, reason = 'created' }) => {
+  if (!recipients || recipients.length === 0) return null;
+
+  const job = await NotificationJob.create({
+    alert: alert._id,
+    channel,
+    reason,
+    recipients,
+    message,
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  // Atomic push so concurrent saves of the alert do not overwrite each other
+  await Alert.updateOne({ _id: alert._id }, {
+    $push: {
+      notificationsSent: {
+        type: channel,
+        sentAt: new Date(),
+        recipients: recipients.length,
+        status: 'pending',
+        job: job._id,
+        reason,
+        delivered: 0,
+        failed: 0,
+        attempts: 0
+      }
+    }
+  });
+
+  return job;
+};
+
+// Queue per-channel notifications for an alert.
+// Without explicit recipients the alert goes to staff roles and configured webhooks.
+const notifyAlert = async (alert, { reason = 'created', users, extra = {} } = {}) => {
+  try {
+    let targetUsers = users;
+    if (!targetUsers) {
+      const roles = (process.env.NOTIFICATION_STAFF_ROLES || 'admin,responder').split(',').map(r => r.trim());
+      targetUsers = await User.find({ role: { $in: roles } })
+        .select('email phone preferences pushSubscriptions')
+        .lean();
+    }
+
+    const recipients = collectUserRecipients(targetUsers);
+    recipients.email.push(...(extra.emails || []).map(email => ({ email })));
+    recipients.sms.push(...(extra.phones || []).map(phone => ({ phone })));
+    recipients.webhook = users ? [] : getWebhookRecipients();
+
+    const message = buildAlertMessage(alert, reason);
+    const jobs = [];
+
+    for (const [channel, list] of Object.entries(recipients)) {
+      const job = await queueNotification({ alert, channel, recipients: list, message, reason });
+      if (job) jobs.push(job);
+    }
+
+    return jobs;
+  } catch (error) {
+    console.error('Error queueing alert notifications:', error);
+    return [];
+  }
+};
+
+// Helper function to copy the job outcome onto the alert's notificationsSent entry
+const writeBackStatus = (job) => {
+  if (!job.alert) return null;
+
+  const status = job.status === 'processing' || job.status === 'pending' ? 'pending' : job.status;
+  return Alert.updateOne(
+    { _id: job.alert, 'notificationsSent.job': job._id },
+    {
+      $set: {
+        'notificationsSent.$.status': status,
+        'notificationsSent.$.sentAt': new Date(),
+        'notificationsSent.$.delivered': job.delivered,
+        'notificationsSent.$.failed': job.failed,
+        'notificationsSent.$.attempts': job.attempts,
+        'notificationsSent.$.lastError': job.lastError
+      }
+    }
+  );
+};
+
+// Attempt delivery of one claimed job
+const processJob = async (job) => {
+  job.attempts += 1;
+
+  try {
+    const { delivered, failed } = await sendThroughChannel(job.channel, job.recipients, job.message);
+    // Permanently rejected recipients (e.g. expired push subscriptions) are not retried
+    const retryable = failed.filter(item => !item.permanent);
+
+    job.delivered += delivered;
+    job.failed = failed.length;
+    job.recipients = retryable.map(item => item.recipient);
+    job.lastError = failed[0]?.error;
+  } catch (error) {
+    job.failed = job.recipients.length;
+    job.lastError = error.message;
+  }
+
+  if (job.recipients.length === 0) {
+    job.status = job.delivered > 0 || job.failed === 0 ? 'sent' : 'failed';
+  } else if (job.attempts >= job.maxAttempts) {
+    job.status = 'failed';
+  } else {
+    job.status = 'pending';
+    job.nextAttemptAt = new Date(Date.now() + RETRY_BASE_SECONDS * 1000 * 2 ** (job.attempts - 1));
+  }
+
+  job.lockedAt = undefined;
+  await job.save();
+  await writeBackStatus(job);
+};
+
+// Deliver every due job. The queue lives in MongoDB, so pending work survives restarts.
+const processNotificationQueue = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    await NotificationJob.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await NotificationJob.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: 'processing', lockedAt: new Date() } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      await processJob(job);
+    }
+  } catch (error) {
+    console.error('Error processing notification queue:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+module.exports = {
+  MESSAGE_LABELS,
+  notifyAlert,
+  queueNotification,
+  buildAlertMessage,
+  collectUserRecipients,
+  processNotificationQueue
+};
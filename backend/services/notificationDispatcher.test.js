@@ -0,0 +1,167 @@
+jest.mock('./notificationChannels', () => ({ sendThroughChannel: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const NotificationJob = require('../models/NotificationJob');
+const { sendThroughChannel } = require('./notificationChannels');
+const { processNotificationQueue } = require('./notificationDispatcher');
+
+const NOW = new Date('2025-10-19T10:00:00Z');
+const SECOND = 1000;
+
+// Jobs live in memory; the queue claims due pending jobs, oldest first
+let jobs;
+
+const addJob = (fields = {}) => {
+  const job = new NotificationJob({
+    alert: new mongoose.Types.ObjectId(),
+    channel: 'email',
+    recipients: [{ email: 'a@example.com' }, { email: 'b@example.com' }],
+    message: { subject: 'Flood alert', text: 'River rising' },
+    nextAttemptAt: NOW,
+    ...fields
+  });
+  jobs.push(job);
+  return job;
+};
+
+const failure = (email, permanent = false) => ({ recipient: { email }, error: `Rejected ${email}`, permanent });
+
+beforeEach(() => {
+  jobs = [];
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.spyOn(NotificationJob, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(NotificationJob, 'findOneAndUpdate').mockImplementation(async () => {
+    const job = jobs
+      .filter(candidate => candidate.status === 'pending' && candidate.nextAttemptAt <= new Date())
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (!job) return null;
+    job.status = 'processing';
+    job.lockedAt = new Date();
+    return job;
+  });
+  jest.spyOn(NotificationJob.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Alert, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('processNotificationQueue', () => {
+  test('marks a job sent once every recipient is delivered', async () => {
+    const job = addJob();
+    sendThroughChannel.mockResolvedValue({ delivered: 2, failed: [] });
+
+    await processNotificationQueue();
+
+    expect(sendThroughChannel).toHaveBeenCalledWith('email', expect.any(Array), expect.objectContaining({ subject: 'Flood alert' }));
+    expect(job).toMatchObject({ status: 'sent', attempts: 1, delivered: 2, failed: 0 });
+    expect(job.lockedAt).toBeUndefined();
+    expect(Alert.updateOne).toHaveBeenCalledWith(
+      { _id: job.alert, 'notificationsSent.job': job._id },
+      { $set: expect.objectContaining({ 'notificationsSent.$.status': 'sent', 'notificationsSent.$.delivered': 2 }) }
+    );
+  });
+
+  test('retries only the recipients that failed, with exponential backoff', async () => {
+    const job = addJob();
+    sendThroughChannel.mockResolvedValueOnce({ delivered: 1, failed: [failure('b@example.com')] });
+
+    await processNotificationQueue();
+
+    expect(job).toMatchObject({ status: 'pending', attempts: 1, delivered: 1, failed: 1, lastError: 'Rejected b@example.com' });
+    expect(job.recipients).toEqual([{ email: 'b@example.com' }]);
+    expect(job.nextAttemptAt).toEqual(new Date(NOW.getTime() + 30 * SECOND));
+    expect(Alert.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ 'notificationsSent.$.status': 'pending', 'notificationsSent.$.attempts': 1 }) }
+    );
+
+    // Not due yet
+    sendThroughChannel.mockClear();
+    await processNotificationQueue();
+    expect(sendThroughChannel).not.toHaveBeenCalled();
+
+    jest.setSystemTime(job.nextAttemptAt);
+    sendThroughChannel.mockResolvedValueOnce({ delivered: 0, failed: [failure('b@example.com')] });
+    await processNotificationQueue();
+
+    expect(sendThroughChannel).toHaveBeenCalledWith('email', [{ email: 'b@example.com' }], expect.anything());
+    expect(job).toMatchObject({ status: 'pending', attempts: 2 });
+    expect(job.nextAttemptAt).toEqual(new Date(NOW.getTime() + 30 * SECOND + 60 * SECOND));
+
+    jest.setSystemTime(job.nextAttemptAt);
+    sendThroughChannel.mockResolvedValueOnce({ delivered: 1, failed: [] });
+    await processNotificationQueue();
+
+    expect(job).toMatchObject({ status: 'sent', attempts: 3, delivered: 2, failed: 0 });
+  });
+
+  test('keeps every recipient for a retry when the channel throws', async () => {
+    const job = addJob();
+    sendThroughChannel.mockRejectedValueOnce(new Error('SMTP connection refused'));
+
+    await processNotificationQueue();
+
+    expect(job).toMatchObject({ status: 'pending', failed: 2, lastError: 'SMTP connection refused' });
+    expect(job.recipients).toHaveLength(2);
+  });
+
+  test('does not retry permanently rejected recipients', async () => {
+    const job = addJob({ channel: 'push', recipients: [{ subscription: { endpoint: 'https://push.example/1' } }] });
+    sendThroughChannel.mockResolvedValueOnce({
+      delivered: 0,
+      failed: [{ recipient: job.recipients[0], error: 'Subscription expired', permanent: true }]
+    });
+
+    await processNotificationQueue();
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, failed: 1 });
+    expect(job.recipients).toHaveLength(0);
+  });
+
+  test('gives up after the last attempt', async () => {
+    const job = addJob({ attempts: 4, maxAttempts: 5 });
+    sendThroughChannel.mockResolvedValueOnce({ delivered: 0, failed: [failure('a@example.com'), failure('b@example.com')] });
+
+    await processNotificationQueue();
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 5, failed: 2 });
+    expect(Alert.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ 'notificationsSent.$.status': 'failed' }) }
+    );
+  });
+
+  test('delivers due jobs oldest first', async () => {
+    const later = addJob({ nextAttemptAt: new Date(NOW.getTime() - 10 * SECOND) });
+    const earlier = addJob({ nextAttemptAt: new Date(NOW.getTime() - 60 * SECOND) });
+    const future = addJob({ nextAttemptAt: new Date(NOW.getTime() + 60 * SECOND) });
+    const order = [];
+    sendThroughChannel.mockImplementation(async (channel, recipients) => {
+      order.push(jobs.find(job => job.status === 'processing'));
+      return { delivered: recipients.length, failed: [] };
+    });
+
+    await processNotificationQueue();
+
+    expect(order).toEqual([earlier, later]);
+    expect(future.status).toBe('pending');
+  });
+
+  test('releases jobs whose processing lock went stale', async () => {
+    await processNotificationQueue();
+
+    expect(NotificationJob.updateMany).toHaveBeenCalledWith(
+      { status: 'processing', lockedAt: { $lt: new Date(NOW.getTime() - 5 * 60 * SECOND) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+    );
+  });
+});
@@ -0,0 +1,96 @@
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { fanOutAlert } = require('../services/alertFanout');
+
+// How long readings must stay normal before a sensor-bound alert clears
+const HOLD_OFF_MINUTES = parseInt(process.env.ALERT_CLEAR_HOLDOFF_MINUTES) || 10;
+
+const SEVERITY_ORDER = ['info', 'moderate', 'warning', 'critical'];
+
+const severityRank = (severity) => SEVERITY_ORDER.indexOf(severity);
+
+// Record a lifecycle transition on the alert (the caller saves)
+const recordTransition = (alert, state, { value, note, at } = {}) => {
+  if (!alert.lifecycle?.state) {
+    alert.lifecycle = { state, history: [] };
+  }
+  alert.lifecycle.state = state;
+  alert.lifecycle.history.push({ state, severity: alert.severity, value, note, at });
+};
+
+// Apply the latest evaluation to an open sensor-bound alert, at time `now`. `severity` is what
+// the readings currently call for, or null when they are back to normal:
+// - a different severity is applied in place (raised or lowered),
+// - normal readings start the hold-off (clearing) and clear the alert once it has elapsed,
+// - readings going bad again during the hold-off return the alert to active (reactivated).
+// Returns { change, note } or null when nothing changed; the caller saves.
+const stepSensorAlert = (alert, { severity, message, value }, now = new Date()) => {
+  const state = alert.lifecycle?.state;
+
+  if (severity) {
+    if (severity !== alert.severity) {
+      const change = severityRank(severity) > severityRank(alert.severity) ? 'raised' : 'lowered';
+      const note = `Severity ${change} from ${alert.severity} to ${severity}`;
+
+      alert.severity = severity;
+      if (message) alert.message = message;
+      if (value !== undefined) alert.sensorData.value = value;
+      alert.lifecycle.clearingSince = undefined;
+      recordTransition(alert, 'updated', { value, note, at: now });
+      return { change, note };
+    }
+
+    if (state === 'clearing') {
+      const note = 'Readings out of range again during hold-off';
+      alert.lifecycle.clearingSince = undefined;
+      recordTransition(alert, 'active', { value, note, at: now });
+      return { change: 'reactivated', note };
+    }
+    return null;
+  }
+
+  if (state !== 'clearing') {
+    const note = `Readings back to normal, clearing after ${HOLD_OFF_MINUTES} minutes`;
+    alert.lifecycle.clearingSince = now;
+    recordTransition(alert, 'clearing', { value, note, at: now });
+    return { change: 'clearing', note };
+  }
+
+  if (now - alert.lifecycle.clearingSince >= HOLD_OFF_MINUTES * 60 * 1000) {
+    if (value !== undefined) alert.sensorData.value = value;
+    alert.resolved = true;
+    alert.resolvedAt = now;
+    alert.resolution = 'Readings returned to normal';
+    return { change: 'cleared', note: alert.resolution };
+  }
+
+  return null;
+};
+
+// Drive an open sensor-bound alert from the latest evaluation (see stepSensorAlert), saving
+// and notifying. Citizens hear about upgrades; staff hear about every change.
+const updateSensorAlert = async (alert, { severity, message, value }) => {
+  const step = stepSensorAlert(alert, { severity, message, value });
+  if (!step) return alert;
+
+  await alert.save();
+
+  if (step.change === 'raised' || step.change === 'lowered') {
+    await notifyAlert(alert, { reason: 'updated' });
+    if (step.change === 'raised') await fanOutAlert(alert, { reason: 'updated' });
+    console.log(`🔄 Alert updated: ${alert.id} - ${step.note}`);
+  } else if (step.change === 'cleared') {
+    await notifyAlert(alert, { reason: 'cleared' });
+    console.log(`✅ Alert cleared: ${alert.id}`);
+  }
+
+  return alert;
+};
+
+module.exports = {
+  HOLD_OFF_MINUTES,
+  SEVERITY_ORDER,
+  severityRank,
+  recordTransition,
+  stepSensorAlert,
+  updateSensorAlert
+};
@@ -0,0 +1,177 @@
+const SensorBaseline = require('../models/SensorBaseline');
+const Alert = require('../models/Alert');
+const { dispatchAlert } = require('../services/alertFanout');
+const { ALERT_TYPE_BY_SENSOR } = require('./defaultAlertRules');
+const { updateSensorAlert } = require('./alertLifecycle');
+const { currentExercise } = require('./exercise');
+
+// Weight of a new reading in the hour-of-day baseline (smaller adapts more slowly)
+const BASELINE_ALPHA = parseFloat(process.env.ANOMALY_BASELINE_ALPHA) || 0.02;
+// Smoothing of the EWMA control chart; small values catch slow drifts
+const EWMA_LAMBDA = parseFloat(process.env.ANOMALY_EWMA_LAMBDA) || 0.2;
+// Readings an hour-of-day baseline needs before it is used for scoring
+const MIN_SAMPLES = parseInt(process.env.ANOMALY_MIN_SAMPLES) || 30;
+const Z_THRESHOLD = parseFloat(process.env.ANOMALY_Z_THRESHOLD) || 3;
+// Baselines are seasonal by local hour of day (default IST)
+const TIMEZONE_OFFSET_MINUTES = parseInt(process.env.ANOMALY_TIMEZONE_OFFSET_MINUTES ?? 330);
+const ALERT_COOLDOWN_MINUTES = 30;
+
+const HOUR = 60 * 60 * 1000;
+
+const hourOfDay = (timestamp) => {
+  const local = new Date(timestamp).getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000;
+  return Math.floor((((local % (24 * HOUR)) + 24 * HOUR) % (24 * HOUR)) / HOUR);
+};
+
+// Standard deviation with a floor, so a very steady baseline does not make every wobble an anomaly
+const baselineStd = (baseline) => Math.max(Math.sqrt(baseline.variance), Math.abs(baseline.mean) * 0.01, 1e-3);
+
+const band = (baseline, k = Z_THRESHOLD) => {
+  if (!baseline || baseline.count < MIN_SAMPLES) return null;
+  const std = baselineStd(baseline);
+  return {
+    mean: baseline.mean,
+    lower: baseline.mean - k * std,
+    upper: baseline.mean + k * std
+  };
+};
+
+// -------------------- Scoring --------------------
+// Score readings against the sensor's hour-of-day baselines, set reading.anomaly and
+// update the baselines and the sensor's EWMA state. Called from Sensor.addReadings.
+const scoreReadings = async (sensor, readings) => {
+  if (sensor.anomaly?.enabled === false || readings.length === 0) return;
+
+  const threshold = sensor.anomaly?.zThreshold || Z_THRESHOLD;
+  const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  const hours = [...new Set(sorted.map(reading => hourOfDay(reading.timestamp)))];
+
+  const baselines = new Map(
+    (await SensorBaseline.find({ sensorId: sensor.sensorId, hour: { $in: hours } }).lean())
+      .map(baseline => [baseline.hour, baseline])
+  );
+
+  let ewma = sensor.anomaly?.ewma;
+  let consecutive = sensor.anomaly?.consecutive || 0;
+  let last = null;
+
+  for (const reading of sorted) {
+    const hour = hourOfDay(reading.timestamp);
+    const baseline = baselines.get(hour) || { hour, count: 0, mean: 0, variance: 0 };
+    const value = reading.value;
+
+    ewma = ewma == null ? value : EWMA_LAMBDA * value + (1 - EWMA_LAMBDA) * ewma;
+
+    if (baseline.count >= MIN_SAMPLES) {
+      const std = baselineStd(baseline);
+      const score = (value - baseline.mean) / std;
+      const ewmaScore = (ewma - baseline.mean) / (std * Math.sqrt(EWMA_LAMBDA / (2 - EWMA_LAMBDA)));
+      const flagged = Math.abs(score) >= threshold || Math.abs(ewmaScore) >= threshold;
+
+      reading.anomaly = {
+        score: Math.round(score * 100) / 100,
+        ewmaScore: Math.round(ewmaScore * 100) / 100,
+        flagged
+      };
+      consecutive = flagged ? consecutive + 1 : 0;
+      last = reading.anomaly;
+    }
+
+    // Anomalous readings move the baseline more slowly so a building problem is not learned away
+    const alpha = Math.max(reading.anomaly?.flagged ? BASELINE_ALPHA / 4 : BASELINE_ALPHA, 1 / (baseline.count + 1));
+    const diff = value - baseline.mean;
+    baseline.mean += alpha * diff;
+    baseline.variance = (1 - alpha) * (baseline.variance + alpha * diff * diff);
+    baseline.count++;
+    baselines.set(hour, baseline);
+  }
+
+  await SensorBaseline.bulkWrite([...baselines.values()].map(baseline => ({
+    updateOne: {
+      filter: { sensorId: sensor.sensorId, hour: baseline.hour },
+      update: { $set: { count: baseline.count, mean: baseline.mean, variance: baseline.variance } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const update = { 'anomaly.ewma': ewma, 'anomaly.consecutive': consecutive };
+  if (last) {
+    update['anomaly.lastScore'] = last.score;
+    update['anomaly.lastEwmaScore'] = last.ewmaScore;
+    if (last.flagged) update['anomaly.lastFlaggedAt'] = sorted[sorted.length - 1].timestamp;
+  }
+  sensor.set(update);
+  await sensor.constructor.updateOne({ _id: sensor._id }, { $set: update });
+};
+
+// -------------------- Persistent Anomaly Alerts --------------------
+// Raise an info/moderate alert once a sensor has been anomalous for persistReadings readings
+// in a row (if enabled for the sensor). The alert follows the usual lifecycle and starts
+// clearing once the EWMA is back near the baseline. Scenario readings are not scored (they
+// would teach the baselines drill data), so exercises never raise anomaly alerts.
+const evaluateAnomalyAlert = async (sensor) => {
+  const settings = sensor.anomaly || {};
+  if (!settings.alertOnPersistent || currentExercise()) return null;
+
+  const sourceKey = `anomaly:${sensor.sensorId}`;
+  const threshold = settings.zThreshold || Z_THRESHOLD;
+  const persistent = (settings.consecutive || 0) >= (settings.persistReadings || 5);
+  const score = settings.lastEwmaScore ?? settings.lastScore ?? 0;
+  const severity = Math.abs(score) >= threshold * 2 ? 'moderate' : 'info';
+  const value = sensor.currentReading?.value;
+  const message = `Unusual ${sensor.type.replace('_', ' ')} readings at ${sensor.location.name}: ${value?.toFixed(1)}${sensor.unit}, ${settings.consecutive} readings outside the usual range for this time of day`;
+
+  const open = await Alert.findOne({ sourceKey, resolved: false });
+  if (open) {
+    const normal = settings.consecutive === 0 && Math.abs(settings.lastEwmaScore || 0) < threshold / 2;
+    await updateSensorAlert(open, {
+      severity: normal ? null : persistent ? severity : open.severity,
+      message: persistent ? message : null,
+      value
+    });
+    return null;
+  }
+
+  if (!persistent) return null;
+
+  const lastCleared = await Alert.findOne({ sourceKey, resolved: true }).sort({ resolvedAt: -1 });
+  if (lastCleared?.resolvedAt && Date.now() - lastCleared.resolvedAt.getTime() < ALERT_COOLDOWN_MINUTES * 60 * 1000) {
+    return null;
+  }
+
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: ALERT_TYPE_BY_SENSOR[sensor.type] || 'other',
+    message,
+    severity,
+    location: sensor.location.name,
+    coordinates: sensor.location.coordinates,
+    sourceKey,
+    sensorData: {
+      value,
+      unit: sensor.unit,
+      sensorId: sensor.sensorId
+    }
+  });
+
+  await alert.save();
+  await dispatchAlert(alert);
+  console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+
+  return alert;
+};
+
+// -------------------- Baseline Band --------------------
+// Band (mean ± k·std) for each hour of day, for charting next to history
+const getBaselineBands = async (sensorId, k = Z_THRESHOLD) => {
+  const baselines = await SensorBaseline.find({ sensorId }).sort({ hour: 1 }).lean();
+  return new Map(baselines.map(baseline => [baseline.hour, { ...band(baseline, k), count: baseline.count }]));
+};
+
+module.exports = {
+  Z_THRESHOLD,
+  hourOfDay,
+  scoreReadings,
+  evaluateAnomalyAlert,
+  getBaselineBands
+};
@@ -0,0 +1,121 @@
+// Indian National Air Quality Index (CPCB, 2014).
+// Each pollutant's concentration, averaged over its CPCB period, maps to a sub-index
+// through the CPCB breakpoints; the NAQI is the highest sub-index.
+
+// Sub-index range of each band: Good, Satisfactory, Moderate, Poor, Very Poor, Severe
+const INDEX_BANDS = [[0, 50], [51, 100], [101, 200], [201, 300], [301, 400], [401, 500]];
+
+const CATEGORIES = [
+  { max: 50, name: 'Good' },
+  { max: 100, name: 'Satisfactory' },
+  { max: 200, name: 'Moderate' },
+  { max: 300, name: 'Poor' },
+  { max: 400, name: 'Very Poor' },
+  { max: Infinity, name: 'Severe' }
+];
+
+// Concentration range of each band up to Very Poor, as published by CPCB (µg/m³, CO in mg/m³).
+// Severe is open-ended and continues at the Very Poor slope, capped at 500.
+const BREAKPOINTS = {
+  pm10: [[0, 50], [51, 100], [101, 250], [251, 350], [351, 430]],
+  pm2_5: [[0, 30], [31, 60], [61, 90], [91, 120], [121, 250]],
+  no2: [[0, 40], [41, 80], [81, 180], [181, 280], [281, 400]],
+  o3: [[0, 50], [51, 100], [101, 168], [169, 208], [209, 748]],
+  co: [[0, 1], [1.1, 2], [2.1, 10], [10.1, 17], [17.1, 34]],
+  so2: [[0, 40], [41, 80], [81, 380], [381, 800], [801, 1600]],
+  nh3: [[0, 200], [201, 400], [401, 800], [801, 1200], [1201, 1800]],
+  pb: [[0, 0.5], [0.6, 1], [1.1, 2], [2.1, 3], [3.1, 3.5]]
+};
+
+const POLLUTANTS = Object.keys(BREAKPOINTS);
+
+// Averaging period of each pollutant, in hours
+const AVERAGING_HOURS = {
+  pm10: 24,
+  pm2_5: 24,
+  no2: 24,
+  o3: 8,
+  co: 8,
+  so2: 24,
+  nh3: 24,
+  pb: 24
+};
+
+// CPCB needs at least 16 of the 24 hourly values; the same two thirds applies to 8-hour averages
+const MIN_COVERAGE = 2 / 3;
+
+// The index is only reported with at least this many pollutants, one of them PM10 or PM2.5
+const MIN_POLLUTANTS = 3;
+
+const aqiCategory = (aqi) => CATEGORIES.find(category => aqi <= category.max).name;
+
+// Linear interpolation within a band: Ip = (IHi - ILo) / (BHi - BLo) * (Cp - BLo) + ILo
+const interpolate = ([low, high], [indexLow, indexHigh], c) =>
+  indexLow + (indexHigh - indexLow) / (high - low) * (c - low);
+
+// Sub-index of one pollutant, or null for an unknown pollutant or missing value.
+// Concentrations between two published ranges (e.g. PM2.5 30.5) take the upper band's lowest
+// index, so the sub-index never falls as the concentration rises.
+const subIndex = (pollutant, concentration) => {
+  const bands = BREAKPOINTS[pollutant];
+  if (!bands || typeof concentration !== 'number' || !Number.isFinite(concentration)) return null;
+
+  const c = Math.max(concentration, 0);
+  const band = bands.findIndex(([, high]) => c <= high);
+  if (band !== -1) {
+    return Math.max(0, Math.round(interpolate(bands[band], INDEX_BANDS[band], Math.max(c, bands[band][0]))));
+  }
+
+  // Severe starts one published step above Very Poor and keeps its slope
+  const [low, high] = bands[bands.length - 1];
+  const step = bands[1][0] - bands[0][1];
+  const severe = [high + step, high + step + (high - low)];
+  return Math.min(500, Math.round(interpolate(severe, INDEX_BANDS[bands.length], Math.max(c, severe[0]))));
+};
+
+// Average of a pollutant's hourly means over its averaging period (oldest first, null for
+// hours without data), or null when too few hours have data
+const averageConcentration = (pollutant, hourlyMeans) => {
+  const hours = AVERAGING_HOURS[pollutant];
+  if (!hours) return null;
+
+  const values = hourlyMeans.slice(-hours).filter(value => typeof value === 'number');
+  if (values.length < Math.ceil(hours * MIN_COVERAGE)) return null;
+
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+// NAQI from averaged pollutant concentrations, e.g. { pm2_5: 95, pm10: 180, no2: 60 }.
+// Returns null when there is not enough data for a valid index.
+const computeNAQI = (concentrations) => {
+  const subIndices = {};
+  for (const pollutant of POLLUTANTS) {
+    const index = subIndex(pollutant, concentrations[pollutant]);
+    if (index !== null) subIndices[pollutant] = index;
+  }
+
+  const measured = Object.keys(subIndices);
+  if (measured.length < MIN_POLLUTANTS || !measured.some(pollutant => pollutant === 'pm10' || pollutant === 'pm2_5')) {
+    return null;
+  }
+
+  const dominant = measured.reduce((a, b) => (subIndices[b] > subIndices[a] ? b : a));
+  const aqi = subIndices[dominant];
+
+  return {
+    aqi,
+    category: aqiCategory(aqi),
+    dominant,
+    subIndices
+  };
+};
+
+module.exports = {
+  POLLUTANTS,
+  BREAKPOINTS,
+  AVERAGING_HOURS,
+  aqiCategory,
+  subIndex,
+  averageConcentration,
+  computeNAQI
+};
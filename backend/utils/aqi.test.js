@@ -0,0 +1,136 @@
+const {
+  POLLUTANTS,
+  BREAKPOINTS,
+  aqiCategory,
+  subIndex,
+  averageConcentration,
+  computeNAQI
+} = require('./aqi');
+
+describe('subIndex', () => {
+  test.each([
+    ['pm2_5', 45, 75],
+    ['pm10', 180, 153],
+    ['no2', 60, 75],
+    ['o3', 120, 129],
+    ['co', 5, 137],
+    ['so2', 100, 107],
+    ['nh3', 500, 126],
+    ['pb', 1.5, 145]
+  ])('%s at %p is %p', (pollutant, concentration, expected) => {
+    expect(subIndex(pollutant, concentration)).toBe(expected);
+  });
+
+  test.each(POLLUTANTS)('%s band edges map to the band index limits', (pollutant) => {
+    const limits = [[0, 50], [51, 100], [101, 200], [201, 300], [301, 400]];
+    BREAKPOINTS[pollutant].forEach(([low, high], band) => {
+      expect(subIndex(pollutant, low)).toBe(limits[band][0]);
+      expect(subIndex(pollutant, high)).toBe(limits[band][1]);
+    });
+  });
+
+  test.each([
+    ['co', 1.01, 51],
+    ['co', 2.05, 101],
+    ['pb', 0.51, 51],
+    ['pm2_5', 30.5, 51],
+    ['pm10', 100.5, 101],
+    ['pb', 3.55, 401]
+  ])('%s at %p, between two published ranges, takes the upper band\'s lowest index', (pollutant, concentration, expected) => {
+    expect(subIndex(pollutant, concentration)).toBe(expected);
+  });
+
+  test.each(POLLUTANTS)('%s never falls as the concentration rises', (pollutant) => {
+    const top = BREAKPOINTS[pollutant][BREAKPOINTS[pollutant].length - 1][1] * 1.5;
+    let previous = -1;
+    for (let i = 0; i <= 2000; i++) {
+      const index = subIndex(pollutant, top * i / 2000);
+      expect(index).toBeGreaterThanOrEqual(previous);
+      previous = index;
+    }
+  });
+
+  test('Severe continues past Very Poor and is capped at 500', () => {
+    expect(subIndex('pm10', 431)).toBe(401);
+    expect(subIndex('pm2_5', 260)).toBe(408);
+    expect(subIndex('pm2_5', 380)).toBe(500);
+    expect(subIndex('pm2_5', 10000)).toBe(500);
+  });
+
+  test('returns null for unknown pollutants and missing values', () => {
+    expect(subIndex('benzene', 5)).toBeNull();
+    expect(subIndex('pm10', undefined)).toBeNull();
+    expect(subIndex('pm10', NaN)).toBeNull();
+    expect(subIndex('pm10', '50')).toBeNull();
+  });
+
+  test('treats negative concentrations as zero', () => {
+    expect(subIndex('co', -1)).toBe(0);
+  });
+});
+
+describe('aqiCategory', () => {
+  test.each([
+    [0, 'Good'],
+    [50, 'Good'],
+    [51, 'Satisfactory'],
+    [200, 'Moderate'],
+    [300, 'Poor'],
+    [400, 'Very Poor'],
+    [401, 'Severe'],
+    [500, 'Severe']
+  ])('%p is %s', (aqi, category) => {
+    expect(aqiCategory(aqi)).toBe(category);
+  });
+});
+
+describe('averageConcentration', () => {
+  const hours = (count, value = 10) => Array.from({ length: count }, () => value);
+
+  test('averages the last 24 hours of a 24-hour pollutant', () => {
+    expect(averageConcentration('pm10', [...hours(6, 100), ...hours(24, 10)])).toBe(10);
+  });
+
+  test('averages the last 8 hours of an 8-hour pollutant', () => {
+    expect(averageConcentration('co', [...hours(16, 5), ...hours(8, 1)])).toBe(1);
+  });
+
+  test('skips hours without data', () => {
+    expect(averageConcentration('co', [null, null, 1, 2, 3, 4, 5, 6])).toBe(3.5);
+  });
+
+  test('needs two thirds of the hours', () => {
+    expect(averageConcentration('pm10', [...hours(8, null), ...hours(16)])).toBe(10);
+    expect(averageConcentration('pm10', [...hours(9, null), ...hours(15)])).toBeNull();
+    expect(averageConcentration('o3', [...hours(3, null), ...hours(5)])).toBeNull();
+  });
+
+  test('returns null for unknown pollutants', () => {
+    expect(averageConcentration('benzene', hours(24))).toBeNull();
+  });
+});
+
+describe('computeNAQI', () => {
+  test('is the highest sub-index', () => {
+    expect(computeNAQI({ pm2_5: 45, pm10: 180, no2: 60 })).toEqual({
+      aqi: 153,
+      category: 'Moderate',
+      dominant: 'pm10',
+      subIndices: { pm10: 153, pm2_5: 75, no2: 75 }
+    });
+  });
+
+  test('needs at least three pollutants', () => {
+    expect(computeNAQI({ pm2_5: 45, no2: 60 })).toBeNull();
+  });
+
+  test('needs PM10 or PM2.5 among them', () => {
+    expect(computeNAQI({ no2: 60, o3: 120, co: 5 })).toBeNull();
+    expect(computeNAQI({ pm2_5: 45, o3: 120, co: 5 })).toMatchObject({ aqi: 137, dominant: 'co' });
+  });
+
+  test('ignores missing values and unknown pollutants', () => {
+    expect(computeNAQI({ pm10: 180, no2: null, so2: 100, benzene: 5 })).toBeNull();
+    expect(computeNAQI({ pm10: 180, no2: null, so2: 100, nh3: 500 })).toMatchObject({ aqi: 153 });
+  });
+});
@@ -0,0 +1,90 @@
+const SensorReading = require('../models/SensorReading');
+const { recomputeRollups } = require('./sensorRollups');
+
+const BATCH_SIZE = 1000;
+
+// Convert a raw reading to a calibrated value. A curve (at least two { raw, value } points)
+// is interpolated piecewise-linearly and extended along its end segments; otherwise
+// gain (calibrationFactor) and offset are applied.
+const applyCalibration = (calibration, raw) => {
+  const curve = calibration?.curve || [];
+
+  if (curve.length >= 2) {
+    const points = [...curve].sort((a, b) => a.raw - b.raw);
+    let i = 1;
+    while (i < points.length - 1 && raw > points[i].raw) i++;
+
+    const lower = points[i - 1];
+    const upper = points[i];
+    const slope = (upper.value - lower.value) / (upper.raw - lower.raw);
+    return lower.value + (raw - lower.raw) * slope;
+  }
+
+  const gain = calibration?.calibrationFactor ?? 1;
+  const offset = calibration?.offset ?? 0;
+  return raw * gain + offset;
+};
+
+// Recalculate stored readings in [from, to] from their raw values with the given calibration.
+// Updating measurements in a time-series collection requires MongoDB 7.0 or later.
+const reapplyCalibration = async (sensor, calibration, from, to) => {
+  const cursor = SensorReading.find({
+    sensorId: sensor.sensorId,
+    timestamp: { $gte: from, $lte: to },
+    'exercise.runId': { $exists: false }
+  }).select('timestamp value rawValue').lean().cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await SensorReading.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const reading of cursor) {
+    // Readings stored before calibration was applied on ingest only have a raw value
+    const raw = reading.rawValue ?? reading.value;
+
+    operations.push({
+      updateMany: {
+        filter: { sensorId: sensor.sensorId, timestamp: reading.timestamp },
+        update: { $set: { value: applyCalibration(calibration, raw), rawValue: raw } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (updated > 0) {
+    await recomputeRollups([sensor.sensorId], from, to);
+  }
+
+  // Keep the current reading consistent if it falls inside the window
+  const current = sensor.currentReading;
+  if (current?.timestamp && current.timestamp >= from && current.timestamp <= to) {
+    const raw = current.rawValue ?? current.value;
+    const value = applyCalibration(calibration, raw);
+
+    sensor.currentReading = {
+      value,
+      rawValue: raw,
+      timestamp: current.timestamp,
+      status: sensor.getAlertStatus(value)
+    };
+    await sensor.constructor.updateOne(
+      { _id: sensor._id },
+      { $set: { currentReading: sensor.currentReading } }
+    );
+  }
+
+  return updated;
+};
+
+module.exports = {
+  applyCalibration,
+  reapplyCalibration
+};
@@ -0,0 +1,335 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { validateCapAlert } = require('./validation');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const CAP_SENDER = process.env.CAP_SENDER || 'disaster-response@ghaziabad.gov.in';
+const CAP_SENDER_NAME = process.env.CAP_SENDER_NAME || 'Smart Disaster Response System';
+
+const ALERT_TYPES = ['earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other'];
+
+// Our severities map one-to-one onto CAP severities
+const SEVERITY_TO_CAP = {
+  critical: 'Extreme',
+  warning: 'Severe',
+  moderate: 'Moderate',
+  info: 'Minor'
+};
+
+const SEVERITY_FROM_CAP = {
+  Extreme: 'critical',
+  Severe: 'warning',
+  Moderate: 'moderate',
+  Minor: 'info',
+  Unknown: 'info'
+};
+
+const URGENCY_BY_SEVERITY = {
+  critical: 'Immediate',
+  warning: 'Expected',
+  moderate: 'Expected',
+  info: 'Future'
+};
+
+const CATEGORY_BY_TYPE = {
+  earthquake: 'Geo',
+  flood: 'Met',
+  storm: 'Met',
+  fire: 'Fire',
+  pollution: 'Env',
+  heatwave: 'Met',
+  infrastructure: 'Infra',
+  other: 'Other'
+};
+
+// Keyword fallback for CAP messages from other senders
+const EVENT_KEYWORDS = [
+  { type: 'earthquake', pattern: /earthquake|seismic|tremor|aftershock/i },
+  { type: 'flood', pattern: /flood|inundation|river|dam/i },
+  { type: 'storm', pattern: /storm|cyclone|thunder|squall|wind|tornado/i },
+  { type: 'fire', pattern: /fire/i },
+  { type: 'pollution', pattern: /pollution|air quality|smog|aqi/i },
+  { type: 'heatwave', pattern: /heat/i },
+  { type: 'infrastructure', pattern: /outage|infrastructure|power failure|telecom/i }
+];
+
+const ARRAY_ELEMENTS = ['info', 'category', 'area', 'polygon', 'circle', 'geocode', 'parameter', 'entry', 'responseType', 'eventCode'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ARRAY_ELEMENTS.includes(name)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  format: true,
+  suppressEmptyNode: true
+});
+
+// CAP dates must carry an explicit offset, "Z" is not allowed
+const toCapDate = (date) => {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+};
+
+const titleCase = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Forecast warnings: Expected within a day of onset, Future before that
+const forecastUrgency = (forecast) => {
+  return new Date(forecast.onset).getTime() - Date.now() <= 24 * 60 * 60 * 1000 ? 'Expected' : 'Future';
+};
+
+const forecastCertainty = (forecast) => (forecast.confidence >= 0.5 ? 'Likely' : 'Possible');
+
+// Helper function to build the CAP <alert> object for an alert document
+const buildCapAlert = (alert) => {
+  const cap = alert.cap || {};
+  const severity = alert.severity;
+  const forecast = alert.forecast?.hazard ? alert.forecast : null;
+
+  const parameters = [
+    { valueName: 'alertType', value: alert.type },
+    { valueName: 'estimatedImpact', value: String(alert.estimatedImpact || 0) }
+  ];
+  if (alert.sensorData?.sensorId) {
+    parameters.push(
+      { valueName: 'sensorId', value: alert.sensorData.sensorId },
+      { valueName: 'sensorValue', value: String(alert.sensorData.value) },
+      { valueName: 'sensorUnit', value: alert.sensorData.unit }
+    );
+  }
+
+  const circles = cap.circles?.length > 0
+    ? cap.circles
+    : [`${alert.coordinates.lat},${alert.coordinates.lng} 0`];
+
+  const info = {
+    language: cap.language || 'en-IN',
+    category: cap.category?.length > 0 ? cap.category : [CATEGORY_BY_TYPE[alert.type] || 'Other'],
+    event: cap.event || titleCase(alert.type),
+    urgency: cap.urgency || (forecast ? forecastUrgency(forecast) : URGENCY_BY_SEVERITY[severity]) || 'Unknown',
+    severity: SEVERITY_TO_CAP[severity] || 'Unknown',
+    certainty: cap.certainty || (forecast ? forecastCertainty(forecast) : alert.sensorData?.sensorId ? 'Observed' : 'Likely'),
+    effective: toCapDate(alert.createdAt || Date.now()),
+    onset: forecast?.onset ? toCapDate(forecast.onset) : undefined,
+    expires: alert.expiresAt ? toCapDate(alert.expiresAt) : undefined,
+    senderName: cap.senderName || CAP_SENDER_NAME,
+    headline: cap.headline || `${titleCase(alert.type)} ${severity} alert - ${alert.location}`,
+    description: alert.message,
+    instruction: cap.instruction,
+    web: cap.web,
+    parameter: parameters,
+    area: {
+      areaDesc: cap.areaDesc || alert.location,
+      polygon: cap.polygons?.length > 0 ? cap.polygons : undefined,
+      circle: circles,
+      geocode: cap.geocodes?.length > 0
+        ? cap.geocodes.map(({ valueName, value }) => ({ valueName, value }))
+        : undefined
+    }
+  };
+
+  let msgType = cap.msgType === 'Update' ? 'Update' : 'Alert';
+  if (alert.resolved) msgType = 'Cancel';
+
+  return {
+    '@_xmlns': CAP_NAMESPACE,
+    identifier: cap.identifier || alert.id,
+    sender: cap.sender || CAP_SENDER,
+    sent: toCapDate(cap.sent || alert.updatedAt || alert.createdAt || Date.now()),
+    status: alert.exercise?.runId ? 'Exercise' : (cap.status || 'Actual'),
+    msgType,
+    scope: cap.scope || 'Public',
+    references: cap.references,
+    info
+  };
+};
+
+// Export a single alert as a CAP 1.2 XML document
+const alertToCap = (alert) => {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ alert: buildCapAlert(alert) });
+};
+
+// Export alerts as an Atom feed with each CAP message embedded in its entry
+const alertsToAtomFeed = (alerts, { baseUrl, updated = new Date() } = {}) => {
+  const feed = {
+    '@_xmlns': ATOM_NAMESPACE,
+    id: `${baseUrl}/api/alerts/feed.atom`,
+    title: `${CAP_SENDER_NAME} - active alerts`,
+    updated: toCapDate(updated),
+    author: { name: CAP_SENDER_NAME },
+    link: { '@_rel': 'self', '@_href': `${baseUrl}/api/alerts/feed.atom` },
+    entry: alerts.map(alert => ({
+      id: `${baseUrl}/api/alerts/${alert._id}.cap`,
+      title: `${titleCase(alert.type)} ${alert.severity} alert - ${alert.location}`,
+      updated: toCapDate(alert.updatedAt || alert.createdAt),
+      summary: alert.message,
+      link: {
+        '@_rel': 'alternate',
+        '@_type': 'application/cap+xml',
+        '@_href': `${baseUrl}/api/alerts/${alert._id}.cap`
+      },
+      content: {
+        '@_type': 'text/xml',
+        alert: buildCapAlert(alert)
+      }
+    }))
+  };
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + builder.build({ feed });
+};
+
+// Helper function to parse a "lat,lng" pair
+const parsePoint = (point) => {
+  const [lat, lng] = point.split(',').map(parseFloat);
+  return { lat, lng };
+};
+
+// Helper function to pick representative coordinates for CAP areas
+const getAreaCoordinates = (areas) => {
+  for (const area of areas) {
+    if (area.circle?.length > 0) {
+      return parsePoint(area.circle[0].trim().split(/\s+/)[0]);
+    }
+  }
+
+  for (const area of areas) {
+    if (area.polygon?.length > 0) {
+      // Closed polygons repeat the first vertex, leave it out of the centroid
+      const vertices = area.polygon[0].trim().split(/\s+/).map(parsePoint);
+      const [first, last] = [vertices[0], vertices[vertices.length - 1]];
+      const closed = vertices.length > 1 && first.lat === last.lat && first.lng === last.lng;
+      const points = closed ? vertices.slice(0, -1) : vertices;
+      return {
+        lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+        lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+      };
+    }
+  }
+
+  return null;
+};
+
+// Helper function to map a CAP event onto one of our alert types
+const getAlertTypeFromCap = (info, parameters) => {
+  if (ALERT_TYPES.includes(parameters.alertType)) {
+    return parameters.alertType;
+  }
+
+  const match = EVENT_KEYWORDS.find(({ pattern }) => pattern.test(info.event));
+  if (match) return match.type;
+
+  if (info.category.includes('Fire')) return 'fire';
+  if (info.category.includes('Env')) return 'pollution';
+  return 'other';
+};
+
+// Parse and validate a CAP 1.2 document, returning the alert fields it describes
+const parseCapAlert = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    return { error: { message: 'Invalid XML', details: [{ message: error.message }] } };
+  }
+
+  if (!document?.alert) {
+    return { error: { message: 'Document is not a CAP alert', details: [{ message: 'Missing <alert> root element' }] } };
+  }
+
+  const { error, value: capAlert } = validateCapAlert(document.alert);
+  if (error) {
+    return { error: { message: 'Validation error', details: error.details } };
+  }
+
+  const references = capAlert.references
+    ? capAlert.references.trim().split(/\s+/).map(ref => ref.split(',')[1])
+    : [];
+
+  const result = {
+    identifier: capAlert.identifier,
+    status: capAlert.status,
+    msgType: capAlert.msgType,
+    references,
+    alert: null
+  };
+
+  if (!capAlert.info || capAlert.info.length === 0) {
+    return result;
+  }
+
+  // Prefer an English info block when several languages are present
+  const info = capAlert.info.find(block => /^en/i.test(block.language || 'en-US')) || capAlert.info[0];
+  const areas = info.area || [];
+  const coordinates = getAreaCoordinates(areas);
+
+  if (!coordinates) {
+    return {
+      error: {
+        message: 'Validation error',
+        details: [{ message: 'info.area must contain at least one polygon or circle', path: ['info', 'area'] }]
+      }
+    };
+  }
+
+  const parameters = (info.parameter || []).reduce((acc, { valueName, value }) => {
+    acc[valueName] = value;
+    return acc;
+  }, {});
+
+  const areaDesc = areas.map(area => area.areaDesc).join('; ');
+  const polygons = areas.flatMap(area => area.polygon || []);
+  const circles = areas.flatMap(area => area.circle || []);
+
+  const alert = {
+    type: getAlertTypeFromCap(info, parameters),
+    message: info.description || info.headline || info.event,
+    severity: SEVERITY_FROM_CAP[info.severity],
+    location: areaDesc,
+    coordinates,
+    estimatedImpact: parameters.estimatedImpact ? parseInt(parameters.estimatedImpact) : undefined,
+    expiresAt: info.expires ? new Date(info.expires) : undefined,
+    cap: {
+      identifier: capAlert.identifier,
+      sender: capAlert.sender,
+      sent: new Date(capAlert.sent),
+      status: capAlert.status,
+      msgType: capAlert.msgType,
+      scope: capAlert.scope,
+      references: capAlert.references,
+      language: info.language,
+      category: info.category,
+      event: info.event,
+      urgency: info.urgency,
+      certainty: info.certainty,
+      headline: info.headline,
+      instruction: info.instruction,
+      senderName: info.senderName,
+      web: info.web,
+      areaDesc,
+      polygons,
+      // A zero radius circle is just how we export a point, not a real area
+      circles: circles.filter(circle => !/\s0(\.0+)?$/.test(circle.trim())),
+      geocodes: areas.flatMap(area => area.geocode || [])
+    }
+  };
+
+  if (parameters.sensorId) {
+    alert.sensorData = {
+      sensorId: parameters.sensorId,
+      value: parseFloat(parameters.sensorValue),
+      unit: parameters.sensorUnit
+    };
+  }
+
+  result.alert = alert;
+  return result;
+};
+
+module.exports = {
+  alertToCap,
+  alertsToAtomFeed,
+  parseCapAlert
+};
@@ -0,0 +1,88 @@
+// Built-in rules reproducing the original behaviour: every sensor type raises a warning
+// alert when a reading reaches the sensor's warning threshold and a critical one at its
+// critical threshold. Both rules share one alert per sensor (see ruleEngine.js).
+const DEFAULTS = {
+  seismic: {
+    alertType: 'earthquake',
+    messageTemplate: 'Seismic activity detected: {{value:1}} magnitude',
+    impact: { critical: 10000, warning: 5000 }
+  },
+  water_level: {
+    alertType: 'flood',
+    messageTemplate: 'Rising water levels detected: {{value:1}}{{unit}}',
+    impact: { critical: 8000, warning: 4000 }
+  },
+  wind_speed: {
+    alertType: 'storm',
+    messageTemplate: 'High wind speeds detected: {{value:1}} {{unit}}',
+    impact: { critical: 6000, warning: 3000 }
+  },
+  temperature: {
+    alertType: 'heatwave',
+    messageTemplate: 'Extreme temperature detected: {{value:1}}{{unit}}',
+    impact: { critical: 12000, warning: 6000 }
+  },
+  air_quality: {
+    alertType: 'pollution',
+    messageTemplate: 'Poor air quality detected: AQI {{value:0}}',
+    impact: { critical: 15000, warning: 8000 }
+  },
+  humidity: {
+    alertType: 'other',
+    messageTemplate: 'Unusual humidity levels: {{value:1}}{{unit}}'
+  },
+  pressure: {
+    alertType: 'other',
+    messageTemplate: 'Atmospheric pressure anomaly: {{value:1}} {{unit}}'
+  },
+  weather: {
+    alertType: 'other',
+    messageTemplate: 'Sensor anomaly detected: {{value:1}} {{unit}}'
+  },
+  rainfall: {
+    alertType: 'flood',
+    messageTemplate: 'Heavy rainfall detected: {{value:1}} {{unit}}'
+  },
+  heat_index: {
+    alertType: 'heatwave',
+    messageTemplate: 'Dangerous heat: feels like {{value:1}}{{unit}} at {{location}}',
+    impact: { critical: 12000, warning: 6000 }
+  },
+  wind_chill: {
+    alertType: 'other',
+    messageTemplate: 'Severe cold: wind chill {{value:1}}{{unit}} at {{location}}',
+    // Lower wind chill is worse
+    operator: 'lte'
+  },
+  flood_index: {
+    alertType: 'flood',
+    messageTemplate: 'High flood risk at {{location}}: flood index {{value:0}} (river level and rainfall)',
+    impact: { critical: 8000, warning: 4000 }
+  }
+};
+
+const DEFAULT_ALERT_RULES = Object.entries(DEFAULTS).flatMap(([sensorType, rule]) =>
+  ['warning', 'critical'].map(severity => ({
+    name: `Default ${sensorType.replace('_', ' ')} ${severity}`,
+    description: `Reading at or ${rule.operator === 'lte' ? 'below' : 'above'} the sensor's ${severity} threshold`,
+    enabled: true,
+    builtIn: true,
+    scope: { sensorTypes: [sensorType], sensorIds: [] },
+    conditions: [{ source: 'self', metric: 'value', operator: rule.operator || 'gte', thresholdRef: severity }],
+    alertType: rule.alertType,
+    severity,
+    messageTemplate: rule.messageTemplate,
+    estimatedImpact: rule.impact?.[severity] || 1000,
+    cooldownMinutes: 5
+  }))
+);
+
+// Alert type raised for each sensor type
+const ALERT_TYPE_BY_SENSOR = Object.fromEntries(
+  Object.entries(DEFAULTS).map(([sensorType, rule]) => [sensorType, rule.alertType])
+);
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  ALERT_TYPE_BY_SENSOR
+};
@@ -0,0 +1,291 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { haversineKm } = require('./geo');
+const { aggregateSeries } = require('./sensorRollups');
+const { POLLUTANTS, AVERAGING_HOURS, averageConcentration, computeNAQI } = require('./aqi');
+const { exerciseScope } = require('./exercise');
+
+// Inputs not configured explicitly are taken from the nearest sensor of the right type within this distance
+const INPUT_RADIUS_KM = parseFloat(process.env.DERIVED_INPUT_RADIUS_KM) || 5;
+// Input readings older than this (at the time of evaluation) are treated as missing
+const DEFAULT_MAX_INPUT_AGE_MINUTES = 30;
+
+const HOUR = 60 * 60 * 1000;
+
+// -------------------- Formulas --------------------
+const toCelsius = (value, unit) => (/F$/i.test(unit || '') ? (value - 32) * 5 / 9 : value);
+
+const toKmh = (value, unit) => {
+  switch ((unit || '').toLowerCase()) {
+    case 'm/s':
+      return value * 3.6;
+    case 'mph':
+      return value * 1.609344;
+    case 'knots':
+    case 'kt':
+      return value * 1.852;
+    default:
+      return value;
+  }
+};
+
+// NWS heat index (Rothfusz regression with its low/high humidity adjustments), in °C
+const heatIndex = (temperatureC, humidity) => {
+  const t = temperatureC * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+
+  return (hi - 32) * 5 / 9;
+};
+
+// Environment Canada wind chill, in °C; outside its range the air temperature is returned
+const windChill = (temperatureC, windKmh) => {
+  if (temperatureC > 10 || windKmh < 4.8) return temperatureC;
+  const v = Math.pow(windKmh, 0.16);
+  return 13.12 + 0.6215 * temperatureC - 11.37 * v + 0.3965 * temperatureC * v;
+};
+
+// -------------------- Definitions --------------------
+// Each kind of derived sensor: the sensor type it appears as, its inputs (role -> sensor type),
+// default thresholds and parameters, and how its value is computed from the input readings.
+// Inputs listed in `averaging` (role -> hours) also get the average of their hourly means.
+// compute() returns { value, details } or null when the inputs are not sufficient.
+const DERIVED_KINDS = {
+  heat_index: {
+    type: 'heat_index',
+    unit: '°C',
+    inputs: {
+      temperature: { sensorType: 'temperature', required: true },
+      humidity: { sensorType: 'humidity', required: true }
+    },
+    // NWS "danger" and "extreme danger"
+    thresholds: { warning: 41, critical: 54 },
+    compute: ({ temperature, humidity }) => ({
+      value: heatIndex(toCelsius(temperature.value, temperature.unit), humidity.value)
+    })
+  },
+  wind_chill: {
+    type: 'wind_chill',
+    unit: '°C',
+    inputs: {
+      temperature: { sensorType: 'temperature', required: true },
+      wind_speed: { sensorType: 'wind_speed', required: true }
+    },
+    // Lower is worse (critical below warning), for cold-wave conditions in the plains
+    thresholds: { warning: 5, critical: 0 },
+    compute: ({ temperature, wind_speed: wind }) => ({
+      value: windChill(toCelsius(temperature.value, temperature.unit), toKmh(wind.value, wind.unit))
+    })
+  },
+  naqi: {
+    type: 'air_quality',
+    unit: 'AQI',
+    inputs: Object.fromEntries(POLLUTANTS.map(pollutant => [pollutant, { sensorType: pollutant }])),
+    // CPCB averaging periods: 24 hours, 8 hours for O3 and CO
+    averaging: AVERAGING_HOURS,
+    // Poor and Very Poor
+    thresholds: { warning: 201, critical: 301 },
+    compute: (inputs) => {
+      const concentrations = {};
+      for (const [pollutant, input] of Object.entries(inputs)) {
+        if (input.average == null) continue;
+        // CO breakpoints are in mg/m³
+        concentrations[pollutant] = pollutant === 'co' && /^(µ|u)g/i.test(input.unit || '') ? input.average / 1000 : input.average;
+      }
+
+      const naqi = computeNAQI(concentrations);
+      if (!naqi) return null;
+
+      return {
+        value: naqi.aqi,
+        details: {
+          category: naqi.category,
+          dominant: naqi.dominant,
+          subIndices: naqi.subIndices,
+          concentrations: Object.fromEntries(Object.entries(concentrations)
+            .map(([pollutant, value]) => [pollutant, Math.round(value * 100) / 100]))
+        }
+      };
+    }
+  },
+  flood_index: {
+    type: 'flood_index',
+    unit: 'index',
+    inputs: {
+      water_level: { sensorType: 'water_level', required: true },
+      rainfall: { sensorType: 'rainfall' }
+    },
+    // 100 = the river gauge's critical level with no rain
+    thresholds: { warning: 75, critical: 100 },
+    params: {
+      // How much heavy rain raises the index on top of the river level
+      rainfallWeight: 0.25,
+      // Rainfall counted as heavy, in the gauge's unit (IMD heavy rain: 64.5 mm/day)
+      heavyRainfall: 64.5
+    },
+    compute: ({ water_level: level, rainfall }, params) => {
+      const levelRatio = level.value / level.sensor.thresholds.critical;
+      const rainRatio = rainfall ? Math.min(Math.max(rainfall.value, 0) / params.heavyRainfall, 2) : 0;
+
+      return {
+        value: Math.max(0, 100 * levelRatio * (1 + params.rainfallWeight * rainRatio)),
+        details: {
+          levelRatio: Math.round(levelRatio * 1000) / 1000,
+          rainRatio: Math.round(rainRatio * 1000) / 1000
+        }
+      };
+    }
+  }
+};
+
+// -------------------- Configuration --------------------
+// Check a derived sensor's inputs and fill in the roles not given with the nearest suitable
+// sensor. Throws a RangeError describing the first problem found.
+const resolveInputs = async (kind, coordinates, inputs = []) => {
+  const definition = DERIVED_KINDS[kind];
+  if (!definition) throw new RangeError(`Unknown derived sensor kind: ${kind}`);
+
+  const resolved = [];
+  for (const { role, sensorId } of inputs) {
+    const input = definition.inputs[role];
+    if (!input) {
+      throw new RangeError(`Unknown input "${role}" for ${kind}; expected one of ${Object.keys(definition.inputs).join(', ')}`);
+    }
+
+    const sensor = await Sensor.findOne({ sensorId });
+    if (!sensor) throw new RangeError(`Input sensor not found: ${sensorId}`);
+    if (sensor.type !== input.sensorType) {
+      throw new RangeError(`Input "${role}" needs a ${input.sensorType} sensor, ${sensorId} is ${sensor.type}`);
+    }
+    if (sensor.derived?.kind) throw new RangeError(`Derived sensors cannot be inputs: ${sensorId}`);
+
+    resolved.push({ role, sensorId });
+  }
+
+  const missing = Object.entries(definition.inputs)
+    .filter(([role]) => !resolved.some(input => input.role === role));
+
+  if (missing.length > 0) {
+    const candidates = await Sensor.find({
+      type: { $in: missing.map(([, input]) => input.sensorType) },
+      status: { $ne: 'inactive' },
+      'derived.kind': { $exists: false }
+    });
+
+    for (const [role, input] of missing) {
+      const nearest = candidates
+        .filter(sensor => sensor.type === input.sensorType)
+        .map(sensor => ({ sensor, distance: haversineKm(coordinates, sensor.location.coordinates) }))
+        .filter(({ distance }) => distance <= INPUT_RADIUS_KM)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (nearest) {
+        resolved.push({ role, sensorId: nearest.sensor.sensorId });
+      } else if (input.required) {
+        throw new RangeError(`No ${input.sensorType} sensor within ${INPUT_RADIUS_KM} km for input "${role}"`);
+      }
+    }
+  }
+
+  return resolved;
+};
+
+// -------------------- Evaluation --------------------
+// Hourly means of a sensor for the `hours` hours up to `at` (the current hour included)
+const hourlyMeans = async (sensorId, at, hours) => {
+  const [series] = await aggregateSeries({
+    sensorIds: [sensorId],
+    from: new Date(Math.floor(at.getTime() / HOUR) * HOUR - (hours - 1) * HOUR),
+    to: at,
+    bucket: '1h',
+    fn: 'mean'
+  });
+  return series.buckets.map(bucket => bucket.value);
+};
+
+// Latest reading of each input at time `at`, ignoring readings older than the sensor's maximum
+// input age, and the average over the input's averaging period where the kind asks for one
+const loadInputs = async (sensor, at) => {
+  const definition = DERIVED_KINDS[sensor.derived.kind];
+  const maxAge = (sensor.derived.maxInputAgeMinutes || DEFAULT_MAX_INPUT_AGE_MINUTES) * 60 * 1000;
+  const sensorIds = sensor.derived.inputs.map(input => input.sensorId);
+  const inputSensors = new Map(
+    (await Sensor.find({ sensorId: { $in: sensorIds } })).map(input => [input.sensorId, input])
+  );
+
+  const inputs = {};
+  for (const { role, sensorId } of sensor.derived.inputs) {
+    const inputSensor = inputSensors.get(sensorId);
+    if (!inputSensor) continue;
+
+    const reading = await SensorReading.findOne({
+      sensorId,
+      timestamp: { $lte: at, $gte: new Date(at.getTime() - maxAge) },
+      ...exerciseScope()
+    }).sort({ timestamp: -1 }).select('timestamp value').lean();
+
+    const hours = definition.averaging?.[role];
+    const average = hours ? averageConcentration(role, await hourlyMeans(sensorId, at, hours)) : undefined;
+
+    if (reading || average != null) {
+      inputs[role] = {
+        sensorId,
+        value: reading?.value ?? null,
+        timestamp: reading?.timestamp ?? null,
+        average,
+        unit: inputSensor.unit,
+        sensor: inputSensor
+      };
+    }
+  }
+
+  return inputs;
+};
+
+// Value of a derived sensor at time `at`: { value, details, inputs } or null if required inputs are missing
+const computeDerivedValue = async (sensor, at = new Date()) => {
+  const definition = DERIVED_KINDS[sensor.derived?.kind];
+  if (!definition) return null;
+
+  const inputs = await loadInputs(sensor, at);
+  const complete = Object.entries(definition.inputs)
+    .every(([role, input]) => !input.required || inputs[role]);
+  if (!complete) return null;
+
+  const params = { ...definition.params, ...sensor.derived.params };
+  const result = definition.compute(inputs, params);
+  if (!result || !Number.isFinite(result.value)) return null;
+
+  return {
+    value: Math.round(result.value * 100) / 100,
+    details: result.details,
+    inputs: Object.entries(inputs).map(([role, input]) => ({
+      role,
+      sensorId: input.sensorId,
+      value: input.value,
+      average: input.average,
+      unit: input.unit,
+      timestamp: input.timestamp
+    }))
+  };
+};
+
+module.exports = {
+  DERIVED_KINDS,
+  heatIndex,
+  windChill,
+  resolveInputs,
+  computeDerivedValue
+};
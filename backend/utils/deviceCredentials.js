@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const DeviceCredential = require('../models/DeviceCredential');
+
+// Secret the at-rest encryption key is derived from. Checked when the module loads so the
+// server refuses to start rather than encrypting device secrets under an empty key.
+const ENCRYPTION_SECRET = process.env.DEVICE_SECRET_KEY || process.env.JWT_SECRET;
+if (!ENCRYPTION_SECRET) {
+  throw new Error('DEVICE_SECRET_KEY (or JWT_SECRET) must be set to encrypt device credentials');
+}
+
+// Key used to encrypt HMAC secrets at rest
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(ENCRYPTION_SECRET)
+    .digest();
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Constant-time comparison of two hex or plain strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// String the device signs: timestamp, nonce, method, path and raw body on separate lines
+const buildSigningString = ({ timestamp, nonce, method, path, body }) => {
+  return [timestamp, nonce, method.toUpperCase(), path, body || ''].join('\n');
+};
+
+const signRequest = (secret, parts) => {
+  return crypto.createHmac('sha256', secret).update(buildSigningString(parts)).digest('hex');
+};
+
+// Create a credential for a sensor. The plain secret is only returned here.
+const issueCredential = async ({ sensorId, gatewaySensors = [], type = 'hmac', label, createdBy }) => {
+  const keyId = `dk_${crypto.randomBytes(8).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const credential = new DeviceCredential({
+    keyId,
+    sensorId,
+    gatewaySensors,
+    type,
+    label,
+    createdBy,
+    secretHash: type === 'api_key' ? hashSecret(secret) : undefined,
+    encryptedSecret: type === 'hmac' ? encryptSecret(secret) : undefined
+  });
+  await credential.save();
+
+  return {
+    credential,
+    secret,
+    // API keys are sent as "<keyId>.<secret>" in X-Device-Key
+    apiKey: type === 'api_key' ? `${keyId}.${secret}` : undefined
+  };
+};
+
+module.exports = {
+  hashSecret,
+  decryptSecret,
+  safeEqual,
+  signRequest,
+  issueCredential
+};
@@ -0,0 +1,244 @@
+const Alert = require('../models/Alert');
+const { EarthquakeService } = require('../services/externalAPI');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { dispatchAlert } = require('../services/alertFanout');
+const { severityRank, recordTransition, updateSensorAlert } = require('./alertLifecycle');
+
+// Regions to watch as "name:lat,lon,radiusKm" separated by ";" (empty to disable)
+const REGIONS = process.env.EARTHQUAKE_REGIONS ?? 'Delhi NCR:28.67,77.45,300;Himalayan belt:30.8,79.0,600';
+// Smallest magnitude that raises an alert
+const MIN_MAGNITUDE = parseFloat(process.env.EARTHQUAKE_MIN_MAGNITUDE) || 3.5;
+// How far back each poll looks; revisions of older events are not followed
+const LOOKBACK_HOURS = parseInt(process.env.EARTHQUAKE_LOOKBACK_HOURS) || 24;
+// Events this far below the alert magnitude are still fetched, so downward revisions are seen
+const REVISION_MARGIN = 0.5;
+
+// Start of the resolution this job gives an alert whose event was revised below the alert
+// magnitude. Those alerts reopen if USGS revises the event back up; any other resolution
+// (staff, deleted event) stays closed.
+const REVISED_BELOW = 'Magnitude revised to';
+
+// Severity by magnitude; a tsunami flag makes it at least a warning
+const MAGNITUDE_SEVERITY = [
+  { min: 6, severity: 'critical' },
+  { min: 5, severity: 'warning' },
+  { min: 4, severity: 'moderate' },
+  { min: -Infinity, severity: 'info' }
+];
+
+const parseRegions = (value) => value
+  .split(';')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, position = ''] = entry.split(':');
+    const [lat, lon, radiusKm] = position.split(',').map(Number);
+    return { name: name.trim(), lat, lon, radiusKm };
+  })
+  .filter(region => [region.lat, region.lon, region.radiusKm].every(Number.isFinite));
+
+const regions = parseRegions(REGIONS);
+
+let isRunning = false;
+
+const status = {
+  enabled: regions.length > 0,
+  minMagnitude: MIN_MAGNITUDE,
+  lastRunAt: null,
+  created: 0,
+  updated: 0,
+  resolved: 0,
+  // Per region: last successful poll (the next poll asks for changes since then) and last error
+  regions: Object.fromEntries(regions.map(region => [region.name, { lastPolledAt: null, lastError: null }]))
+};
+
+// -------------------- Alerts --------------------
+const earthquakeSeverity = (event) => {
+  const { severity } = MAGNITUDE_SEVERITY.find(level => event.magnitude >= level.min);
+  return event.tsunami && severityRank(severity) < severityRank('warning') ? 'warning' : severity;
+};
+
+const earthquakeMessage = (event) => {
+  const depth = typeof event.depth === 'number' ? ` at ${Math.round(event.depth)} km depth` : '';
+  const tsunami = event.tsunami ? '. Tsunami possible - follow INCOIS warnings for coastal areas' : '';
+  return `M${event.magnitude.toFixed(1)} earthquake ${event.location || 'in the region'}${depth} (USGS ${event.status || 'automatic'})${tsunami}`;
+};
+
+const applyEvent = (alert, event) => {
+  alert.location = event.location || alert.location;
+  alert.coordinates = event.coordinates;
+  alert.sourceKey = `usgs:${event.id}`;
+  alert.earthquake = {
+    eventId: event.id,
+    ids: [...new Set([...(alert.earthquake?.ids || []), ...event.ids])],
+    magnitude: event.magnitude,
+    magType: event.magType,
+    depth: event.depth,
+    time: event.timestamp,
+    updated: event.updated,
+    status: event.status,
+    tsunami: event.tsunami,
+    url: event.url
+  };
+};
+
+const resolveEarthquakeAlert = async (alert, resolution) => {
+  alert.resolved = true;
+  alert.resolvedAt = new Date();
+  alert.resolution = resolution;
+  await alert.save();
+  await notifyAlert(alert, { reason: 'cleared' });
+  status.resolved++;
+  console.log(`✅ Alert cleared: ${alert.id} - ${resolution}`);
+};
+
+// An alert this job resolved on a downward revision, whose event is back above the alert magnitude
+const reopenEarthquakeAlert = async (alert, event) => {
+  alert.resolved = false;
+  alert.resolvedAt = undefined;
+  alert.resolution = undefined;
+  alert.severity = earthquakeSeverity(event);
+  alert.message = earthquakeMessage(event);
+  recordTransition(alert, 'active', {
+    value: event.magnitude,
+    note: `Reopened: magnitude revised to M${event.magnitude.toFixed(1)} by USGS`,
+    at: new Date()
+  });
+  await alert.save();
+  await dispatchAlert(alert, { reason: 'updated' });
+  status.updated++;
+  console.log(`🔄 Alert reopened: ${alert.id} - ${alert.message}`);
+};
+
+const createEarthquakeAlert = async (event) => {
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'earthquake',
+    message: earthquakeMessage(event),
+    severity: earthquakeSeverity(event),
+    location: event.location || 'Unknown location',
+    coordinates: event.coordinates
+  });
+  applyEvent(alert, event);
+
+  await alert.save();
+  await dispatchAlert(alert);
+  status.created++;
+  console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+};
+
+// A later version of an event we already have an alert for
+const reviseEarthquakeAlert = async (alert, event) => {
+  const previous = alert.earthquake?.magnitude;
+  applyEvent(alert, event);
+
+  if (alert.resolved) {
+    if (event.magnitude >= MIN_MAGNITUDE && alert.resolution?.startsWith(REVISED_BELOW)) {
+      await reopenEarthquakeAlert(alert, event);
+      return;
+    }
+    // Alerts closed by staff keep the latest event details but are not reopened
+    await alert.save();
+    return;
+  }
+
+  if (event.magnitude < MIN_MAGNITUDE) {
+    await resolveEarthquakeAlert(alert, `${REVISED_BELOW} M${event.magnitude.toFixed(1)} by USGS`);
+    return;
+  }
+
+  const severity = earthquakeSeverity(event);
+  const message = earthquakeMessage(event);
+  if (severity !== alert.severity) {
+    await updateSensorAlert(alert, { severity, message });
+  } else {
+    alert.message = message;
+    recordTransition(alert, 'updated', {
+      value: event.magnitude,
+      note: `USGS revision: M${previous?.toFixed(1)} to M${event.magnitude.toFixed(1)}, ${event.status}`
+    });
+    await alert.save();
+  }
+  status.updated++;
+};
+
+// Create, revise or resolve the alert for one event from the feed
+const processEvent = async (event) => {
+  const alert = await Alert.findOne({ 'earthquake.ids': { $in: event.ids } }).sort({ createdAt: -1 });
+
+  if (event.status === 'deleted') {
+    if (alert && !alert.resolved) {
+      await resolveEarthquakeAlert(alert, 'Event deleted by USGS');
+    }
+    return;
+  }
+  if (typeof event.magnitude !== 'number') return;
+
+  if (!alert) {
+    if (event.magnitude >= MIN_MAGNITUDE) await createEarthquakeAlert(event);
+    return;
+  }
+
+  if (alert.earthquake?.updated && event.updated <= alert.earthquake.updated) return;
+  await reviseEarthquakeAlert(alert, event);
+};
+
+// -------------------- Ingestion --------------------
+// Scheduled job: poll the USGS feed for each region and keep earthquake alerts in step with it.
+// Events are matched to alerts by any of their USGS ids, so repeated polls, overlapping regions
+// and events whose preferred id changes do not raise duplicates.
+const ingestEarthquakes = async () => {
+  if (isRunning || regions.length === 0) return;
+  isRunning = true;
+
+  try {
+    const startTime = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000);
+    const seen = new Set();
+
+    for (const region of regions) {
+      const regionStatus = status.regions[region.name];
+      const polledAt = new Date();
+
+      try {
+        const events = await EarthquakeService.getEventFeed({
+          lat: region.lat,
+          lon: region.lon,
+          radiusKm: region.radiusKm,
+          minMagnitude: MIN_MAGNITUDE - REVISION_MARGIN,
+          startTime,
+          updatedAfter: regionStatus.lastPolledAt
+        });
+
+        for (const event of events) {
+          const key = `${event.id}:${event.updated.getTime()}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          await processEvent(event);
+        }
+
+        regionStatus.lastPolledAt = polledAt;
+        regionStatus.lastError = null;
+      } catch (error) {
+        regionStatus.lastError = error.message;
+        console.error(`Error polling USGS earthquakes for ${region.name}:`, error.message);
+      }
+    }
+
+    status.lastRunAt = new Date();
+  } catch (error) {
+    console.error('Error ingesting earthquakes:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+const getStatus = () => ({ ...status });
+
+module.exports = {
+  MIN_MAGNITUDE,
+  parseRegions,
+  earthquakeSeverity,
+  processEvent,
+  ingestEarthquakes,
+  getStatus
+};
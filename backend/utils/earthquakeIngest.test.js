@@ -0,0 +1,231 @@
+process.env.EXTERNAL_API_FIXTURES = 'fixtures/external';
+process.env.EARTHQUAKE_REGIONS = 'Delhi NCR:28.67,77.45,300;Himalayan belt:30.8,79.0,600';
+process.env.EARTHQUAKE_MIN_MAGNITUDE = '3.5';
+
+jest.mock('../services/notificationDispatcher', () => ({ notifyAlert: jest.fn() }));
+jest.mock('../services/alertFanout', () => ({ dispatchAlert: jest.fn(), fanOutAlert: jest.fn() }));
+
+const Alert = require('../models/Alert');
+const { EarthquakeService } = require('../services/externalAPI');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { dispatchAlert, fanOutAlert } = require('../services/alertFanout');
+const { processEvent, ingestEarthquakes } = require('./earthquakeIngest');
+
+// Alerts live in memory; saving runs the model's pre-save hooks
+let alerts;
+
+const loadFeed = async () => {
+  const events = await EarthquakeService.getEventFeed({
+    lat: 28.67,
+    lon: 77.45,
+    radiusKm: 300,
+    minMagnitude: 3,
+    startTime: new Date('2025-10-18T00:00:00Z')
+  });
+  return new Map(events.map(event => [event.id, event]));
+};
+
+// A later USGS version of an event
+const revise = (event, changes, minutes = 5) => ({
+  ...event,
+  updated: new Date(event.updated.getTime() + minutes * 60 * 1000),
+  ...changes
+});
+
+let feed;
+
+beforeAll(async () => {
+  feed = await loadFeed();
+});
+
+beforeEach(() => {
+  alerts = [];
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  jest.spyOn(Alert, 'findOne').mockImplementation((query) => ({
+    sort: async () => alerts
+      .filter(alert => alert.earthquake.ids.some(id => query['earthquake.ids'].$in.includes(id)))
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null
+  }));
+
+  jest.spyOn(Alert.prototype, 'save').mockImplementation(function() {
+    return new Promise((resolve, reject) => {
+      Alert.schema.s.hooks.execPre('save', this, [{}], (error) => {
+        if (error) return reject(error);
+        if (this.isNew) {
+          this.createdAt = new Date(Date.now() + alerts.length);
+          this.isNew = false;
+          alerts.push(this);
+        }
+        resolve(this);
+      });
+    });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processEvent', () => {
+  test('raises an alert for an event at or above the alert magnitude', async () => {
+    await processEvent(feed.get('us7000r1a1'));
+    await processEvent(feed.get('us7000r0zz'));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: 'earthquake',
+      severity: 'warning',
+      sourceKey: 'usgs:us7000r1a1',
+      resolved: false
+    });
+    expect(alerts[0].earthquake.ids).toEqual(['us7000r1a1', 'at00t4b2c1']);
+    expect(dispatchAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not raise a second alert for the same event', async () => {
+    const event = feed.get('us7000r1a1');
+    await processEvent(event);
+    await processEvent(event);
+    await processEvent(revise(event, {}, -5));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].lifecycle.history).toHaveLength(1);
+    expect(dispatchAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test('follows an event whose preferred id changes', async () => {
+    const event = feed.get('us7000r1a1');
+    await processEvent(event);
+    await processEvent(revise(event, { id: 'at00t4b2c1', ids: ['at00t4b2c1', 'us7000r1a1'], magnitude: 5.3 }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].sourceKey).toBe('usgs:at00t4b2c1');
+    expect(alerts[0].earthquake).toMatchObject({ eventId: 'at00t4b2c1', magnitude: 5.3 });
+    expect(alerts[0].message).toMatch(/^M5\.3 earthquake/);
+  });
+
+  test('raises the severity when USGS revises the magnitude up', async () => {
+    const event = feed.get('us7000r1b4');
+    await processEvent(event);
+    expect(alerts[0].severity).toBe('info');
+
+    await processEvent(revise(event, { magnitude: 5.4, status: 'reviewed' }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ severity: 'warning', resolved: false });
+    expect(notifyAlert).toHaveBeenCalledWith(alerts[0], { reason: 'updated' });
+    expect(fanOutAlert).toHaveBeenCalledWith(alerts[0], { reason: 'updated' });
+  });
+
+  test('lowers the severity when USGS revises the magnitude down, without a fan-out', async () => {
+    const event = feed.get('us7000r1a1');
+    await processEvent(event);
+    await processEvent(revise(event, { magnitude: 4.4 }));
+
+    expect(alerts[0]).toMatchObject({ severity: 'moderate', resolved: false });
+    expect(notifyAlert).toHaveBeenCalledWith(alerts[0], { reason: 'updated' });
+    expect(fanOutAlert).not.toHaveBeenCalled();
+  });
+
+  test('records a revision that keeps the severity', async () => {
+    const event = feed.get('us7000r1a1');
+    await processEvent(event);
+    await processEvent(revise(event, { magnitude: 5.1 }));
+
+    expect(alerts[0].severity).toBe('warning');
+    expect(alerts[0].lifecycle.history.at(-1)).toMatchObject({
+      state: 'updated',
+      note: 'USGS revision: M5.2 to M5.1, reviewed'
+    });
+  });
+
+  test('resolves the alert when a revision drops below the alert magnitude', async () => {
+    const event = feed.get('us7000r1b4');
+    await processEvent(event);
+    await processEvent(revise(event, { magnitude: 3.2 }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ resolved: true, resolution: 'Magnitude revised to M3.2 by USGS' });
+    expect(notifyAlert).toHaveBeenCalledWith(alerts[0], { reason: 'cleared' });
+  });
+
+  test('reopens an alert it resolved when a later revision is back above the alert magnitude', async () => {
+    const event = feed.get('us7000r1b4');
+    await processEvent(event);
+    await processEvent(revise(event, { magnitude: 3.2 }));
+    await processEvent(revise(event, { magnitude: 4.1, status: 'reviewed' }, 10));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ resolved: false, severity: 'moderate' });
+    expect(alerts[0].resolution).toBeUndefined();
+    expect(alerts[0].lifecycle.history.at(-1)).toMatchObject({
+      state: 'active',
+      note: 'Reopened: magnitude revised to M4.1 by USGS'
+    });
+    expect(dispatchAlert).toHaveBeenLastCalledWith(alerts[0], { reason: 'updated' });
+  });
+
+  test('raises an alert when a revision lifts an event to the alert magnitude', async () => {
+    const event = feed.get('us7000r0zz');
+    await processEvent(event);
+    await processEvent(revise(event, { magnitude: 3.6 }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].severity).toBe('info');
+  });
+
+  test('does not reopen an alert closed by staff', async () => {
+    const event = feed.get('us7000r1a1');
+    await processEvent(event);
+    alerts[0].resolved = true;
+
+    await processEvent(revise(event, { magnitude: 6.2 }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ resolved: true, severity: 'warning' });
+    expect(alerts[0].earthquake.magnitude).toBe(6.2);
+  });
+
+  test('resolves the alert for a deleted event', async () => {
+    const event = feed.get('us7000r1c7');
+    await processEvent({ ...event, status: 'reviewed', updated: new Date(event.updated.getTime() - 60 * 1000) });
+    expect(alerts[0].severity).toBe('moderate');
+
+    await processEvent(event);
+
+    expect(alerts[0]).toMatchObject({ resolved: true, resolution: 'Event deleted by USGS' });
+    expect(notifyAlert).toHaveBeenCalledWith(alerts[0], { reason: 'cleared' });
+  });
+
+  test('ignores a deleted event it has no alert for', async () => {
+    await processEvent(feed.get('us7000r1c7'));
+
+    expect(alerts).toHaveLength(0);
+  });
+
+  test('makes a tsunami-flagged event at least a warning', async () => {
+    const event = feed.get('us7000r1d2');
+    await processEvent(event);
+    await processEvent({ ...event, id: 'us7000r1e5', ids: ['us7000r1e5'], magnitude: 4.2 });
+    await processEvent({ ...event, id: 'us7000r1f8', ids: ['us7000r1f8'], magnitude: 4.2, tsunami: false });
+
+    expect(alerts.map(alert => alert.severity)).toEqual(['critical', 'warning', 'moderate']);
+    expect(alerts[1].message).toMatch(/Tsunami possible/);
+  });
+});
+
+describe('ingestEarthquakes', () => {
+  test('raises one alert per event across overlapping regions and repeated polls', async () => {
+    await ingestEarthquakes();
+    await ingestEarthquakes();
+
+    expect(alerts.map(alert => alert.sourceKey).sort()).toEqual([
+      'usgs:us7000r1a1',
+      'usgs:us7000r1b4',
+      'usgs:us7000r1d2'
+    ]);
+    expect(dispatchAlert).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,209 @@
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { publish } = require('./eventStream');
+const { haversineKm } = require('./geo');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { fanOutAlert } = require('../services/alertFanout');
+
+const SEVERITY_ORDER = ['info', 'moderate', 'warning', 'critical'];
+
+const TEAM_PRIORITY = {
+  critical: 'critical',
+  warning: 'high',
+  moderate: 'medium',
+  info: 'low'
+};
+
+// Alerts older than this when first seen are not escalated (avoids a burst on first deploy)
+const LOOKBACK_HOURS = parseInt(process.env.ESCALATION_LOOKBACK_HOURS) || 24;
+const BATCH_SIZE = 100;
+
+let isRunning = false;
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+// Helper function to match a new alert to its escalation policy
+const attachPolicy = async (alert) => {
+  const policy = await EscalationPolicy.findForAlert(alert);
+
+  if (!policy) {
+    alert.escalation.state = 'none';
+  } else {
+    alert.escalation.policy = policy._id;
+    alert.escalation.state = 'active';
+    alert.escalation.level = 0;
+    alert.escalation.nextEscalationAt = addMinutes(alert.createdAt, policy.steps[0].afterMinutes);
+  }
+
+  await alert.save();
+};
+
+// Re-notify the step's recipients through the notification dispatcher
+const notify = async (alert, step, entry) => {
+  const { roles = [], users = [], emails = [], phones = [] } = step.recipients || {};
+
+  const targetUsers = roles.length > 0 || users.length > 0
+    ? await User.find({ $or: [{ role: { $in: roles } }, { _id: { $in: users } }] })
+      .select('email phone preferences pushSubscriptions')
+      .lean()
+    : [];
+
+  const jobs = await notifyAlert(alert, {
+    reason: 'escalation',
+    users: targetUsers,
+    extra: { emails, phones }
+  });
+
+  entry.recipients = {
+    roles,
+    users,
+    emails,
+    phones,
+    total: targetUsers.length + emails.length + phones.length,
+    queued: jobs.length
+  };
+};
+
+const raiseSeverity = async (alert, step, entry) => {
+  const index = SEVERITY_ORDER.indexOf(alert.severity);
+  entry.fromSeverity = alert.severity;
+
+  if (index < SEVERITY_ORDER.length - 1) {
+    alert.severity = SEVERITY_ORDER[index + 1];
+  } else {
+    entry.note = 'Alert already at highest severity';
+  }
+  entry.toSeverity = alert.severity;
+};
+
+const assignTeam = async (alert, step, entry) => {
+  const query = { status: 'available' };
+  if (step.teamTypes?.length > 0) {
+    query.type = { $in: step.teamTypes };
+  }
+
+  const assigned = alert.responseTeams.map(team => team.teamId?.toString());
+  const teams = (await Team.find(query))
+    .filter(team => !assigned.includes(team._id.toString()))
+    .filter(team => team.location?.current?.coordinates?.lat != null);
+
+  if (teams.length === 0) {
+    entry.note = 'No available team found';
+    return;
+  }
+
+  const nearest = teams
+    .map(team => ({ team, distance: haversineKm(alert.coordinates, team.location.current.coordinates) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  await nearest.team.assignToAlert(alert._id, TEAM_PRIORITY[alert.severity]);
+  alert.responseTeams.push({
+    teamId: nearest.team._id,
+    assignedAt: new Date(),
+    status: 'dispatched'
+  });
+
+  entry.team = nearest.team._id;
+  entry.note = `Assigned ${nearest.team.name} (${nearest.distance.toFixed(1)} km away)`;
+};
+
+const ACTIONS = {
+  notify,
+  raise_severity: raiseSeverity,
+  assign_team: assignTeam
+};
+
+// Run the current step of the policy and schedule the next one
+const escalateAlert = async (alert, policy) => {
+  const level = alert.escalation.level;
+  const step = policy.steps[level];
+
+  for (const action of step.actions) {
+    const entry = { level: level + 1, action, at: new Date() };
+    try {
+      await ACTIONS[action](alert, step, entry);
+    } catch (error) {
+      entry.note = `Failed: ${error.message}`;
+    }
+    alert.escalation.history.push(entry);
+  }
+
+  alert.escalation.level = level + 1;
+  const nextStep = policy.steps[level + 1];
+
+  if (nextStep) {
+    alert.escalation.nextEscalationAt = addMinutes(new Date(), nextStep.afterMinutes);
+  } else {
+    alert.escalation.state = 'completed';
+    alert.escalation.nextEscalationAt = undefined;
+  }
+
+  await alert.save();
+  await fanOutAlert(alert, { reason: 'escalation' });
+
+  publish('alert.escalated', {
+    ...alert.toObject(),
+    escalationStep: alert.escalation.history.slice(-step.actions.length)
+  });
+  console.log(`⏫ Alert escalated: ${alert.id} - level ${alert.escalation.level}`);
+};
+
+// Match new alerts to policies and run every escalation step that is due.
+// All state lives on the alert documents, so a restart simply picks up where it left off.
+const processEscalations = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const open = { acknowledged: false, resolved: false };
+
+    const unmatched = await Alert.find({
+      ...open,
+      'escalation.state': { $exists: false },
+      createdAt: { $gte: new Date(now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000) }
+    }).limit(BATCH_SIZE);
+
+    for (const alert of unmatched) {
+      await attachPolicy(alert);
+    }
+
+    const due = await Alert.find({
+      ...open,
+      'escalation.state': 'active',
+      'escalation.nextEscalationAt': { $lte: now }
+    }).sort({ 'escalation.nextEscalationAt': 1 }).limit(BATCH_SIZE);
+
+    for (const alert of due) {
+      const policy = await EscalationPolicy.findById(alert.escalation.policy);
+
+      if (!policy || !policy.enabled || !policy.steps[alert.escalation.level]) {
+        alert.escalation.state = 'stopped';
+        alert.escalation.nextEscalationAt = undefined;
+        await alert.save();
+        continue;
+      }
+
+      await escalateAlert(alert, policy);
+    }
+  } catch (error) {
+    console.error('Error processing escalations:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Let alerts that matched no policy be matched again after policies change
+const resetUnmatchedAlerts = () => {
+  return Alert.updateMany(
+    { acknowledged: false, resolved: false, 'escalation.state': 'none' },
+    { $unset: { 'escalation.state': '' } }
+  );
+};
+
+module.exports = {
+  processEscalations,
+  resetUnmatchedAlerts
+};
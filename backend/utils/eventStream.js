@@ -0,0 +1,118 @@
+const { EventEmitter } = require('events');
+
+// Number of recent events kept in memory so reconnecting clients can resume
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+// Event ids start from the boot time so ids from before a restart are always
+// older than anything in the buffer and trigger a resync instead of a silent gap
+let lastEventId = Date.now();
+
+// Publish an event to every connected client
+const publish = (event, data) => {
+  const entry = {
+    id: ++lastEventId,
+    event,
+    topic: event.split('.')[0],
+    data,
+    timestamp: new Date()
+  };
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', entry);
+  return entry;
+};
+
+// Register a listener for new events, returns an unsubscribe function
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// Get buffered events after the given id, or null if some were already dropped
+const getEventsSince = (sinceId) => {
+  const id = parseInt(sinceId);
+  if (isNaN(id)) return null;
+
+  if (id >= lastEventId) {
+    return id === lastEventId ? [] : null;
+  }
+
+  if (buffer.length === 0 || id < buffer[0].id - 1) {
+    return null;
+  }
+
+  return buffer.filter(entry => entry.id > id);
+};
+
+// Helper function to split comma separated query values
+const parseList = (value) => {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+};
+
+// Parse "minLng,minLat,maxLng,maxLat"
+const parseBoundingBox = (value) => {
+  if (!value) return null;
+  const parts = String(value).split(',').map(parseFloat);
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    throw new Error('bbox must be "minLng,minLat,maxLng,maxLat"');
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Build a predicate from the client's subscription options
+const createFilter = (options = {}) => {
+  const topics = parseList(options.topics);
+  const alertTypes = parseList(options.alertType);
+  const severities = parseList(options.severity);
+  const sensorTypes = parseList(options.sensorType);
+  const bbox = parseBoundingBox(options.bbox);
+
+  return (entry) => {
+    const { topic, data = {} } = entry;
+
+    if (topics && !topics.includes(topic)) return false;
+
+    if (topic === 'alert') {
+      if (alertTypes && !alertTypes.includes(data.type)) return false;
+      if (severities && !severities.includes(data.severity)) return false;
+    }
+
+    if (topic === 'sensor' && sensorTypes && !sensorTypes.includes(data.type)) {
+      return false;
+    }
+
+    if (bbox) {
+      const coords = data.coordinates;
+      if (!coords || typeof coords.lat !== 'number' || typeof coords.lng !== 'number') {
+        return false;
+      }
+      if (coords.lng < bbox.minLng || coords.lng > bbox.maxLng ||
+          coords.lat < bbox.minLat || coords.lat > bbox.maxLat) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince,
+  createFilter
+};
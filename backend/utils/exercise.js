@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Exercise (scenario run) tagging. Readings a scenario feeds in are processed inside its
+// context, so every alert raised from them, however indirectly, is tagged as exercise data.
+const context = new AsyncLocalStorage();
+
+// Scenario run in progress, if any: { runId, scenarioId, name }
+let active = null;
+
+const setActiveExercise = (exercise) => {
+  active = exercise;
+};
+
+const getActiveExercise = () => active;
+
+// Exercise whose simulated data is being processed right now
+const currentExercise = () => context.getStore() || null;
+
+const runAsExercise = (exercise, fn) => context.run(exercise, fn);
+
+// Query filter for the readings and alerts that belong to the data being processed: a
+// scenario's own while it runs, otherwise only real ones. Pass null to ask for real data.
+const exerciseScope = (exercise = currentExercise()) => ({
+  'exercise.runId': exercise ? exercise.runId : { $exists: false }
+});
+
+// Alert source key for the data being processed; exercise alerts get their own so a drill
+// never updates or clears a real alert and real readings never touch exercise alerts
+const exerciseSourceKey = (sourceKey, exercise = currentExercise()) =>
+  (exercise ? `${sourceKey}:exercise:${exercise.runId}` : sourceKey);
+
+module.exports = {
+  setActiveExercise,
+  getActiveExercise,
+  currentExercise,
+  runAsExercise,
+  exerciseScope,
+  exerciseSourceKey
+};
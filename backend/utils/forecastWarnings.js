@@ -0,0 +1,333 @@
+const Sensor = require('../models/Sensor');
+const Alert = require('../models/Alert');
+const { WeatherService } = require('../services/externalAPI');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { dispatchAlert } = require('../services/alertFanout');
+const { recordTransition, severityRank, updateSensorAlert } = require('./alertLifecycle');
+
+// Days are local calendar days (default IST)
+const TIMEZONE_OFFSET_MINUTES = parseInt(process.env.FORECAST_TIMEZONE_OFFSET_MINUTES ?? 330);
+// Consecutive days at or above a heat level before it is declared
+const HEAT_MIN_DAYS = parseInt(process.env.FORECAST_HEAT_MIN_DAYS) || 2;
+// Sensors within the same grid cell (degrees) share one forecast
+const LOCATION_GRID_DEGREES = 0.1;
+// A warning that dropped out of the forecast is not raised again within this time at the
+// same or a lower severity, so a forecast flipping between runs does not repeat the alert
+const REISSUE_COOLDOWN_HOURS = parseInt(process.env.FORECAST_REISSUE_COOLDOWN_HOURS) || 6;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Resolutions the job gives its own alerts; anything else was closed by staff
+const ENDED = 'Forecast period ended';
+const WITHDRAWN = 'No longer in the forecast';
+
+// Heat action plan levels by forecast daily maximum (°C), most severe first
+const HEAT_ACTION_PLAN = [
+  { severity: 'critical', label: 'red', maxTemperature: 45 },
+  { severity: 'warning', label: 'orange', maxTemperature: 43 },
+  { severity: 'moderate', label: 'yellow', maxTemperature: 41 }
+];
+
+// IMD rainfall categories by daily total (mm), most severe first
+const HEAVY_RAIN_LEVELS = [
+  { severity: 'critical', label: 'extremely heavy', rainfall: 204.5 },
+  { severity: 'warning', label: 'very heavy', rainfall: 115.6 },
+  { severity: 'moderate', label: 'heavy', rainfall: 64.5 }
+];
+
+const HAZARDS = {
+  heatwave: { alertType: 'heatwave', unit: '°C' },
+  heavy_rain: { alertType: 'flood', unit: 'mm' }
+};
+
+let isRunning = false;
+
+const status = {
+  lastRunAt: null,
+  locations: 0,
+  created: 0,
+  updated: 0,
+  resolved: 0,
+  lastError: null
+};
+
+// -------------------- Forecast Evaluation --------------------
+const localDate = (date) => new Date(date.getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+
+const endOfLocalDay = (day) => new Date(Date.parse(`${day}T00:00:00Z`) - TIMEZONE_OFFSET_MINUTES * 60 * 1000 + DAY);
+
+// 3-hourly forecast steps grouped into local days: maximum temperature and total precipitation
+const dailySummary = (steps) => {
+  const days = new Map();
+  for (const step of steps) {
+    const datetime = new Date(step.datetime);
+    const date = localDate(datetime);
+    if (!days.has(date)) days.set(date, { date, maxTemperature: -Infinity, rainfall: 0, steps: [] });
+
+    const day = days.get(date);
+    day.maxTemperature = Math.max(day.maxTemperature, step.temperature);
+    day.rainfall += step.precipitation || 0;
+    day.steps.push({ ...step, datetime });
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Runs of consecutive days matching `test`
+const runsOf = (days, test) => {
+  const runs = [];
+  let run = [];
+  for (const day of days) {
+    if (test(day)) {
+      run.push(day);
+    } else {
+      if (run.length > 0) runs.push(run);
+      run = [];
+    }
+  }
+  if (run.length > 0) runs.push(run);
+  return runs;
+};
+
+// Forecasts get less reliable with lead time; a wide margin over the threshold helps
+const confidenceFor = (onset, now, margin) => {
+  const leadHours = Math.max(0, (onset.getTime() - now) / (60 * 60 * 1000));
+  const lead = leadHours <= 24 ? 0.9 : leadHours <= 48 ? 0.8 : leadHours <= 72 ? 0.65 : 0.5;
+  return Math.round(Math.min(0.95, Math.max(0.1, lead + Math.min(Math.max(margin, 0), 0.1))) * 100) / 100;
+};
+
+// First heatwave in the forecast: a run of at least HEAT_MIN_DAYS days at the lowest level,
+// at the most severe level held for HEAT_MIN_DAYS days within it
+const findHeatwave = (days, now) => {
+  const lowest = HEAT_ACTION_PLAN[HEAT_ACTION_PLAN.length - 1];
+  const run = runsOf(days, day => day.maxTemperature >= lowest.maxTemperature)
+    .find(candidate => candidate.length >= HEAT_MIN_DAYS);
+  if (!run) return null;
+
+  const level = HEAT_ACTION_PLAN.find(candidate =>
+    runsOf(run, day => day.maxTemperature >= candidate.maxTemperature).some(inner => inner.length >= HEAT_MIN_DAYS));
+  const peak = Math.max(...run.map(day => day.maxTemperature));
+  const onset = run[0].steps.find(step => step.temperature >= lowest.maxTemperature).datetime;
+
+  return {
+    hazard: 'heatwave',
+    severity: level.severity,
+    label: level.label,
+    onset,
+    expires: endOfLocalDay(run[run.length - 1].date),
+    peak: Math.round(peak * 10) / 10,
+    // Each degree above the level's threshold adds 0.05
+    confidence: confidenceFor(onset, now, (peak - level.maxTemperature) * 0.05),
+    days: run.map(day => ({ date: day.date, value: Math.round(day.maxTemperature * 10) / 10 }))
+  };
+};
+
+// First spell of heavy rain in the forecast: consecutive days with heavy rain or worse
+const findHeavyRain = (days, now) => {
+  const lowest = HEAVY_RAIN_LEVELS[HEAVY_RAIN_LEVELS.length - 1];
+  const [run] = runsOf(days, day => day.rainfall >= lowest.rainfall);
+  if (!run) return null;
+
+  const peak = Math.max(...run.map(day => day.rainfall));
+  const level = HEAVY_RAIN_LEVELS.find(candidate => peak >= candidate.rainfall);
+  const onset = (run[0].steps.find(step => step.precipitation > 0) || run[0].steps[0]).datetime;
+
+  return {
+    hazard: 'heavy_rain',
+    severity: level.severity,
+    label: level.label,
+    onset,
+    expires: endOfLocalDay(run[run.length - 1].date),
+    peak: Math.round(peak * 10) / 10,
+    // Rainfall amounts are less certain than temperatures
+    confidence: Math.round(confidenceFor(onset, now, (peak - level.rainfall) / level.rainfall * 0.1) * 0.85 * 100) / 100,
+    days: run.map(day => ({ date: day.date, value: Math.round(day.rainfall * 10) / 10 }))
+  };
+};
+
+// Warnings in a forecast (WeatherService.getWeatherForecast steps): heatwave and heavy rain
+const evaluateForecast = (steps, now = Date.now()) => {
+  const days = dailySummary(steps.filter(step => new Date(step.datetime).getTime() + 3 * 60 * 60 * 1000 > now));
+  return [findHeatwave(days, now), findHeavyRain(days, now)].filter(Boolean);
+};
+
+// -------------------- Alerts --------------------
+const formatDay = (date) => new Date(date.getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000)
+  .toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+const warningMessage = (warning, location) => {
+  const confidence = `${Math.round(warning.confidence * 100)}% confidence`;
+  if (warning.hazard === 'heatwave') {
+    return `Heatwave forecast for ${location}: maximum up to ${warning.peak}°C on ${warning.days.length} consecutive days from ${formatDay(warning.onset)} (heat action plan ${warning.label} alert, ${confidence})`;
+  }
+  return `${warning.label.charAt(0).toUpperCase()}${warning.label.slice(1)} rain forecast for ${location}: up to ${warning.peak} mm in a day from ${formatDay(warning.onset)} (${confidence})`;
+};
+
+const forecastDetails = (warning, source) => ({
+  hazard: warning.hazard,
+  onset: warning.onset,
+  peak: warning.peak,
+  unit: HAZARDS[warning.hazard].unit,
+  confidence: warning.confidence,
+  level: warning.label,
+  days: warning.days,
+  source,
+  issuedAt: new Date()
+});
+
+const createWarningAlert = async (warning, location, sourceKey, source) => {
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: HAZARDS[warning.hazard].alertType,
+    message: warningMessage(warning, location.name),
+    severity: warning.severity,
+    location: location.name,
+    coordinates: location.coordinates,
+    sourceKey,
+    expiresAt: warning.expires,
+    forecast: forecastDetails(warning, source)
+  });
+
+  await alert.save();
+  await dispatchAlert(alert);
+  status.created++;
+  console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+};
+
+// A newer forecast for an open warning: apply it in place, re-notifying on severity changes
+const updateWarningAlert = async (alert, warning, location, source) => {
+  const previous = alert.forecast;
+  const message = warningMessage(warning, location.name);
+  // Confidence drifts as the onset gets closer; that alone is not worth an update
+  const changed = alert.severity !== warning.severity ||
+    previous.onset?.getTime() !== warning.onset.getTime() ||
+    alert.expiresAt?.getTime() !== warning.expires.getTime() ||
+    previous.peak !== warning.peak;
+
+  alert.forecast = forecastDetails(warning, source);
+  alert.expiresAt = warning.expires;
+  if (!changed) {
+    alert.message = message;
+    await alert.save();
+    return;
+  }
+
+  if (alert.severity !== warning.severity) {
+    await updateSensorAlert(alert, { severity: warning.severity, message, value: warning.peak });
+  } else {
+    alert.message = message;
+    recordTransition(alert, 'updated', { value: warning.peak, note: 'Newer forecast' });
+    await alert.save();
+  }
+  status.updated++;
+};
+
+// Whether a warning may be raised again after its last alert was resolved. An alert closed by
+// staff stays closed for the rest of the forecast event (its expiry keeps following the
+// forecast); either way only a more severe warning is raised sooner.
+const mayReissue = async (last, warning, source, now) => {
+  if (!last || severityRank(warning.severity) > severityRank(last.severity)) return true;
+  if (last.resolution === ENDED) return true;
+
+  if (last.resolution === WITHDRAWN) {
+    return now - last.resolvedAt.getTime() >= REISSUE_COOLDOWN_HOURS * HOUR;
+  }
+
+  if (last.expiresAt && last.expiresAt.getTime() > now && warning.onset < last.expiresAt) {
+    last.forecast = forecastDetails(warning, source);
+    last.expiresAt = warning.expires;
+    await last.save();
+    return false;
+  }
+  return true;
+};
+
+const resolveWarningAlert = async (alert, resolution) => {
+  alert.resolved = true;
+  alert.resolvedAt = new Date();
+  alert.resolution = resolution;
+  await alert.save();
+  await notifyAlert(alert, { reason: 'cleared' });
+  status.resolved++;
+  console.log(`✅ Alert cleared: ${alert.id} - ${resolution}`);
+};
+
+// -------------------- Early Warning Job --------------------
+// Monitored locations: one per grid cell with active sensors, named after its first sensor
+const monitoredLocations = async () => {
+  const sensors = await Sensor.find({ status: { $ne: 'inactive' } }).select('location').lean();
+  const locations = new Map();
+  for (const sensor of sensors) {
+    const { lat, lng } = sensor.location.coordinates;
+    const key = `${Math.round(lat / LOCATION_GRID_DEGREES)}:${Math.round(lng / LOCATION_GRID_DEGREES)}`;
+    if (!locations.has(key)) {
+      locations.set(key, { key, name: sensor.location.name, coordinates: { lat, lng } });
+    }
+  }
+  return [...locations.values()];
+};
+
+const evaluateLocation = async (location, now) => {
+  const steps = await WeatherService.getWeatherForecast(location.coordinates.lat, location.coordinates.lng, 5);
+  const source = steps[0]?.source;
+  const warnings = evaluateForecast(steps, now);
+
+  for (const hazard of Object.keys(HAZARDS)) {
+    const sourceKey = `forecast:${hazard}:${location.key}`;
+    const warning = warnings.find(candidate => candidate.hazard === hazard);
+    const latest = await Alert.findOne({ sourceKey }).sort({ createdAt: -1 });
+    const open = latest && !latest.resolved ? latest : null;
+
+    if (open && open.expiresAt && open.expiresAt.getTime() <= now) {
+      await resolveWarningAlert(open, ENDED);
+    } else if (open && !warning) {
+      await resolveWarningAlert(open, WITHDRAWN);
+    } else if (open) {
+      await updateWarningAlert(open, warning, location, source);
+      continue;
+    }
+
+    if (warning && await mayReissue(latest, warning, source, now)) {
+      await createWarningAlert(warning, location, sourceKey, source);
+    }
+  }
+};
+
+// Scheduled job: check the forecast for each monitored location and keep its forecast
+// alerts (sourceKey "forecast:<hazard>:<cell>") in step with the latest forecast
+const evaluateForecastWarnings = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const now = Date.now();
+    const locations = await monitoredLocations();
+
+    for (const location of locations) {
+      try {
+        await evaluateLocation(location, now);
+      } catch (error) {
+        status.lastError = `${location.name}: ${error.message}`;
+        console.error(`Error evaluating forecast for ${location.name}:`, error.message);
+      }
+    }
+
+    status.locations = locations.length;
+    status.lastRunAt = new Date();
+  } catch (error) {
+    status.lastError = error.message;
+    console.error('Error evaluating forecast warnings:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+const getStatus = () => ({ ...status });
+
+module.exports = {
+  HEAT_ACTION_PLAN,
+  HEAVY_RAIN_LEVELS,
+  evaluateForecast,
+  evaluateForecastWarnings,
+  getStatus
+};
@@ -0,0 +1,415 @@
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { applyCalibration } = require('./calibration');
+const { createMemoryHistory, evaluateSensorRules, ensureDefaultRules } = require('./ruleEngine');
+const { severityRank, stepSensorAlert } = require('./alertLifecycle');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A replay holds its whole window in memory, so keep it bounded like rule dry runs
+const MAX_REPLAY_DAYS = 31;
+const MAX_REPLAY_READINGS = 200000;
+const MAX_SPEED = 100000;
+// Finished replays kept for their reports
+const KEEP_REPLAYS = 10;
+
+// What a replay evaluates. Live ingestion (utils/readingPipeline.js) also scores anomalies,
+// predicts river level crossings, propagates surges and updates derived sensors; those read
+// and write live state, so replays leave them out and compare rule alerts only.
+const COVERS = ['rules'];
+const NOT_COVERED = ['anomaly', 'prediction', 'surge', 'derived'];
+
+const replays = new Map();
+let isTicking = false;
+
+// -------------------- Sandbox --------------------
+// Alert store for the rule engine that keeps a replay's alerts to itself: nothing is saved
+// or notified, and time is that of the reading being evaluated. Alerts are still built as
+// Alert documents and go through the same lifecycle as live ones.
+const createSandboxAlerts = (replay) => {
+  const open = new Map();
+  const lastCleared = new Map();
+
+  return {
+    now: () => replay.evaluatedAt,
+
+    findOpen: async (sourceKey) => open.get(sourceKey) || null,
+
+    findLastCleared: async (sourceKey) => lastCleared.get(sourceKey) || null,
+
+    findOpenForSensor: async (sensor) => [...open.values()]
+      .filter(alert => alert.sensorData?.sensorId === sensor.sensorId),
+
+    raise: async (alert) => {
+      alert.createdAt = replay.evaluatedAt;
+      alert.lifecycle = {
+        state: 'active',
+        history: [{ state: 'active', severity: alert.severity, value: alert.sensorData?.value, note: 'Alert raised', at: replay.evaluatedAt }]
+      };
+      open.set(alert.sourceKey, alert);
+      replay.alerts.push(alert);
+    },
+
+    update: async (alert, change) => {
+      const step = stepSensorAlert(alert, change, replay.evaluatedAt);
+      if (step?.change === 'cleared') {
+        open.delete(alert.sourceKey);
+        lastCleared.set(alert.sourceKey, alert);
+      }
+      return alert;
+    }
+  };
+};
+
+// -------------------- Loading --------------------
+// Sensors whose readings the rules for the replayed sensors look at
+const involvedSensorIds = (targets, rulesBySensor, sensors) => {
+  const involved = new Set(targets.map(sensor => sensor.sensorId));
+
+  for (const rules of rulesBySensor.values()) {
+    for (const condition of rules.flatMap(rule => rule.conditions)) {
+      if (condition.source === 'sensor') involved.add(condition.sensorId);
+      if (condition.source === 'nearest') {
+        sensors.filter(sensor => sensor.type === condition.sensorType).forEach(sensor => involved.add(sensor.sensorId));
+      }
+    }
+  }
+
+  return involved;
+};
+
+// History needed before `from` for sustained and rate conditions
+const lookbackFor = (rulesBySensor) => {
+  const conditions = [...rulesBySensor.values()].flatMap(rules => rules.flatMap(rule => rule.conditions));
+
+  return Math.max(15 * MINUTE, ...conditions.map(condition => Math.max(
+    ((condition.forMinutes || 0) + (condition.maxAgeMinutes ?? 15)) * MINUTE,
+    (condition.rateWindowMinutes || 60) * MINUTE
+  )));
+};
+
+// Alerts the replayed sensors' rules raised at the time: open at any point of the window.
+// Anomaly, prediction and surge alerts are left out as the replay does not raise them.
+const loadHistoricalAlerts = (sensorIds, from, to) => Alert.find({
+  'sensorData.sensorId': { $in: sensorIds },
+  createdAt: { $lte: to },
+  $or: [{ resolved: false }, { resolvedAt: { $gte: from } }],
+  $and: [{ $or: [{ sourceKey: /^sensor:/ }, { sourceKey: { $exists: false } }] }],
+  'exercise.runId': { $exists: false }
+}).sort({ createdAt: 1 }).lean();
+
+// -------------------- Replays --------------------
+// Replay stored readings from a past window through the alert rules as they are now, at
+// `speed` times real time, into a sandbox. Readings get the sensors' current calibration, as
+// on ingest, and the alert rules are evaluated at each one's own timestamp as live ingestion
+// does. The rest of the ingest pipeline is not replayed (see COVERS).
+const startReplay = async ({ from, to, speed = 60, sensorIds, startedBy } = {}) => {
+  from = new Date(from);
+  to = new Date(to);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new RangeError('from must be a date before to');
+  }
+  if (to > new Date()) {
+    throw new RangeError('Replays are limited to the past');
+  }
+  if (to - from > MAX_REPLAY_DAYS * 24 * HOUR) {
+    throw new RangeError(`Replays are limited to ${MAX_REPLAY_DAYS} days`);
+  }
+  if ([...replays.values()].some(replay => replay.state === 'running' || replay.state === 'paused')) {
+    throw new RangeError('A replay is already running; stop it first');
+  }
+
+  const sensors = await Sensor.find({});
+  const targets = sensors.filter(sensor => !sensorIds || sensorIds.includes(sensor.sensorId));
+  if (targets.length === 0) {
+    throw new RangeError('No sensors to replay');
+  }
+
+  await ensureDefaultRules();
+  const rulesBySensor = new Map();
+  for (const sensor of targets) {
+    rulesBySensor.set(sensor.sensorId, await AlertRule.findForSensor(sensor));
+  }
+
+  const involved = involvedSensorIds(targets, rulesBySensor, sensors);
+  const sensorsById = new Map(sensors.map(sensor => [sensor.sensorId, sensor]));
+  const readingsBySensor = new Map([...involved].map(sensorId => [sensorId, []]));
+  const pending = [];
+
+  const cursor = SensorReading.find({
+    sensorId: { $in: [...involved] },
+    timestamp: { $gte: new Date(from - lookbackFor(rulesBySensor)), $lte: to },
+    'exercise.runId': { $exists: false }
+  }).sort({ timestamp: 1 }).select('sensorId timestamp value rawValue').lean().cursor();
+
+  let loaded = 0;
+  for await (const reading of cursor) {
+    if (++loaded > MAX_REPLAY_READINGS) {
+      throw new RangeError(`Window holds more than ${MAX_REPLAY_READINGS} readings; narrow it or pick sensors`);
+    }
+    const sensor = sensorsById.get(reading.sensorId);
+    const replayed = {
+      sensorId: reading.sensorId,
+      timestamp: reading.timestamp,
+      value: applyCalibration(sensor?.calibration, reading.rawValue ?? reading.value)
+    };
+
+    // Readings before the window are already in the sandbox when it starts
+    if (reading.timestamp < from) readingsBySensor.get(reading.sensorId).push(replayed);
+    else pending.push(replayed);
+  }
+
+  const now = Date.now();
+  const replay = {
+    id: `replay-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    state: 'running',
+    from,
+    to,
+    speed: Math.min(speed, MAX_SPEED),
+    clock: from,
+    evaluatedAt: from,
+    startedAt: new Date(now),
+    startedBy,
+    lastTickAt: now,
+    targets: new Set(targets.map(sensor => sensor.sensorId)),
+    sensorsById,
+    rulesBySensor,
+    readingsBySensor,
+    history: createMemoryHistory(readingsBySensor, sensors),
+    pending,
+    total: pending.length,
+    next: 0,
+    alerts: [],
+    historical: await loadHistoricalAlerts([...rulesBySensor.keys()], from, to)
+  };
+  replay.store = createSandboxAlerts(replay);
+
+  replays.set(replay.id, replay);
+  pruneReplays();
+  console.log(`⏪ Replay started: ${replay.id} (${from.toISOString()} - ${to.toISOString()}, ${replay.speed}x, ${pending.length} reading(s))`);
+
+  return summarize(replay);
+};
+
+// Forget the oldest finished replays
+const pruneReplays = () => {
+  const finished = [...replays.values()].filter(replay => replay.state === 'completed' || replay.state === 'stopped');
+  finished.slice(0, Math.max(0, finished.length - KEEP_REPLAYS)).forEach(replay => replays.delete(replay.id));
+};
+
+// Feed the sandbox every reading up to the replay clock, evaluating the rules at each
+const feedReadings = async (replay) => {
+  while (replay.next < replay.pending.length && replay.pending[replay.next].timestamp <= replay.clock) {
+    const reading = replay.pending[replay.next++];
+    replay.readingsBySensor.get(reading.sensorId).push(reading);
+
+    if (!replay.targets.has(reading.sensorId)) continue;
+
+    const sensor = replay.sensorsById.get(reading.sensorId);
+    sensor.currentReading = { value: reading.value, timestamp: reading.timestamp };
+    replay.evaluatedAt = reading.timestamp;
+    await evaluateSensorRules(sensor, reading.timestamp, {
+      rules: replay.rulesBySensor.get(reading.sensorId),
+      history: replay.history,
+      alerts: replay.store
+    });
+  }
+};
+
+const finishReplay = (replay, state) => {
+  replay.state = state;
+  replay.finishedAt = new Date();
+  // Drop the readings; the report only needs the alerts
+  replay.pending = [];
+  replay.readingsBySensor = new Map();
+  replay.history = null;
+  console.log(`⏹️ Replay ${state}: ${replay.id} (${replay.alerts.length} sandbox alert(s))`);
+};
+
+// Move running replays on by the (accelerated) time since the last tick
+const advanceReplays = async () => {
+  if (isTicking) return;
+  isTicking = true;
+
+  try {
+    for (const replay of replays.values()) {
+      if (replay.state !== 'running') continue;
+
+      try {
+        const now = Date.now();
+        replay.clock = new Date(Math.min(replay.to.getTime(), replay.clock.getTime() + (now - replay.lastTickAt) * replay.speed));
+        replay.lastTickAt = now;
+
+        await feedReadings(replay);
+
+        if (replay.clock >= replay.to) finishReplay(replay, 'completed');
+      } catch (error) {
+        console.error(`Error advancing replay ${replay.id}:`, error);
+      }
+    }
+  } finally {
+    isTicking = false;
+  }
+};
+
+// Control functions return null for an unknown replay
+const pauseReplay = (id) => {
+  const replay = replays.get(id);
+  if (!replay) return null;
+  if (replay.state === 'running') replay.state = 'paused';
+  return summarize(replay);
+};
+
+const resumeReplay = (id) => {
+  const replay = replays.get(id);
+  if (!replay) return null;
+  if (replay.state === 'paused') {
+    replay.state = 'running';
+    replay.lastTickAt = Date.now();
+  }
+  return summarize(replay);
+};
+
+// Stop early; the report covers the part of the window replayed so far
+const stopReplay = (id) => {
+  const replay = replays.get(id);
+  if (!replay) return null;
+  if (replay.state === 'running' || replay.state === 'paused') finishReplay(replay, 'stopped');
+  return summarize(replay);
+};
+
+// Discard a replay and its sandbox, stopping it if need be
+const deleteReplay = (id) => replays.delete(id);
+
+// -------------------- Comparison --------------------
+const peakSeverity = (alert) => (alert.lifecycle?.history || [])
+  .map(entry => entry.severity)
+  .concat(alert.severity)
+  .filter(Boolean)
+  .reduce((peak, severity) => (severityRank(severity) > severityRank(peak) ? severity : peak));
+
+const toEpisode = (alert) => ({
+  alertId: alert.id,
+  sensorId: alert.sensorData?.sensorId,
+  type: alert.type,
+  severity: alert.severity,
+  peakSeverity: peakSeverity(alert),
+  message: alert.message,
+  raisedAt: alert.createdAt,
+  clearedAt: alert.resolved ? alert.resolvedAt : null,
+  rule: alert.rule
+});
+
+// Episodes overlap when each starts before the other has cleared
+const overlaps = (a, b, end) => a.raisedAt <= (b.clearedAt || end) && b.raisedAt <= (a.clearedAt || end);
+
+// Pair what the current rules raised in the sandbox with what was raised at the time, per
+// sensor and alert type, over the part of the window replayed so far. `covers` lists the
+// alert sources compared; `notCovered` those of live ingestion that are not.
+const compareReplay = (id) => {
+  const replay = replays.get(id);
+  if (!replay) return null;
+
+  const end = replay.clock;
+  const now = replay.alerts.map(toEpisode);
+  const then = replay.historical
+    .filter(alert => alert.createdAt <= end)
+    .map(toEpisode);
+
+  const matched = [];
+  const onlyThen = [];
+  const unmatched = new Set(now);
+
+  for (const historical of then) {
+    const replayed = now.find(episode => unmatched.has(episode) &&
+      episode.sensorId === historical.sensorId &&
+      episode.type === historical.type &&
+      overlaps(episode, historical, end));
+
+    if (!replayed) {
+      onlyThen.push(historical);
+      continue;
+    }
+    unmatched.delete(replayed);
+    matched.push({
+      sensorId: historical.sensorId,
+      type: historical.type,
+      // Positive when the current rules raise the alert earlier than it was raised then
+      leadMinutes: Math.round((historical.raisedAt - replayed.raisedAt) / MINUTE),
+      severityChanged: replayed.peakSeverity !== historical.peakSeverity,
+      replay: replayed,
+      historical
+    });
+  }
+  const onlyNow = now.filter(episode => unmatched.has(episode));
+
+  return {
+    replayId: replay.id,
+    state: replay.state,
+    from: replay.from,
+    to: replay.to,
+    comparedUntil: end,
+    sensors: [...replay.targets],
+    covers: COVERS,
+    notCovered: NOT_COVERED,
+    summary: {
+      wouldFireNow: now.length,
+      firedThen: then.length,
+      matched: matched.length,
+      severityChanged: matched.filter(pair => pair.severityChanged).length,
+      onlyNow: onlyNow.length,
+      onlyThen: onlyThen.length
+    },
+    matched,
+    onlyNow,
+    onlyThen
+  };
+};
+
+// -------------------- Status --------------------
+const summarize = (replay) => ({
+  id: replay.id,
+  state: replay.state,
+  from: replay.from,
+  to: replay.to,
+  speed: replay.speed,
+  clock: replay.clock,
+  progress: Math.round((replay.clock - replay.from) / (replay.to - replay.from) * 1000) / 1000,
+  startedAt: replay.startedAt,
+  startedBy: replay.startedBy,
+  finishedAt: replay.finishedAt,
+  sensors: replay.targets.size,
+  readings: {
+    replayed: replay.next,
+    total: replay.total
+  },
+  sandboxAlerts: replay.alerts.length,
+  openSandboxAlerts: replay.alerts.filter(alert => !alert.resolved).length
+});
+
+const listReplays = () => [...replays.values()].map(summarize).reverse();
+
+const getReplay = (id) => (replays.has(id) ? summarize(replays.get(id)) : null);
+
+const getStatus = () => ({
+  running: [...replays.values()].filter(replay => replay.state === 'running').map(replay => replay.id),
+  kept: replays.size
+});
+
+module.exports = {
+  MAX_SPEED,
+  startReplay,
+  advanceReplays,
+  pauseReplay,
+  resumeReplay,
+  stopReplay,
+  deleteReplay,
+  compareReplay,
+  listReplays,
+  getReplay,
+  getStatus
+};
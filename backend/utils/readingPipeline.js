@@ -0,0 +1,89 @@
+const { recomputeRollups } = require('./sensorRollups');
+const { evaluateSensorRules } = require('./ruleEngine');
+const { evaluateAnomalyAlert } = require('./anomalyDetection');
+const { computeDerivedValue } = require('./derivedSensors');
+const { evaluatePredictiveAlert } = require('./riverPrediction');
+const { propagateSurge } = require('./riverNetwork');
+
+// Readings older than this are stored but never raise alerts (e.g. a gateway's offline buffer)
+const ALERT_MAX_AGE_MINUTES = parseInt(process.env.INGEST_ALERT_MAX_AGE_MINUTES) || 15;
+
+// The rollup job only revisits the last few minutes, anything older needs a recompute
+const LATE_AFTER_MS = 5 * 60 * 1000;
+
+const isRecent = (timestamp) => Date.now() - new Date(timestamp).getTime() <= ALERT_MAX_AGE_MINUTES * 60 * 1000;
+
+// -------------------- Ingestion --------------------
+// Store readings for one sensor, backfill rollups for late data and evaluate alert rules,
+// persistent anomalies, predicted river level crossings and surges travelling downstream.
+// Rules are evaluated once, at the newest still-recent reading, so a large upload of
+// buffered readings cannot raise a burst of stale alerts. Derived sensors fed by this sensor
+// get a new value at the same time (buffered readings do not backfill them).
+const ingestReadings = async (sensor, readings) => {
+  const { accepted, duplicates } = await sensor.addReadings(readings);
+
+  if (accepted.length === 0) {
+    return { accepted, duplicates, alerts: [] };
+  }
+
+  const times = accepted.map(reading => reading.timestamp.getTime());
+  const earliest = Math.min(...times);
+  if (earliest < Date.now() - LATE_AFTER_MS) {
+    await recomputeRollups([sensor.sensorId], new Date(earliest), new Date(Math.max(...times)));
+  }
+
+  const latest = accepted
+    .filter(reading => isRecent(reading.timestamp))
+    .reduce((current, reading) => (!current || reading.timestamp > current.timestamp ? reading : current), null);
+
+  const alerts = [];
+  if (latest) {
+    alerts.push(...await evaluateSensorRules(sensor, latest.timestamp));
+
+    const anomalyAlert = await evaluateAnomalyAlert(sensor);
+    if (anomalyAlert) alerts.push(anomalyAlert);
+
+    const predictiveAlert = await evaluatePredictiveAlert(sensor, latest.timestamp);
+    if (predictiveAlert) alerts.push(predictiveAlert);
+    alerts.push(...await propagateSurge(sensor, latest.timestamp));
+
+    if (!sensor.derived?.kind) {
+      alerts.push(...await updateDerivedSensors(sensor, latest.timestamp));
+    }
+  }
+
+  return { accepted, duplicates, alerts };
+};
+
+// Recompute the derived sensors that use this sensor as an input and ingest their values
+const updateDerivedSensors = async (sensor, at) => {
+  const alerts = [];
+
+  for (const derived of await sensor.constructor.findDerivedFrom(sensor.sensorId)) {
+    try {
+      const result = await computeDerivedValue(derived, at);
+      if (!result) continue;
+
+      const { alerts: derivedAlerts } = await ingestReadings(derived, [{ value: result.value, timestamp: at }]);
+      alerts.push(...derivedAlerts);
+    } catch (error) {
+      console.error(`Error updating derived sensor ${derived.sensorId}:`, error);
+    }
+  }
+
+  return alerts;
+};
+
+const ingestReading = async (sensor, reading) => {
+  const { accepted, alerts } = await ingestReadings(sensor, [{
+    ...reading,
+    timestamp: new Date(reading.timestamp || Date.now())
+  }]);
+  return { duplicate: accepted.length === 0, alerts };
+};
+
+module.exports = {
+  ALERT_MAX_AGE_MINUTES,
+  ingestReading,
+  ingestReadings
+};
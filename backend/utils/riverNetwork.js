@@ -0,0 +1,352 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const RiverReach = require('../models/RiverReach');
+const Alert = require('../models/Alert');
+const { dispatchAlert } = require('../services/alertFanout');
+const { updateSensorAlert } = require('./alertLifecycle');
+const { haversineKm } = require('./geo');
+const { exerciseScope, exerciseSourceKey } = require('./exercise');
+const { findOpenRiverForecast } = require('./riverPrediction');
+
+// A gauge rising at least this much (in its unit) over the window is surging
+const SURGE_WINDOW_MINUTES = parseInt(process.env.RIVER_SURGE_WINDOW_MINUTES) || 60;
+const SURGE_MIN_RISE = parseFloat(process.env.RIVER_SURGE_MIN_RISE) || 0.3;
+// Surges are re-evaluated at most this often per gauge
+const EVALUATE_EVERY_MS = 60 * 1000;
+
+const MINUTE = 60 * 1000;
+
+const lastEvaluated = new Map();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// -------------------- Network --------------------
+// Water level gauges and the reaches between them
+const loadNetwork = async () => {
+  const [reaches, sensors] = await Promise.all([
+    RiverReach.find().lean(),
+    Sensor.find({ type: 'water_level' }).lean()
+  ]);
+  return { reaches, sensors: new Map(sensors.map(sensor => [sensor.sensorId, sensor])) };
+};
+
+// Gauges reachable downstream of a gauge
+const downstreamIds = (reaches, sensorId, seen = new Set()) => {
+  for (const reach of reaches.filter(candidate => candidate.upstreamSensorId === sensorId)) {
+    if (seen.has(reach.downstreamSensorId)) continue;
+    seen.add(reach.downstreamSensorId);
+    downstreamIds(reaches, reach.downstreamSensorId, seen);
+  }
+  return seen;
+};
+
+// Check a new or changed reach against the network; throws a RangeError on the first problem
+const checkReach = async (reach, excludeId) => {
+  if (reach.upstreamSensorId === reach.downstreamSensorId) {
+    throw new RangeError('A reach must join two different gauges');
+  }
+
+  for (const sensorId of [reach.upstreamSensorId, reach.downstreamSensorId]) {
+    const sensor = await Sensor.findOne({ sensorId });
+    if (!sensor) throw new RangeError(`Sensor not found: ${sensorId}`);
+    if (sensor.type !== 'water_level') {
+      throw new RangeError(`Reaches join water level gauges, ${sensorId} is ${sensor.type}`);
+    }
+  }
+
+  const others = (await RiverReach.find().lean())
+    .filter(other => !excludeId || String(other._id) !== String(excludeId));
+  if (others.some(other => other.upstreamSensorId === reach.upstreamSensorId && other.downstreamSensorId === reach.downstreamSensorId)) {
+    throw new RangeError('These gauges are already joined by a reach');
+  }
+  if (downstreamIds(others, reach.downstreamSensorId).has(reach.upstreamSensorId)) {
+    throw new RangeError(`${reach.downstreamSensorId} is already upstream of ${reach.upstreamSensorId}; rivers cannot flow in a loop`);
+  }
+  return reach;
+};
+
+// -------------------- Surge Propagation --------------------
+// Rise of a gauge over the surge window up to `at`, or null without readings
+const recentRise = async (sensorId, at) => {
+  const readings = await SensorReading.find({
+    sensorId,
+    timestamp: { $gt: new Date(at.getTime() - SURGE_WINDOW_MINUTES * MINUTE), $lte: at },
+    ...exerciseScope()
+  }).sort({ timestamp: 1 }).select('timestamp value').lean();
+
+  if (readings.length < 2) return null;
+  return {
+    rise: readings[readings.length - 1].value - readings[0].value,
+    level: readings[readings.length - 1].value,
+    timestamp: readings[readings.length - 1].timestamp
+  };
+};
+
+// Settlements along a reach and when the water gets to them, by distance along the reach
+const communityArrivals = (reach, from, to, startAt) => reach.communities.map(community => {
+  const before = haversineKm(from.location.coordinates, community.coordinates);
+  const after = haversineKm(community.coordinates, to.location.coordinates);
+  const fraction = before + after > 0 ? before / (before + after) : 0;
+  return {
+    name: community.name,
+    coordinates: community.coordinates,
+    population: community.population,
+    arrivalAt: new Date(startAt + fraction * reach.travelTimeMinutes * MINUTE)
+  };
+});
+
+// Follow a rise at one gauge down the network: arrival time and projected level at each gauge
+// below it (earliest arrival where branches meet), and at the communities on the way.
+// Projections one level below the observed ones: moderate for the warning level, warning for
+// the critical level.
+const projectSurge = (network, source, rise, at) => {
+  const start = network.sensors.get(source);
+  const projections = new Map();
+  const queue = [{ sensorId: source, minutes: 0, rise, route: [source] }];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const from = network.sensors.get(current.sensorId);
+
+    for (const reach of network.reaches.filter(candidate => candidate.upstreamSensorId === current.sensorId)) {
+      const to = network.sensors.get(reach.downstreamSensorId);
+      if (!to || !from) continue;
+
+      const minutes = current.minutes + reach.travelTimeMinutes;
+      const known = projections.get(to.sensorId);
+      if (known && known.travelMinutes <= minutes) continue;
+
+      const arrivingRise = current.rise * (reach.attenuation ?? 1);
+      const currentLevel = to.currentReading?.value ?? null;
+      const projectedLevel = currentLevel === null ? null : currentLevel + arrivingRise;
+      let severity = null;
+      let level = null;
+      if (projectedLevel !== null && projectedLevel >= to.thresholds.critical) {
+        severity = 'warning';
+        level = 'critical';
+      } else if (projectedLevel !== null && projectedLevel >= to.thresholds.warning) {
+        severity = 'moderate';
+        level = 'warning';
+      }
+
+      projections.set(to.sensorId, {
+        sensorId: to.sensorId,
+        location: to.location,
+        river: reach.river,
+        route: [...current.route, to.sensorId],
+        travelMinutes: minutes,
+        arrivalAt: new Date(at.getTime() + minutes * MINUTE),
+        rise: Math.round(arrivingRise * 1000) / 1000,
+        currentLevel,
+        projectedLevel: projectedLevel === null ? null : Math.round(projectedLevel * 1000) / 1000,
+        unit: to.unit,
+        thresholds: to.thresholds,
+        level,
+        severity,
+        communities: communityArrivals(reach, from, to, at.getTime() + current.minutes * MINUTE)
+      });
+      queue.push({ sensorId: to.sensorId, minutes, rise: arrivingRise, route: [...current.route, to.sensorId] });
+    }
+  }
+
+  return {
+    source: {
+      sensorId: source,
+      location: start?.location,
+      rise: Math.round(rise * 1000) / 1000,
+      windowMinutes: SURGE_WINDOW_MINUTES,
+      at
+    },
+    downstream: [...projections.values()].sort((a, b) => a.travelMinutes - b.travelMinutes)
+  };
+};
+
+// Surges currently under way anywhere in the network, with their projections
+const currentProjections = async (at = new Date()) => {
+  const network = await loadNetwork();
+  const upstream = new Set(network.reaches.map(reach => reach.upstreamSensorId));
+  const surges = [];
+
+  for (const sensorId of upstream) {
+    const recent = await recentRise(sensorId, at);
+    if (recent && recent.rise >= SURGE_MIN_RISE) {
+      surges.push(projectSurge(network, sensorId, recent.rise, at));
+    }
+  }
+  return surges;
+};
+
+const surgeMessage = (surge, projection) => {
+  const source = surge.source.location?.name || surge.source.sensorId;
+  const communities = projection.communities.length > 0
+    ? `. On the way: ${projection.communities.map(community => community.name).join(', ')}`
+    : '';
+  return `Rise of ${surge.source.rise}${projection.unit} at ${source} expected to reach ${projection.location.name} in about ${projection.travelMinutes} min, at about ${projection.projectedLevel}${projection.unit} (${projection.level} level ${projection.thresholds[projection.level]}${projection.unit})${communities}`;
+};
+
+// Raise or update a flood alert at each downstream gauge a surge at this gauge is projected to
+// take past a threshold (sourceKey "surge:<upstream>:<downstream>"); alerts for gauges no longer
+// at risk start clearing. A gauge that already has a river level forecast alert (a trend
+// prediction or a surge from another gauge) gets no second one. Called on ingest of water
+// level readings.
+const propagateSurge = async (sensor, at = new Date()) => {
+  if (sensor.type !== 'water_level') return [];
+  const evaluationKey = exerciseSourceKey(sensor.sensorId);
+  if (Date.now() - (lastEvaluated.get(evaluationKey) || 0) < EVALUATE_EVERY_MS) return [];
+  lastEvaluated.set(evaluationKey, Date.now());
+
+  const prefix = `surge:${sensor.sensorId}:`;
+  const keyFor = (projection) => exerciseSourceKey(`${prefix}${projection.sensorId}`);
+  const open = await Alert.find({ sourceKey: { $regex: `^${escapeRegex(prefix)}` }, resolved: false, ...exerciseScope() });
+  if (!(await RiverReach.exists({ upstreamSensorId: sensor.sensorId })) && open.length === 0) return [];
+
+  const recent = await recentRise(sensor.sensorId, at);
+  const surging = recent && recent.rise >= SURGE_MIN_RISE;
+  const surge = surging ? projectSurge(await loadNetwork(), sensor.sensorId, recent.rise, at) : { downstream: [] };
+  const alerts = [];
+
+  for (const projection of surge.downstream.filter(candidate => candidate.severity)) {
+    const sourceKey = keyFor(projection);
+    const message = surgeMessage(surge, projection);
+    const forecast = {
+      hazard: 'river_level',
+      onset: projection.arrivalAt,
+      peak: projection.projectedLevel,
+      unit: projection.unit,
+      level: projection.level,
+      source: `surge at ${sensor.sensorId}`,
+      issuedAt: new Date()
+    };
+    const existing = open.find(alert => alert.sourceKey === sourceKey);
+
+    if (existing) {
+      existing.forecast = forecast;
+      existing.message = message;
+      await updateSensorAlert(existing, { severity: projection.severity, message, value: projection.currentLevel });
+      if (existing.isModified()) await existing.save();
+      continue;
+    }
+    if (await findOpenRiverForecast(projection.sensorId)) continue;
+
+    const alert = new Alert({
+      id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: 'flood',
+      message,
+      severity: projection.severity,
+      location: projection.location.name,
+      coordinates: projection.location.coordinates,
+      sourceKey,
+      forecast,
+      sensorData: {
+        value: projection.currentLevel,
+        unit: projection.unit,
+        sensorId: projection.sensorId
+      },
+      cap: {
+        areaDesc: [projection.location.name, ...projection.communities.map(community => community.name)].join('; ')
+      }
+    });
+
+    await alert.save();
+    await dispatchAlert(alert);
+    alerts.push(alert);
+    console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+  }
+
+  // Gauges no longer projected past a threshold
+  for (const alert of open) {
+    const still = surge.downstream.some(projection => projection.severity && alert.sourceKey === keyFor(projection));
+    if (!still) await updateSensorAlert(alert, { severity: null });
+  }
+
+  return alerts;
+};
+
+// -------------------- GeoJSON --------------------
+// Gauges, reaches and communities as a FeatureCollection; gauges carry the projection of any
+// surge under way above them
+const toGeoJSON = (network, surges = []) => {
+  const point = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+  const inNetwork = new Set(network.reaches.flatMap(reach => [reach.upstreamSensorId, reach.downstreamSensorId]));
+  const features = [];
+
+  for (const sensor of network.sensors.values()) {
+    if (!inNetwork.has(sensor.sensorId)) continue;
+    const projection = surges
+      .flatMap(surge => surge.downstream.map(downstream => ({ ...downstream, from: surge.source.sensorId })))
+      .filter(downstream => downstream.sensorId === sensor.sensorId)
+      .sort((a, b) => a.arrivalAt - b.arrivalAt)[0];
+
+    features.push({
+      type: 'Feature',
+      id: sensor.sensorId,
+      geometry: point(sensor.location.coordinates),
+      properties: {
+        kind: 'gauge',
+        sensorId: sensor.sensorId,
+        name: sensor.location.name,
+        status: sensor.status,
+        level: sensor.currentReading?.value ?? null,
+        unit: sensor.unit,
+        thresholds: sensor.thresholds,
+        surging: surges.some(surge => surge.source.sensorId === sensor.sensorId),
+        projection: projection
+          ? { from: projection.from, arrivalAt: projection.arrivalAt, projectedLevel: projection.projectedLevel, level: projection.level }
+          : null
+      }
+    });
+  }
+
+  for (const reach of network.reaches) {
+    const from = network.sensors.get(reach.upstreamSensorId);
+    const to = network.sensors.get(reach.downstreamSensorId);
+    if (!from || !to) continue;
+
+    features.push({
+      type: 'Feature',
+      id: String(reach._id),
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          point(from.location.coordinates).coordinates,
+          ...(reach.path || []),
+          point(to.location.coordinates).coordinates
+        ]
+      },
+      properties: {
+        kind: 'reach',
+        river: reach.river,
+        upstreamSensorId: reach.upstreamSensorId,
+        downstreamSensorId: reach.downstreamSensorId,
+        travelTimeMinutes: reach.travelTimeMinutes,
+        attenuation: reach.attenuation ?? 1
+      }
+    });
+
+    for (const community of reach.communities || []) {
+      features.push({
+        type: 'Feature',
+        geometry: point(community.coordinates),
+        properties: {
+          kind: 'community',
+          name: community.name,
+          population: community.population ?? null,
+          reach: String(reach._id),
+          river: reach.river
+        }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+};
+
+module.exports = {
+  SURGE_MIN_RISE,
+  loadNetwork,
+  checkReach,
+  projectSurge,
+  currentProjections,
+  propagateSurge,
+  toGeoJSON
+};
@@ -0,0 +1,440 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const RiverReach = require('../models/RiverReach');
+const { aggregateSeries } = require('./sensorRollups');
+const { dispatchAlert } = require('../services/alertFanout');
+const { updateSensorAlert } = require('./alertLifecycle');
+const { exerciseScope, exerciseSourceKey } = require('./exercise');
+
+// Readings the trend is fitted to, and how far ahead it is extrapolated
+const WINDOW_MINUTES = parseInt(process.env.PREDICTION_WINDOW_MINUTES) || 60;
+const HORIZON_MINUTES = parseInt(process.env.PREDICTION_HORIZON_MINUTES) || 180;
+// Fits explaining less of the variation than this do not raise predictive alerts
+const MIN_R2 = parseFloat(process.env.PREDICTION_MIN_R2) || 0.6;
+const MIN_POINTS = 5;
+// Predictive alerts are re-evaluated at most this often per sensor
+const EVALUATE_EVERY_MS = 60 * 1000;
+// Interpolating across a larger gap in a series gives no value
+const MAX_GAP_MS = 10 * 60 * 1000;
+// Spacing of the predicted series in responses
+const OUTPUT_STEP_MINUTES = 15;
+
+const PREDICTABLE_TYPES = ['water_level'];
+
+const MINUTE = 60 * 1000;
+
+const lastEvaluated = new Map();
+
+// -------------------- Fitting --------------------
+const leastSquares = (xs, ys) => {
+  const n = xs.length;
+  const mx = xs.reduce((sum, x) => sum + x, 0) / n;
+  const my = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: my - slope * mx,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+  };
+};
+
+// Trend of { t, value } points as value(minutes after `at`). Exponential fits ln(value) and
+// suits a rising limb that is accelerating; it falls back to linear for non-positive values.
+const fitTrend = (points, at, model = 'linear') => {
+  const xs = points.map(point => (point.t - at) / MINUTE);
+  const exponential = model === 'exponential' && points.every(point => point.value > 0);
+  const fit = leastSquares(xs, points.map(point => (exponential ? Math.log(point.value) : point.value)));
+  if (!fit) return null;
+
+  const valueAt = exponential
+    ? (minutes) => Math.exp(fit.intercept + fit.slope * minutes)
+    : (minutes) => fit.intercept + fit.slope * minutes;
+
+  return {
+    model: exponential ? 'exponential' : 'linear',
+    r2: fit.r2,
+    // Rate of change now, per hour
+    ratePerHour: exponential ? fit.slope * valueAt(0) * 60 : fit.slope * 60,
+    valueAt
+  };
+};
+
+// Value of a { t, value } series (oldest first) at time t, or null outside it or across a gap
+const interpolate = (series, t) => {
+  const after = series.findIndex(point => point.t >= t);
+  if (after === -1) return null;
+  if (series[after].t === t) return series[after].value;
+  if (after === 0) return null;
+
+  const before = series[after - 1];
+  const next = series[after];
+  if (next.t - before.t > MAX_GAP_MS) return null;
+  return before.value + (next.value - before.value) * (t - before.t) / (next.t - before.t);
+};
+
+// -------------------- Prediction --------------------
+// Prediction at time `at` from in-memory series, so the live predictor and the backtest agree.
+// Upstream gauges: what passed a gauge lagMinutes ago arrives here now, so its change over the
+// last lagMinutes (times `factor`) is the change expected here over the next lagMinutes. Within
+// that lag it is averaged with the local trend; beyond it the local trend continues from there.
+// Returns null when there are too few points in the window.
+const predictFromSeries = ({ series, thresholds, settings = {}, upstream = [] }, at) => {
+  const windowMinutes = settings.windowMinutes || WINDOW_MINUTES;
+  const horizonMinutes = settings.horizonMinutes || HORIZON_MINUTES;
+  const points = series.filter(point => point.t <= at && point.t > at - windowMinutes * MINUTE);
+  if (points.length < MIN_POINTS) return null;
+
+  const trend = fitTrend(points, at, settings.model);
+  if (!trend) return null;
+
+  const routed = upstream
+    .map(gauge => {
+      const lag = gauge.lagMinutes * MINUTE;
+      const base = interpolate(gauge.series, at - lag);
+      return base === null ? null : { ...gauge, base };
+    })
+    .filter(Boolean);
+
+  const now = trend.valueAt(0);
+  const longestLag = Math.max(0, ...routed.map(gauge => gauge.lagMinutes));
+  const valueAt = (minutes) => {
+    if (minutes > longestLag && longestLag > 0) {
+      return valueAt(longestLag) + trend.valueAt(minutes) - trend.valueAt(longestLag);
+    }
+
+    const local = trend.valueAt(minutes) - now;
+    const changes = routed
+      .map(gauge => {
+        const value = interpolate(gauge.series, at - (gauge.lagMinutes - Math.min(minutes, gauge.lagMinutes)) * MINUTE);
+        return value === null ? null : (value - gauge.base) * (gauge.factor ?? 1);
+      })
+      .filter(change => change !== null);
+
+    if (changes.length === 0) return now + local;
+    return now + (local + changes.reduce((sum, change) => sum + change, 0) / changes.length) / 2;
+  };
+
+  const latest = points[points.length - 1];
+  const crossing = (threshold) => {
+    if (latest.value >= threshold) return 0;
+    for (let minutes = 1; minutes <= horizonMinutes; minutes++) {
+      if (valueAt(minutes) >= threshold) return minutes;
+    }
+    return null;
+  };
+
+  return {
+    at: new Date(at),
+    model: trend.model,
+    windowMinutes,
+    horizonMinutes,
+    points: points.length,
+    current: latest.value,
+    fitted: now,
+    ratePerHour: trend.ratePerHour,
+    r2: trend.r2,
+    upstream: routed.map(gauge => ({ sensorId: gauge.sensorId, lagMinutes: gauge.lagMinutes, factor: gauge.factor ?? 1 })),
+    timeToWarning: crossing(thresholds.warning),
+    timeToCritical: crossing(thresholds.critical),
+    valueAt
+  };
+};
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Prediction as returned by the API
+const describePrediction = (prediction) => {
+  const at = prediction.at.getTime();
+  const crossingAt = (minutes) => (minutes === null ? null : new Date(at + minutes * MINUTE));
+  const forecast = [];
+  for (let minutes = OUTPUT_STEP_MINUTES; minutes <= prediction.horizonMinutes; minutes += OUTPUT_STEP_MINUTES) {
+    forecast.push({ timestamp: new Date(at + minutes * MINUTE), value: round(prediction.valueAt(minutes)) });
+  }
+
+  return {
+    at: prediction.at,
+    model: prediction.model,
+    windowMinutes: prediction.windowMinutes,
+    horizonMinutes: prediction.horizonMinutes,
+    points: prediction.points,
+    current: prediction.current,
+    ratePerHour: round(prediction.ratePerHour),
+    r2: round(prediction.r2),
+    upstream: prediction.upstream,
+    timeToWarning: prediction.timeToWarning,
+    timeToCritical: prediction.timeToCritical,
+    warningAt: crossingAt(prediction.timeToWarning),
+    criticalAt: crossingAt(prediction.timeToCritical),
+    forecast
+  };
+};
+
+// -------------------- Loading --------------------
+const readingSeries = async (sensorId, from, to) => {
+  const readings = await SensorReading.find({ sensorId, timestamp: { $gt: from, $lte: to }, ...exerciseScope() })
+    .sort({ timestamp: 1 })
+    .select('timestamp value')
+    .lean();
+  return readings.map(reading => ({ t: reading.timestamp.getTime(), value: reading.value }));
+};
+
+// Upstream gauges of a sensor: its own settings, or else the river network's reaches into it
+const upstreamGauges = async (sensor) => {
+  if (sensor.prediction?.upstream?.length > 0) return sensor.prediction.upstream;
+
+  return (await RiverReach.findUpstreamOf(sensor.sensorId)).map(reach => ({
+    sensorId: reach.upstreamSensorId,
+    lagMinutes: reach.travelTimeMinutes,
+    factor: reach.attenuation
+  }));
+};
+
+// Predict a water level sensor at time `at` from its stored readings and its upstream gauges
+const predictSensor = async (sensor, at = new Date()) => {
+  const settings = sensor.prediction || {};
+  const windowMinutes = settings.windowMinutes || WINDOW_MINUTES;
+  const time = at.getTime();
+
+  const series = await readingSeries(sensor.sensorId, new Date(time - windowMinutes * MINUTE), at);
+  const upstream = [];
+  for (const gauge of await upstreamGauges(sensor)) {
+    upstream.push({
+      sensorId: gauge.sensorId,
+      lagMinutes: gauge.lagMinutes,
+      factor: gauge.factor,
+      // A little before the lag window so its start can be interpolated
+      series: await readingSeries(gauge.sensorId, new Date(time - gauge.lagMinutes * MINUTE - MAX_GAP_MS), at)
+    });
+  }
+
+  return predictFromSeries({ series, thresholds: sensor.thresholds, settings, upstream }, time);
+};
+
+// -------------------- Predictive Alerts --------------------
+// Open river level forecast alert for a gauge, from a trend prediction or a surge upstream.
+// A gauge gets one at a time, so the two do not raise and fan out duplicate flood alerts.
+const findOpenRiverForecast = (sensorId) => Alert.findOne({
+  'sensorData.sensorId': sensorId,
+  'forecast.hazard': 'river_level',
+  resolved: false,
+  ...exerciseScope()
+});
+
+// Raise a flood alert while the trend says the river will reach a threshold within the horizon
+// it has not reached yet: moderate for the warning level, warning for the critical level. It
+// follows the usual lifecycle and clears once the prediction no longer shows a crossing (or the
+// level is actually reached, when the observed alert takes over).
+const evaluatePredictiveAlert = async (sensor, at = new Date()) => {
+  if (!PREDICTABLE_TYPES.includes(sensor.type) || sensor.prediction?.enabled === false) return null;
+  const sourceKey = exerciseSourceKey(`prediction:${sensor.sensorId}`);
+  if (Date.now() - (lastEvaluated.get(sourceKey) || 0) < EVALUATE_EVERY_MS) return null;
+  lastEvaluated.set(sourceKey, Date.now());
+
+  const prediction = await predictSensor(sensor, at);
+  const open = await Alert.findOne({ sourceKey, resolved: false });
+
+  let severity = null;
+  let level = null;
+  let minutes = null;
+  const reliable = prediction && prediction.r2 >= MIN_R2 && prediction.ratePerHour > 0;
+  if (reliable && prediction.timeToCritical > 0) {
+    severity = 'warning';
+    level = 'critical';
+    minutes = prediction.timeToCritical;
+  } else if (reliable && prediction.timeToWarning > 0) {
+    severity = 'moderate';
+    level = 'warning';
+    minutes = prediction.timeToWarning;
+  }
+
+  const threshold = level && sensor.thresholds[level];
+  const message = level && `${sensor.location.name} expected to reach the ${level} level of ${threshold}${sensor.unit} in about ${minutes} min (rising ${round(prediction.ratePerHour, 2)}${sensor.unit}/h)`;
+  const details = level && {
+    hazard: 'river_level',
+    onset: new Date(at.getTime() + minutes * MINUTE),
+    peak: threshold,
+    unit: sensor.unit,
+    confidence: round(prediction.r2, 2),
+    level,
+    source: prediction.upstream.length > 0 ? 'trend+upstream' : `trend (${prediction.model})`,
+    issuedAt: new Date()
+  };
+
+  if (open) {
+    // A new estimate at the same severity refreshes the alert without a lifecycle update
+    if (details) {
+      open.forecast = details;
+      open.message = message;
+    }
+    await updateSensorAlert(open, { severity, message, value: prediction?.current });
+    if (open.isModified()) await open.save();
+    return null;
+  }
+  if (!severity || await findOpenRiverForecast(sensor.sensorId)) return null;
+
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'flood',
+    message,
+    severity,
+    location: sensor.location.name,
+    coordinates: sensor.location.coordinates,
+    sourceKey,
+    forecast: details,
+    sensorData: {
+      value: prediction.current,
+      unit: sensor.unit,
+      sensorId: sensor.sensorId
+    }
+  });
+
+  await alert.save();
+  await dispatchAlert(alert);
+  console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+
+  return alert;
+};
+
+// -------------------- Backtest --------------------
+const minuteSeries = async (sensorId, from, to) => {
+  // One-minute means where the range allows, five-minute means for long ranges
+  const bucket = (to - from) / MINUTE > 4000 ? '5m' : '1m';
+  const size = bucket === '5m' ? 5 * MINUTE : MINUTE;
+  const [series] = await aggregateSeries({ sensorIds: [sensorId], from, to, bucket, fn: 'mean' });
+  return series.buckets
+    .filter(bucket => bucket.value !== null)
+    .map(bucket => ({ t: bucket.start.getTime() + size / 2, value: bucket.value }));
+};
+
+const errorStats = (errors) => {
+  if (errors.length === 0) return { count: 0, mae: null, rmse: null, bias: null };
+  return {
+    count: errors.length,
+    mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length),
+    rmse: round(Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length)),
+    bias: round(errors.reduce((sum, e) => sum + e, 0) / errors.length)
+  };
+};
+
+// Replay the predictor over stored history (one-minute means) every stepMinutes and score it:
+// error of the predicted level at each horizon, and for each actual threshold crossing how long
+// before it the prediction first saw it coming, plus predictions of crossings that never came.
+const backtestPrediction = async (sensor, { from, to, stepMinutes = 15, horizons = [15, 30, 60] }) => {
+  const settings = sensor.prediction || {};
+  const windowMinutes = settings.windowMinutes || WINDOW_MINUTES;
+  const horizonMinutes = settings.horizonMinutes || HORIZON_MINUTES;
+  const start = from.getTime();
+  const end = to.getTime();
+
+  const series = await minuteSeries(sensor.sensorId, new Date(start - windowMinutes * MINUTE), to);
+  const upstream = [];
+  for (const gauge of await upstreamGauges(sensor)) {
+    upstream.push({
+      sensorId: gauge.sensorId,
+      lagMinutes: gauge.lagMinutes,
+      factor: gauge.factor,
+      series: await minuteSeries(gauge.sensorId, new Date(start - (windowMinutes + gauge.lagMinutes) * MINUTE), to)
+    });
+  }
+
+  const errors = Object.fromEntries(horizons.map(minutes => [minutes, []]));
+  const predictions = [];
+  for (let at = start; at <= end; at += stepMinutes * MINUTE) {
+    const prediction = predictFromSeries({ series, thresholds: sensor.thresholds, settings, upstream }, at);
+    if (!prediction) continue;
+    predictions.push(prediction);
+
+    for (const minutes of horizons) {
+      if (at + minutes * MINUTE > end) continue;
+      const actual = interpolate(series, at + minutes * MINUTE);
+      if (actual !== null) errors[minutes].push(prediction.valueAt(minutes) - actual);
+    }
+  }
+
+  const crossings = {};
+  for (const level of ['warning', 'critical']) {
+    const threshold = sensor.thresholds[level];
+    const key = level === 'warning' ? 'timeToWarning' : 'timeToCritical';
+    const observed = series.filter((point, i) => i > 0 && point.t >= start && point.value >= threshold && series[i - 1].value < threshold);
+
+    const events = observed.map(point => {
+      const early = predictions.find(prediction =>
+        prediction.at.getTime() >= point.t - horizonMinutes * MINUTE &&
+        prediction.at.getTime() < point.t &&
+        prediction[key] > 0);
+      return {
+        crossedAt: new Date(point.t),
+        predictedAt: early ? early.at : null,
+        leadMinutes: early ? Math.round((point.t - early.at.getTime()) / MINUTE) : null
+      };
+    });
+
+    // Predicted a crossing within the horizon, but the level stayed below it throughout
+    const falseAlarms = predictions.filter(prediction => {
+      const at = prediction.at.getTime();
+      if (!(prediction[key] > 0) || at + horizonMinutes * MINUTE > end) return false;
+      return !series.some(point => point.t > at && point.t <= at + horizonMinutes * MINUTE && point.value >= threshold);
+    }).length;
+
+    const detected = events.filter(event => event.leadMinutes !== null);
+    crossings[level] = {
+      threshold,
+      events,
+      detected: detected.length,
+      meanLeadMinutes: detected.length > 0
+        ? Math.round(detected.reduce((sum, event) => sum + event.leadMinutes, 0) / detected.length)
+        : null,
+      falseAlarms
+    };
+  }
+
+  return {
+    sensorId: sensor.sensorId,
+    from,
+    to,
+    stepMinutes,
+    model: settings.model || 'linear',
+    windowMinutes,
+    horizonMinutes,
+    predictions: predictions.length,
+    horizons: horizons.map(minutes => ({ minutes, ...errorStats(errors[minutes]) })),
+    crossings
+  };
+};
+
+// Check upstream gauges for a sensor's prediction settings; throws a RangeError on the first problem
+const resolveUpstream = async (sensor, upstream = []) => {
+  for (const gauge of upstream) {
+    if (gauge.sensorId === sensor.sensorId) throw new RangeError('A sensor cannot be its own upstream gauge');
+
+    const other = await Sensor.findOne({ sensorId: gauge.sensorId });
+    if (!other) throw new RangeError(`Upstream sensor not found: ${gauge.sensorId}`);
+    if (!PREDICTABLE_TYPES.includes(other.type)) {
+      throw new RangeError(`Upstream gauges must be water level sensors, ${gauge.sensorId} is ${other.type}`);
+    }
+  }
+  return upstream;
+};
+
+module.exports = {
+  PREDICTABLE_TYPES,
+  fitTrend,
+  predictFromSeries,
+  describePrediction,
+  predictSensor,
+  findOpenRiverForecast,
+  evaluatePredictiveAlert,
+  backtestPrediction,
+  resolveUpstream
+};
@@ -0,0 +1,484 @@
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { dispatchAlert } = require('../services/alertFanout');
+const { haversineKm } = require('./geo');
+const { DEFAULT_ALERT_RULES } = require('./defaultAlertRules');
+const { HOLD_OFF_MINUTES, severityRank, updateSensorAlert } = require('./alertLifecycle');
+const { exerciseScope, exerciseSourceKey } = require('./exercise');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Dry runs load the whole window into memory, so keep it bounded
+const MAX_DRY_RUN_DAYS = 31;
+const MAX_DRY_RUN_READINGS = 200000;
+
+let defaultsChecked = false;
+
+const COMPARE = {
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold,
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold
+};
+
+// -------------------- History Providers --------------------
+// A provider gives the engine readings and sensors. The live one queries MongoDB;
+// the in-memory one serves a preloaded window so dry runs can replay history quickly.
+const createLiveHistory = () => {
+  let sensors = null;
+
+  return {
+    getReadings: (sensorId, from, to) => SensorReading.find({
+      sensorId,
+      timestamp: { $gte: from, $lte: to },
+      ...exerciseScope()
+    }).sort({ timestamp: 1 }).select('timestamp value').lean(),
+
+    getSensors: async () => {
+      if (!sensors) sensors = await Sensor.find({ status: { $in: ['active', 'error'] } });
+      return sensors;
+    }
+  };
+};
+
+const createMemoryHistory = (readingsBySensor, sensors) => {
+  // Index of the first reading at or after time t
+  const lowerBound = (readings, t) => {
+    let lo = 0;
+    let hi = readings.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (readings[mid].timestamp.getTime() < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  return {
+    getReadings: async (sensorId, from, to) => {
+      const readings = readingsBySensor.get(sensorId) || [];
+      return readings.slice(lowerBound(readings, from.getTime()), lowerBound(readings, to.getTime() + 1));
+    },
+    getSensors: async () => sensors
+  };
+};
+
+// -------------------- Alert Stores --------------------
+// A store gives the engine open and recently cleared alerts and takes the ones it raises or
+// updates. The live one persists and notifies; a sandbox store keeps a replay's alerts in
+// memory (see utils/historicalReplay.js).
+const createLiveAlerts = () => ({
+  now: () => new Date(),
+
+  findOpen: (sourceKey) => Alert.findOne({ sourceKey, resolved: false }),
+
+  findLastCleared: (sourceKey) => Alert.findOne({ sourceKey, resolved: true }).sort({ resolvedAt: -1 }),
+
+  // Open rule alerts of a sensor, including those whose rules were since deleted or disabled
+  findOpenForSensor: (sensor) => Alert.find({
+    'sensorData.sensorId': sensor.sensorId,
+    rule: { $exists: true },
+    resolved: false,
+    ...exerciseScope()
+  }),
+
+  raise: async (alert) => {
+    await alert.save();
+    await dispatchAlert(alert);
+    console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+  },
+
+  update: (alert, change) => updateSensorAlert(alert, change)
+});
+
+// -------------------- Evaluation --------------------
+const resolveTarget = async (condition, sensor, history) => {
+  if (condition.source === 'self' || !condition.source) return sensor;
+
+  const sensors = await history.getSensors();
+
+  if (condition.source === 'sensor') {
+    return sensors.find(s => s.sensorId === condition.sensorId) || null;
+  }
+
+  // Nearest sensor of the requested type within radiusKm
+  let nearest = null;
+  let nearestKm = Infinity;
+  for (const candidate of sensors) {
+    if (candidate.type !== condition.sensorType || candidate.sensorId === sensor.sensorId) continue;
+    const km = haversineKm(sensor.location.coordinates, candidate.location.coordinates);
+    if (km <= (condition.radiusKm ?? 10) && km < nearestKm) {
+      nearest = candidate;
+      nearestKm = km;
+    }
+  }
+  return nearest;
+};
+
+// Evaluate one condition at time `at`. `met` says whether it holds; `cleared` whether it
+// has crossed back past its clearThreshold (null when it has no hysteresis or data is missing).
+const evaluateCondition = async (condition, sensor, at, history) => {
+  const target = await resolveTarget(condition, sensor, history);
+  const threshold = condition.threshold ?? target?.thresholds?.[condition.thresholdRef];
+  const result = {
+    sensorId: target?.sensorId || condition.sensorId || null,
+    sensorType: target?.type || condition.sensorType || null,
+    metric: condition.metric || 'value',
+    operator: condition.operator,
+    threshold,
+    value: null,
+    met: false,
+    cleared: null
+  };
+
+  if (!target || typeof threshold !== 'number') {
+    result.missing = true;
+    return result;
+  }
+
+  const compare = COMPARE[condition.operator];
+  const maxAge = (condition.maxAgeMinutes ?? 15) * MINUTE;
+  const atMs = at.getTime();
+  let value;
+
+  if (result.metric === 'rate') {
+    const windowMs = (condition.rateWindowMinutes || 60) * MINUTE;
+    const readings = await history.getReadings(target.sensorId, new Date(atMs - windowMs), at);
+    const first = readings[0];
+    const last = readings[readings.length - 1];
+
+    // Need at least half the window covered to call it a trend
+    if (readings.length < 2 || atMs - last.timestamp.getTime() > maxAge ||
+      last.timestamp - first.timestamp < windowMs / 2) {
+      result.missing = true;
+      return result;
+    }
+
+    value = (last.value - first.value) / ((last.timestamp - first.timestamp) / HOUR);
+    result.met = compare(value, threshold);
+  } else {
+    const forMs = (condition.forMinutes || 0) * MINUTE;
+    const readings = await history.getReadings(target.sensorId, new Date(atMs - forMs - maxAge), at);
+    const last = readings[readings.length - 1];
+
+    if (!last || atMs - last.timestamp.getTime() > maxAge) {
+      result.missing = true;
+      return result;
+    }
+
+    value = last.value;
+    result.met = compare(value, threshold);
+
+    // Sustained: find since when the condition has held without interruption
+    if (result.met && forMs > 0) {
+      let i = readings.length - 1;
+      while (i > 0 && compare(readings[i - 1].value, threshold)) i--;
+      result.heldSince = readings[i].timestamp;
+      result.met = atMs - readings[i].timestamp.getTime() >= forMs;
+    }
+  }
+
+  result.value = value;
+
+  if (typeof condition.clearThreshold === 'number') {
+    const above = condition.operator === 'gt' || condition.operator === 'gte';
+    result.cleared = above ? value < condition.clearThreshold : value > condition.clearThreshold;
+  }
+
+  return result;
+};
+
+// A rule matches when every condition holds. With hysteresis (clearable) it keeps holding
+// after it stops matching until every condition with a clearThreshold has crossed back.
+const evaluateRule = async (rule, sensor, at, history) => {
+  const conditions = [];
+  for (const condition of rule.conditions) {
+    conditions.push(await evaluateCondition(condition, sensor, at, history));
+  }
+
+  const clearable = conditions.filter(condition => condition.cleared !== null);
+
+  return {
+    matched: conditions.every(condition => condition.met),
+    clearable: rule.conditions.some(condition => typeof condition.clearThreshold === 'number'),
+    cleared: clearable.length > 0 && clearable.every(condition => condition.cleared),
+    conditions
+  };
+};
+
+// Replace {{name}} or {{name:decimals}} placeholders; unknown names are left as they are
+const renderTemplate = (template, vars) => {
+  return template.replace(/\{\{\s*([\w.-]+)(?::(\d+))?\s*\}\}/g, (match, name, decimals) => {
+    const value = vars[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' && decimals !== undefined ? value.toFixed(Number(decimals)) : String(value);
+  });
+};
+
+const templateVars = (rule, sensor, result) => {
+  const [primary] = result.conditions;
+  const vars = {
+    rule: rule.name,
+    sensorId: sensor.sensorId,
+    sensorType: sensor.type,
+    location: sensor.location.name,
+    unit: sensor.unit,
+    value: primary?.value,
+    threshold: primary?.threshold
+  };
+
+  // Each condition's value is also available by sensor type and sensor id, e.g. {{rainfall:1}}
+  for (const condition of result.conditions) {
+    const name = condition.metric === 'rate' ? 'rate' : 'value';
+    if (condition.metric === 'rate' && vars.rate === undefined) vars.rate = condition.value;
+    if (condition.sensorType && vars[condition.sensorType] === undefined) vars[condition.sensorType] = condition.value;
+    if (condition.sensorId) vars[`${condition.sensorId}.${name}`] = condition.value;
+  }
+
+  return vars;
+};
+
+// -------------------- Live Rules --------------------
+// Seed the built-in rules that are missing (e.g. for a newly supported sensor type).
+// Built-in rules can be disabled but not deleted.
+const ensureDefaultRules = async () => {
+  if (defaultsChecked) return;
+
+  const existing = new Set((await AlertRule.find({ builtIn: true }).select('name').lean()).map(rule => rule.name));
+  const missing = DEFAULT_ALERT_RULES.filter(rule => !existing.has(rule.name));
+  if (missing.length > 0) {
+    await AlertRule.insertMany(missing);
+    console.log(`📏 Created ${missing.length} default alert rules`);
+  }
+  defaultsChecked = true;
+};
+
+// Alerts are per sensor and alert type, so a warning rule and a critical rule for the same
+// hazard update one alert in place instead of raising two. Scenario runs keep their own.
+const sourceKeyFor = (sensor, alertType) => exerciseSourceKey(`sensor:${sensor.sensorId}:${alertType}`);
+
+// Raise, update or clear the alert for one sensor and alert type from its rules' results
+const applyRuleGroup = async (sensor, alertType, entries, alerts) => {
+  const sourceKey = sourceKeyFor(sensor, alertType);
+  const open = await alerts.findOpen(sourceKey);
+  const openRank = open ? severityRank(open.severity) : -1;
+
+  // Rules with hysteresis keep holding at or below the open alert's severity until they clear
+  const holding = entries
+    .filter(({ rule, result }) => result.matched ||
+      (open && result.clearable && !result.cleared && severityRank(rule.severity) <= openRank))
+    .sort((a, b) => severityRank(b.rule.severity) - severityRank(a.rule.severity));
+  const top = holding[0];
+  const vars = top ? templateVars(top.rule, sensor, top.result) : null;
+
+  if (open) {
+    await alerts.update(open, {
+      severity: top ? top.rule.severity : null,
+      message: top ? renderTemplate(top.rule.messageTemplate, vars) : null,
+      value: vars?.value ?? sensor.currentReading?.value
+    });
+    return null;
+  }
+
+  if (!top || !top.result.matched) return null;
+
+  const lastCleared = await alerts.findLastCleared(sourceKey);
+  if (lastCleared?.resolvedAt &&
+    alerts.now() - lastCleared.resolvedAt < (top.rule.cooldownMinutes ?? 5) * MINUTE) {
+    return null;
+  }
+
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: alertType,
+    message: renderTemplate(top.rule.messageTemplate, vars),
+    severity: top.rule.severity,
+    location: sensor.location.name,
+    coordinates: sensor.location.coordinates,
+    estimatedImpact: top.rule.estimatedImpact,
+    sourceKey,
+    rule: top.rule._id,
+    sensorData: {
+      value: vars.value,
+      unit: sensor.unit,
+      sensorId: sensor.sensorId
+    }
+  });
+
+  await alerts.raise(alert);
+
+  return alert;
+};
+
+// Evaluate every enabled rule for a sensor at time `at` (usually its latest reading).
+// Replays pass their own rules, history and alert store; live ingestion uses the defaults.
+const evaluateSensorRules = async (sensor, at = new Date(), {
+  rules,
+  history = createLiveHistory(),
+  alerts = createLiveAlerts()
+} = {}) => {
+  if (!rules) {
+    await ensureDefaultRules();
+    rules = await AlertRule.findForSensor(sensor);
+  }
+  const groups = new Map();
+
+  for (const rule of rules) {
+    try {
+      const result = await evaluateRule(rule, sensor, at, history);
+      if (!groups.has(rule.alertType)) groups.set(rule.alertType, []);
+      groups.get(rule.alertType).push({ rule, result });
+    } catch (error) {
+      console.error(`Error evaluating alert rule "${rule.name}":`, error);
+    }
+  }
+
+  // An open alert whose rules are all gone has nothing holding it and clears after the hold-off
+  const open = await alerts.findOpenForSensor(sensor);
+  for (const alert of open) {
+    if (!groups.has(alert.type) && alert.sourceKey === sourceKeyFor(sensor, alert.type)) {
+      groups.set(alert.type, []);
+    }
+  }
+
+  const raised = [];
+  for (const [alertType, entries] of groups) {
+    try {
+      const alert = await applyRuleGroup(sensor, alertType, entries, alerts);
+      if (alert) raised.push(alert);
+    } catch (error) {
+      console.error(`Error applying ${alertType} alert rules for ${sensor.sensorId}:`, error);
+    }
+  }
+
+  return raised;
+};
+
+// -------------------- Dry Run --------------------
+// Replay a rule (saved or not) over stored readings, at every reading of each sensor in
+// scope, and report when it would have raised and cleared alerts. Nothing is written.
+const dryRunRule = async (rule, { from, to = new Date(), sensorIds } = {}) => {
+  from = new Date(from);
+  to = new Date(to);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new RangeError('from must be a date before to');
+  }
+  if (to - from > MAX_DRY_RUN_DAYS * 24 * HOUR) {
+    throw new RangeError(`Dry runs are limited to ${MAX_DRY_RUN_DAYS} days`);
+  }
+
+  const sensors = await Sensor.find({});
+  const scopeTypes = rule.scope?.sensorTypes || [];
+  const scopeIds = rule.scope?.sensorIds || [];
+  const targets = sensors.filter(sensor =>
+    (scopeTypes.length === 0 || scopeTypes.includes(sensor.type)) &&
+    (scopeIds.length === 0 || scopeIds.includes(sensor.sensorId)) &&
+    (!sensorIds || sensorIds.includes(sensor.sensorId))
+  );
+
+  // Load enough history before `from` for sustained and rate conditions
+  const lookback = Math.max(...rule.conditions.map(condition => Math.max(
+    ((condition.forMinutes || 0) + (condition.maxAgeMinutes ?? 15)) * MINUTE,
+    (condition.rateWindowMinutes || 60) * MINUTE
+  )));
+
+  const involved = new Set(targets.map(sensor => sensor.sensorId));
+  const lookupHistory = createMemoryHistory(new Map(), sensors);
+  for (const sensor of targets) {
+    for (const condition of rule.conditions) {
+      const target = await resolveTarget(condition, sensor, lookupHistory);
+      if (target) involved.add(target.sensorId);
+    }
+  }
+
+  const readingsBySensor = new Map();
+  const cursor = SensorReading.find({
+    sensorId: { $in: [...involved] },
+    timestamp: { $gte: new Date(from - lookback), $lte: to },
+    'exercise.runId': { $exists: false }
+  }).sort({ timestamp: 1 }).select('sensorId timestamp value').lean().cursor();
+
+  let loaded = 0;
+  for await (const reading of cursor) {
+    if (++loaded > MAX_DRY_RUN_READINGS) {
+      throw new RangeError(`Window holds more than ${MAX_DRY_RUN_READINGS} readings; narrow it or pick sensors`);
+    }
+    if (!readingsBySensor.has(reading.sensorId)) readingsBySensor.set(reading.sensorId, []);
+    readingsBySensor.get(reading.sensorId).push(reading);
+  }
+
+  const history = createMemoryHistory(readingsBySensor, sensors);
+  const cooldown = (rule.cooldownMinutes ?? 5) * MINUTE;
+  const holdOff = HOLD_OFF_MINUTES * MINUTE;
+  const events = [];
+  let evaluations = 0;
+
+  for (const sensor of targets) {
+    const times = (readingsBySensor.get(sensor.sensorId) || [])
+      .map(reading => reading.timestamp)
+      .filter(timestamp => timestamp >= from);
+    let active = false;
+    let clearingSince = null;
+    let lastClearedAt = null;
+
+    for (const at of times) {
+      const result = await evaluateRule(rule, sensor, at, history);
+      evaluations++;
+
+      if (active) {
+        // Same lifecycle as live alerts: normal readings must last the hold-off to clear
+        const holding = result.matched || (result.clearable && !result.cleared);
+        if (holding) {
+          clearingSince = null;
+        } else if (!clearingSince) {
+          clearingSince = at;
+        } else if (at - clearingSince >= holdOff) {
+          active = false;
+          clearingSince = null;
+          lastClearedAt = at;
+          events.push({ event: 'cleared', at, sensorId: sensor.sensorId, conditions: result.conditions });
+        }
+      } else if (result.matched && (!lastClearedAt || at - lastClearedAt >= cooldown)) {
+        active = true;
+        events.push({
+          event: 'raised',
+          at,
+          sensorId: sensor.sensorId,
+          type: rule.alertType,
+          severity: rule.severity,
+          message: renderTemplate(rule.messageTemplate, templateVars(rule, sensor, result)),
+          conditions: result.conditions
+        });
+      }
+    }
+  }
+
+  return {
+    rule: rule.name,
+    from,
+    to,
+    sensors: targets.map(sensor => sensor.sensorId),
+    evaluations,
+    holdOffMinutes: HOLD_OFF_MINUTES,
+    summary: {
+      raised: events.filter(event => event.event === 'raised').length,
+      cleared: events.filter(event => event.event === 'cleared').length
+    },
+    events
+  };
+};
+
+module.exports = {
+  createLiveHistory,
+  createMemoryHistory,
+  createLiveAlerts,
+  evaluateRule,
+  evaluateSensorRules,
+  ensureDefaultRules,
+  renderTemplate,
+  dryRunRule
+};
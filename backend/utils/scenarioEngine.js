@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const Sensor = require('../models/Sensor');
+const Alert = require('../models/Alert');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { ingestReading } = require('./readingPipeline');
+const { setActiveExercise, runAsExercise } = require('./exercise');
+const { validateScenario } = require('./validation');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+const MAX_SPEED = 3600;
+
+let run = null;
+let isTicking = false;
+
+// -------------------- Scenarios --------------------
+// Scenario files in backend/scenarios; invalid files are logged and skipped
+const loadScenarios = () => {
+  if (!fs.existsSync(SCENARIOS_DIR)) return [];
+
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        const { error, value } = validateScenario(JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8')));
+        if (error) throw new Error(error.message);
+        return value;
+      } catch (error) {
+        console.error(`Invalid scenario ${file}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+const summarize = (scenario) => ({
+  id: scenario.id,
+  name: scenario.name,
+  description: scenario.description,
+  durationMinutes: scenario.durationMinutes,
+  defaultSpeed: scenario.defaultSpeed,
+  tracks: scenario.tracks.map(track => track.sensorId || `${track.sensorType} sensors`)
+});
+
+// -------------------- Curves --------------------
+// Seeded random numbers, so a scenario plays out the same way every run
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Cosine easing between two anchors
+const ease = (from, to, fraction, smooth = true) => {
+  const f = smooth ? (1 - Math.cos(Math.PI * fraction)) / 2 : fraction;
+  return from + (to - from) * f;
+};
+
+// Value between [minute, value] anchors (sorted), held flat outside them
+const between = (anchors, minute, smooth) => {
+  if (minute <= anchors[0][0]) return anchors[0][1];
+  const next = anchors.findIndex(([at]) => at >= minute);
+  if (next === -1) return anchors[anchors.length - 1][1];
+
+  const [fromAt, from] = anchors[next - 1];
+  const [toAt, to] = anchors[next];
+  return ease(from, to, toAt === fromAt ? 1 : (minute - fromAt) / (toAt - fromAt), smooth);
+};
+
+// Daily cycle: each day's minimum at minHour and maximum at peakHour, eased in between
+const diurnalAnchors = (curve, startHour) => {
+  const { minHour = 5, peakHour = 15 } = curve;
+  const anchors = [];
+  curve.days.forEach((day, index) => {
+    anchors.push([(index * 24 + minHour - startHour) * 60, day.min]);
+    anchors.push([(index * 24 + peakHour - startHour) * 60, day.max]);
+  });
+  return anchors.sort((a, b) => a[0] - b[0]);
+};
+
+// Mainshock and aftershocks: Omori-law timing, Gutenberg-Richter magnitudes (b = 1) capped
+// at the largest aftershock expected (Båth's law: mainshock - 1.2)
+const seismicEvents = (curve, random) => {
+  const { mainshock, aftershocks } = curve;
+  const events = [{ at: mainshock.at, magnitude: mainshock.magnitude }];
+  if (!aftershocks) return events;
+
+  const c = 1;
+  const within = aftershocks.withinMinutes;
+  const largest = aftershocks.maxMagnitude ?? mainshock.magnitude - 1.2;
+  for (let i = 0; i < aftershocks.count; i++) {
+    const delay = c * (Math.pow(1 + within / c, random()) - 1);
+    const magnitude = Math.min(largest, aftershocks.minMagnitude - Math.log10(1 - random()));
+    events.push({ at: mainshock.at + delay, magnitude: Math.round(magnitude * 10) / 10 });
+  }
+  return events.sort((a, b) => a.at - b.at);
+};
+
+// Compile a track's curve into value(minute, previousMinute)
+const compileCurve = (curve, scenario, random) => {
+  switch (curve.type) {
+    case 'keyframes': {
+      const anchors = [...curve.points].sort((a, b) => a[0] - b[0]);
+      return (minute) => between(anchors, minute, curve.easing !== 'linear');
+    }
+    case 'diurnal': {
+      const anchors = diurnalAnchors(curve, scenario.startHour);
+      return (minute) => between(anchors, minute, true);
+    }
+    case 'seismic': {
+      const events = seismicEvents(curve, random);
+      const [low, high] = curve.background || [0, 0.5];
+      const shakingMinutes = curve.shakingMinutes || 2;
+      // Shaking from any event since the previous reading is reported, so fast runs miss nothing
+      return (minute, previous) => {
+        const shaking = events.filter(event =>
+          event.at <= minute && event.at + shakingMinutes > previous);
+        if (shaking.length > 0) return Math.max(...shaking.map(event => event.magnitude));
+        return low + random() * (high - low);
+      };
+    }
+    default:
+      throw new RangeError(`Unknown curve type: ${curve.type}`);
+  }
+};
+
+// -------------------- Runs --------------------
+const resolveTracks = async (scenario) => {
+  const tracks = [];
+  const missing = [];
+  const random = seededRandom(scenario.seed);
+
+  for (const track of scenario.tracks) {
+    const sensors = track.sensorId
+      ? await Sensor.find({ sensorId: track.sensorId, 'derived.kind': { $exists: false } })
+      : await Sensor.find({ type: track.sensorType, status: 'active', 'derived.kind': { $exists: false } });
+
+    if (sensors.length === 0) {
+      missing.push(track.sensorId || track.sensorType);
+      continue;
+    }
+    for (const sensor of sensors) {
+      tracks.push({
+        sensorId: sensor.sensorId,
+        value: compileCurve(track.curve, scenario, random),
+        noise: track.noise,
+        min: track.min,
+        max: track.max
+      });
+    }
+  }
+
+  return { tracks, missing };
+};
+
+const exerciseTag = () => (run ? { runId: run.runId, scenarioId: run.scenario.id, name: run.scenario.name } : null);
+
+const startScenario = async (scenarioId, { speed, startedBy } = {}) => {
+  if (run) throw new RangeError(`Scenario "${run.scenario.name}" is already running; stop it first`);
+
+  const scenario = loadScenarios().find(candidate => candidate.id === scenarioId);
+  if (!scenario) throw new RangeError(`Scenario not found: ${scenarioId}`);
+
+  const { tracks, missing } = await resolveTracks(scenario);
+  if (tracks.length === 0) throw new RangeError(`No sensors to drive for scenario ${scenarioId}`);
+
+  const now = Date.now();
+  run = {
+    runId: `exercise-${scenario.id}-${now}`,
+    scenario,
+    speed: Math.min(speed || scenario.defaultSpeed, MAX_SPEED),
+    state: 'running',
+    minute: 0,
+    startedAt: new Date(now),
+    startedBy,
+    lastTickAt: now,
+    tracks,
+    missing,
+    random: seededRandom(scenario.seed + 1),
+    readings: 0
+  };
+  setActiveExercise(exerciseTag());
+  console.log(`🎬 Scenario started: ${scenario.name} (${run.speed}x, ${tracks.length} sensor(s))`);
+
+  return getStatus();
+};
+
+const pauseScenario = () => {
+  if (!run) throw new RangeError('No scenario is running');
+  if (run.state === 'running') {
+    run.state = 'paused';
+    console.log(`⏸️ Scenario paused: ${run.scenario.name} at minute ${Math.round(run.minute)}`);
+  }
+  return getStatus();
+};
+
+const resumeScenario = () => {
+  if (!run) throw new RangeError('No scenario is running');
+  if (run.state === 'paused') {
+    run.state = 'running';
+    run.lastTickAt = Date.now();
+    console.log(`▶️ Scenario resumed: ${run.scenario.name}`);
+  }
+  return getStatus();
+};
+
+// End the run and close the alerts it raised
+const stopScenario = async (reason = 'Exercise stopped') => {
+  if (!run) throw new RangeError('No scenario is running');
+
+  const finished = { ...getStatus(), state: 'stopped', reason };
+  const { runId, scenario } = run;
+  run = null;
+  setActiveExercise(null);
+
+  const alerts = await Alert.find({ 'exercise.runId': runId, resolved: false });
+  for (const alert of alerts) {
+    alert.resolved = true;
+    alert.resolvedAt = new Date();
+    alert.resolution = reason;
+    await alert.save();
+    await notifyAlert(alert, { reason: 'cleared' });
+  }
+
+  console.log(`⏹️ Scenario ended: ${scenario.name} - ${reason} (${alerts.length} exercise alert(s) closed)`);
+  return { ...finished, alertsClosed: alerts.length };
+};
+
+// Advance the running scenario by the (accelerated) time since the last tick and feed the next
+// value of each track to its sensor. Called from the sensor simulation schedule.
+const advanceScenario = async () => {
+  if (!run || run.state !== 'running' || isTicking) return;
+  isTicking = true;
+  const current = run;
+
+  try {
+    const now = Date.now();
+    const previous = current.minute;
+    current.minute = Math.min(current.scenario.durationMinutes, previous + (now - current.lastTickAt) / 60000 * current.speed);
+    current.lastTickAt = now;
+
+    const sensors = await Sensor.find({ sensorId: { $in: current.tracks.map(track => track.sensorId) } });
+    const tag = exerciseTag();
+
+    for (const track of current.tracks) {
+      const sensor = sensors.find(candidate => candidate.sensorId === track.sensorId);
+      if (!sensor) continue;
+
+      let value = track.value(current.minute, previous);
+      if (track.noise) value += (current.random() * 2 - 1) * track.noise;
+      if (track.min !== undefined) value = Math.max(track.min, value);
+      if (track.max !== undefined) value = Math.min(track.max, value);
+
+      await runAsExercise(tag, () => ingestReading(sensor, { value: Math.round(value * 1000) / 1000 }));
+      current.readings++;
+    }
+
+    if (current.minute >= current.scenario.durationMinutes && run === current) {
+      await stopScenario('Exercise completed');
+    }
+  } catch (error) {
+    console.error('Error advancing scenario:', error);
+  } finally {
+    isTicking = false;
+  }
+};
+
+// Sensors the running scenario drives (the random simulator leaves them alone)
+const drivenSensorIds = () => new Set(run ? run.tracks.map(track => track.sensorId) : []);
+
+const getStatus = () => {
+  if (!run) return { state: 'idle' };
+
+  return {
+    state: run.state,
+    runId: run.runId,
+    scenario: summarize(run.scenario),
+    speed: run.speed,
+    startedAt: run.startedAt,
+    startedBy: run.startedBy,
+    minute: Math.round(run.minute * 10) / 10,
+    progress: Math.round(run.minute / run.scenario.durationMinutes * 1000) / 1000,
+    sensors: run.tracks.map(track => track.sensorId),
+    missing: run.missing,
+    readings: run.readings
+  };
+};
+
+module.exports = {
+  MAX_SPEED,
+  loadScenarios,
+  summarize,
+  startScenario,
+  pauseScenario,
+  resumeScenario,
+  stopScenario,
+  advanceScenario,
+  drivenSensorIds,
+  getStatus
+};
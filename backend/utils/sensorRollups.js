@@ -0,0 +1,239 @@
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const LEVELS = {
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY
+};
+
+const PERCENTILES = [50, 90, 95, 99];
+const AGGREGATIONS = ['min', 'max', 'mean', 'sum', 'count', 'last', ...PERCENTILES.map(p => `p${p}`)];
+const MAX_BUCKETS = 5000;
+
+let isRunning = false;
+
+// Helper function to compute a percentile with linear interpolation
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const floorTo = (time, size) => Math.floor(time / size) * size;
+
+// Recompute rollups of one level from raw readings in [from, to)
+const computeRollups = async (level, from, to, sensorIds) => {
+  const match = { timestamp: { $gte: from, $lt: to }, 'exercise.runId': { $exists: false } };
+  if (sensorIds?.length > 0) match.sensorId = { $in: sensorIds };
+
+  const groups = await SensorReading.aggregate([
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          sensorId: '$sensorId',
+          bucketStart: { $dateTrunc: { date: '$timestamp', unit: level } }
+        },
+        count: { $sum: 1 },
+        min: { $min: '$value' },
+        max: { $max: '$value' },
+        sum: { $sum: '$value' },
+        last: { $last: '$value' },
+        lastAt: { $last: '$timestamp' },
+        values: { $push: '$value' }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  if (groups.length === 0) return 0;
+
+  const operations = groups.map(({ _id, values, ...stats }) => {
+    const sorted = values.sort((a, b) => a - b);
+    const rollup = {
+      ...stats,
+      mean: stats.sum / stats.count
+    };
+    PERCENTILES.forEach(p => {
+      rollup[`p${p}`] = percentile(sorted, p);
+    });
+
+    return {
+      updateOne: {
+        filter: { sensorId: _id.sensorId, bucket: level, bucketStart: _id.bucketStart },
+        update: { $set: rollup },
+        upsert: true
+      }
+    };
+  });
+
+  await SensorRollup.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+// Recompute every level touched by readings in [from, to], e.g. after late data arrives
+const recomputeRollups = async (sensorIds, from, to) => {
+  for (const [level, size] of Object.entries(LEVELS)) {
+    await computeRollups(
+      level,
+      new Date(floorTo(new Date(from).getTime(), size)),
+      new Date(floorTo(new Date(to).getTime(), size) + size),
+      sensorIds
+    );
+  }
+};
+
+// Scheduled job: keep the recent (and still open) buckets of each level up to date. Older
+// readings are rolled up by `npm run backfill:rollups` (scripts/backfillRollups.js).
+const updateRecentRollups = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const now = Date.now();
+    const minute = new Date(now).getUTCMinutes();
+
+    await computeRollups('minute', new Date(floorTo(now, MINUTE) - 5 * MINUTE), new Date(floorTo(now, MINUTE) + MINUTE));
+
+    if (minute % 5 === 0) {
+      await computeRollups('hour', new Date(floorTo(now, HOUR) - HOUR), new Date(floorTo(now, HOUR) + HOUR));
+    }
+    if (minute === 0) {
+      await computeRollups('day', new Date(floorTo(now, DAY) - DAY), new Date(floorTo(now, DAY) + DAY));
+    }
+  } catch (error) {
+    console.error('Error updating sensor rollups:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Parse bucket sizes like "15m", "1h" or "1d" into milliseconds
+const parseBucketSize = (bucket) => {
+  const match = /^(\d+)(m|h|d)$/.exec(bucket || '');
+  if (!match) return null;
+  const size = parseInt(match[1]) * { m: MINUTE, h: HOUR, d: DAY }[match[2]];
+  return size > 0 ? size : null;
+};
+
+// Pick the coarsest stored level the requested bucket can be built from
+const getSourceLevel = (size) => {
+  if (size % DAY === 0) return 'day';
+  if (size % HOUR === 0) return 'hour';
+  return 'minute';
+};
+
+// Helper function to merge several stored rollups into one value
+const mergeRollups = (rollups, fn) => {
+  switch (fn) {
+    case 'min':
+      return Math.min(...rollups.map(r => r.min));
+    case 'max':
+      return Math.max(...rollups.map(r => r.max));
+    case 'sum':
+      return rollups.reduce((sum, r) => sum + r.sum, 0);
+    case 'count':
+      return rollups.reduce((sum, r) => sum + r.count, 0);
+    case 'mean': {
+      const count = rollups.reduce((sum, r) => sum + r.count, 0);
+      return rollups.reduce((sum, r) => sum + r.sum, 0) / count;
+    }
+    case 'last':
+      return rollups.reduce((latest, r) => (r.lastAt > latest.lastAt ? r : latest)).last;
+    default:
+      // Percentiles cannot be merged, so they are only served at their stored level
+      return rollups[0][fn];
+  }
+};
+
+// Aggregate one or more sensors over [from, to) into fixed buckets.
+// Every bucket in the range is returned; buckets without data are flagged as missing.
+const aggregateSeries = async ({ sensorIds, from, to, bucket, fn = 'mean' }) => {
+  const size = parseBucketSize(bucket);
+  if (!size) {
+    throw new RangeError('bucket must look like 1m, 15m, 1h or 1d');
+  }
+  if (!AGGREGATIONS.includes(fn)) {
+    throw new RangeError(`fn must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+
+  const level = getSourceLevel(size);
+  const levelSize = LEVELS[level];
+  if (fn.startsWith('p') && size !== levelSize) {
+    throw new RangeError('Percentiles are only available for 1m, 1h or 1d buckets');
+  }
+
+  const start = floorTo(new Date(from).getTime(), size);
+  const end = new Date(to).getTime();
+  const bucketCount = Math.ceil((end - start) / size);
+  if (bucketCount <= 0) {
+    throw new RangeError('from must be before to');
+  }
+  if (bucketCount > MAX_BUCKETS) {
+    throw new RangeError(`Range would produce ${bucketCount} buckets, the maximum is ${MAX_BUCKETS}`);
+  }
+
+  const rollups = await SensorRollup.find({
+    sensorId: { $in: sensorIds },
+    bucket: level,
+    bucketStart: { $gte: new Date(start), $lt: new Date(end) }
+  }).sort({ bucketStart: 1 }).lean();
+
+  const expectedParts = size / levelSize;
+
+  return sensorIds.map(sensorId => {
+    const grouped = new Map();
+    rollups
+      .filter(rollup => rollup.sensorId === sensorId)
+      .forEach(rollup => {
+        const key = floorTo(rollup.bucketStart.getTime(), size);
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(rollup);
+      });
+
+    const buckets = [];
+    let missing = 0;
+
+    for (let i = 0; i < bucketCount; i++) {
+      const bucketStart = start + i * size;
+      const parts = grouped.get(bucketStart) || [];
+
+      if (parts.length === 0) {
+        missing++;
+        buckets.push({ start: new Date(bucketStart), value: null, count: 0, missing: true });
+        continue;
+      }
+
+      buckets.push({
+        start: new Date(bucketStart),
+        value: mergeRollups(parts, fn),
+        count: parts.reduce((sum, r) => sum + r.count, 0),
+        missing: false,
+        // Some of the underlying minute/hour buckets had no data
+        partial: parts.length < expectedParts
+      });
+    }
+
+    return {
+      sensorId,
+      buckets,
+      missingBuckets: missing,
+      coverage: Number(((bucketCount - missing) / bucketCount).toFixed(3))
+    };
+  });
+};
+
+module.exports = {
+  AGGREGATIONS,
+  computeRollups,
+  recomputeRollups,
+  updateRecentRollups,
+  aggregateSeries
+};
@@ -1,12 +1,18 @@
 const Sensor = require('../models/Sensor');
-const Alert = require('../models/Alert');
+const { ingestReading } = require('./readingPipeline');
+const { drivenSensorIds } = require('./scenarioEngine');
 
 // Simulate real-time sensor data
 const simulateSensorData = async () => {
   try {
-    const sensors = await Sensor.find({ status: 'active' });
+    // Derived sensors are computed from the simulated inputs
+    const sensors = await Sensor.find({ status: 'active', 'derived.kind': { $exists: false } });
+    // Sensors in a running scenario follow its script instead
+    const driven = drivenSensorIds();
     
     for (const sensor of sensors) {
+      if (driven.has(sensor.sensorId)) continue;
+
       let newValue;
       
       // Generate realistic values based on sensor type
@@ -32,6 +38,27 @@ const simulateSensorData = async () => {
         case 'pressure':
           newValue = 1000 + Math.random() * 50; // 1000-1050 hPa
           break;
+        case 'pm2_5':
+          newValue = 30 + Math.random() * 120; // 30-150 µg/m³
+          break;
+        case 'pm10':
+          newValue = 60 + Math.random() * 190; // 60-250 µg/m³
+          break;
+        case 'no2':
+          newValue = 20 + Math.random() * 60; // 20-80 µg/m³
+          break;
+        case 'so2':
+          newValue = 5 + Math.random() * 25; // 5-30 µg/m³
+          break;
+        case 'co':
+          newValue = 0.5 + Math.random() * 2; // 0.5-2.5 mg/m³
+          break;
+        case 'o3':
+          newValue = 20 + Math.random() * 80; // 20-100 µg/m³
+          break;
+        case 'nh3':
+          newValue = 10 + Math.random() * 50; // 10-60 µg/m³
+          break;
         default:
           newValue = Math.random() * 100;
       }
@@ -39,89 +66,14 @@ const simulateSensorData = async () => {
       // Add some noise and variations
       newValue = Math.max(0, newValue + (Math.random() - 0.5) * 2);
       
-      // Update sensor reading
-      await sensor.addReading(newValue);
-      
-      // Check if reading exceeds thresholds and create alert
-      const alertStatus = sensor.getAlertStatus(newValue);
-      
-      if (alertStatus !== 'normal') {
-        // Check if there's already a recent alert for this sensor
-        const recentAlert = await Alert.findOne({
-          'sensorData.sensorId': sensor.sensorId,
-          type: getAlertType(sensor.type),
-          severity: alertStatus === 'critical' ? 'critical' : 'warning',
-          resolved: false,
-          createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Last 5 minutes
-        });
-        
-        if (!recentAlert) {
-          // Create new alert
-          const alert = new Alert({
-            id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            type: getAlertType(sensor.type),
-            message: generateAlertMessage(sensor.type, newValue, sensor.unit),
-            severity: alertStatus === 'critical' ? 'critical' : 'warning',
-            location: sensor.location.name,
-            coordinates: sensor.location.coordinates,
-            estimatedImpact: calculateImpact(sensor.type, alertStatus),
-            sensorData: {
-              value: newValue,
-              unit: sensor.unit,
-              sensorId: sensor.sensorId
-            }
-          });
-          
-          await alert.save();
-          console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
-        }
-      }
+      // Store the reading and raise an alert if it crosses the thresholds
+      await ingestReading(sensor, { value: newValue });
     }
   } catch (error) {
     console.error('Error simulating sensor data:', error);
   }
 };
 
-// Helper function to map sensor type to alert type
-const getAlertType = (sensorType) => {
-  const mapping = {
-    seismic: 'earthquake',
-    water_level: 'flood',
-    wind_speed: 'storm',
-    temperature: 'heatwave',
-    air_quality: 'pollution'
-  };
-  return mapping[sensorType] || 'other';
-};
-
-// Helper function to generate alert messages
-const generateAlertMessage = (sensorType, value, unit) => {
-  const messages = {
-    seismic: `Seismic activity detected: ${value.toFixed(1)} magnitude`,
-    water_level: `Rising water levels detected: ${value.toFixed(1)}${unit}`,
-    wind_speed: `High wind speeds detected: ${value.toFixed(1)} ${unit}`,
-    temperature: `Extreme temperature detected: ${value.toFixed(1)}${unit}`,
-    air_quality: `Poor air quality detected: AQI ${value.toFixed(0)}`,
-    humidity: `Unusual humidity levels: ${value.toFixed(1)}${unit}`,
-    pressure: `Atmospheric pressure anomaly: ${value.toFixed(1)} ${unit}`
-  };
-  
-  return messages[sensorType] || `Sensor anomaly detected: ${value.toFixed(1)} ${unit}`;
-};
-
-// Helper function to calculate estimated impact
-const calculateImpact = (sensorType, severity) => {
-  const baseImpact = {
-    seismic: { critical: 10000, warning: 5000 },
-    water_level: { critical: 8000, warning: 4000 },
-    wind_speed: { critical: 6000, warning: 3000 },
-    temperature: { critical: 12000, warning: 6000 },
-    air_quality: { critical: 15000, warning: 8000 }
-  };
-  
-  return baseImpact[sensorType]?.[severity] || 1000;
-};
-
 // Initialize sensors if they don't exist
 const initializeSensors = async () => {
   try {
@@ -159,7 +111,8 @@ const initializeSensors = async () => {
             coordinates: { lat: 28.6650, lng: 77.4500 }
           },
           unit: 'AQI',
-          thresholds: { warning: 150, critical: 200 },
+          // NAQI Poor and Very Poor
+          thresholds: { warning: 201, critical: 301 },
           status: 'active'
         },
         {
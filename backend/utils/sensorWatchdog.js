@@ -0,0 +1,184 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const { notifyAlert } = require('../services/notificationDispatcher');
+const { haversineKm } = require('./geo');
+const { publish } = require('./eventStream');
+
+// A sensor is offline after this many missed reporting intervals
+const OFFLINE_AFTER_INTERVALS = parseInt(process.env.SENSOR_OFFLINE_AFTER_INTERVALS) || 3;
+const LOW_BATTERY_PERCENT = parseInt(process.env.SENSOR_LOW_BATTERY_PERCENT) || 20;
+// This many consecutive readings within the tolerance count as a stuck value
+const FLATLINE_READINGS = parseInt(process.env.SENSOR_FLATLINE_READINGS) || 20;
+const FLATLINE_TOLERANCE = parseFloat(process.env.SENSOR_FLATLINE_TOLERANCE) || 0;
+// Another working sensor of the same type within this distance keeps an area covered
+const COVERAGE_RADIUS_KM = parseFloat(process.env.SENSOR_COVERAGE_RADIUS_KM) || 10;
+
+// Hazards whose loss of monitoring is more than a nuisance
+const CRITICAL_COVERAGE_TYPES = ['seismic', 'water_level'];
+
+let isRunning = false;
+
+// -------------------- Health Checks --------------------
+const isFlatlined = async (sensor) => {
+  const readings = await SensorReading.find({ sensorId: sensor.sensorId, 'exercise.runId': { $exists: false } })
+    .sort({ timestamp: -1 })
+    .limit(FLATLINE_READINGS)
+    .select('value rawValue')
+    .lean();
+
+  if (readings.length < FLATLINE_READINGS) return false;
+
+  const values = readings.map(reading => reading.rawValue ?? reading.value);
+  return Math.max(...values) - Math.min(...values) <= FLATLINE_TOLERANCE;
+};
+
+const checkSensor = async (sensor, now) => {
+  const lastSeen = sensor.monitoring?.lastSeenAt || sensor.currentReading?.timestamp || sensor.createdAt;
+  const interval = sensor.monitoring?.expectedInterval || 60;
+  const issues = [];
+
+  const offline = now - lastSeen.getTime() > interval * OFFLINE_AFTER_INTERVALS * 1000;
+  if (offline) {
+    issues.push('offline');
+  }
+  if (typeof sensor.metadata?.batteryLevel === 'number' && sensor.metadata.batteryLevel < LOW_BATTERY_PERCENT) {
+    issues.push('low_battery');
+  }
+  if (!offline && await isFlatlined(sensor)) {
+    issues.push('flatline');
+  }
+
+  const health = offline ? 'offline' : issues.length > 0 ? 'degraded' : 'healthy';
+  const update = {
+    'monitoring.health': health,
+    'monitoring.issues': issues,
+    'monitoring.checkedAt': new Date(now)
+  };
+
+  if (offline && sensor.status === 'active') {
+    update.status = 'error';
+    update['monitoring.offlineSince'] = lastSeen;
+    console.warn(`📴 Sensor offline: ${sensor.sensorId} (last seen ${lastSeen.toISOString()})`);
+  } else if (!offline && sensor.status === 'error' && sensor.monitoring?.offlineSince) {
+    update.status = 'active';
+    update['monitoring.offlineSince'] = null;
+  }
+
+  const changed = health !== sensor.monitoring?.health ||
+    issues.join(',') !== (sensor.monitoring?.issues || []).join(',');
+
+  // Skip the write if the sensor reported while we were checking
+  const result = await Sensor.updateOne(
+    { _id: sensor._id, 'monitoring.lastSeenAt': sensor.monitoring?.lastSeenAt ?? null },
+    { $set: update }
+  );
+  if (result.matchedCount === 0) return;
+  sensor.set(update);
+
+  if (changed) {
+    publish('sensor.health', {
+      sensorId: sensor.sensorId,
+      type: sensor.type,
+      location: sensor.location.name,
+      status: sensor.status,
+      health,
+      issues,
+      lastSeenAt: lastSeen
+    });
+  }
+};
+
+// -------------------- Coverage Alerts --------------------
+const coverageKey = (sensor) => `coverage:${sensor.type}:${sensor.sensorId}`;
+
+const hasCoverage = (sensor, sensors) => {
+  return sensors.some(other =>
+    other.sensorId !== sensor.sensorId &&
+    other.type === sensor.type &&
+    other.monitoring?.health !== 'offline' &&
+    other.status === 'active' &&
+    haversineKm(sensor.location.coordinates, other.location.coordinates) <= COVERAGE_RADIUS_KM
+  );
+};
+
+const raiseCoverageAlert = async (sensor) => {
+  const existing = await Alert.findOne({ sourceKey: coverageKey(sensor), resolved: false });
+  if (existing) return;
+
+  const typeLabel = sensor.type.replace('_', ' ');
+  const since = sensor.monitoring.offlineSince || sensor.monitoring.lastSeenAt;
+  const alert = new Alert({
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'infrastructure',
+    message: `Monitoring coverage lost: no working ${typeLabel} sensor within ${COVERAGE_RADIUS_KM} km of ${sensor.location.name} (${sensor.sensorId} offline${since ? ` since ${since.toISOString()}` : ''})`,
+    severity: CRITICAL_COVERAGE_TYPES.includes(sensor.type) ? 'warning' : 'moderate',
+    location: sensor.location.name,
+    coordinates: sensor.location.coordinates,
+    sourceKey: coverageKey(sensor),
+    sensorData: {
+      unit: sensor.unit,
+      sensorId: sensor.sensorId
+    }
+  });
+
+  await alert.save();
+  // Infrastructure alerts are for staff; citizens are not fanned out to
+  await notifyAlert(alert);
+  console.log(`🚨 Alert created: ${alert.type} - ${alert.severity} - ${alert.message}`);
+};
+
+const resolveCoverageAlerts = async (sensors) => {
+  const alerts = await Alert.find({ sourceKey: /^coverage:/, resolved: false });
+
+  for (const alert of alerts) {
+    const sensorId = alert.sourceKey.split(':')[2];
+    const sensor = sensors.find(s => s.sensorId === sensorId);
+
+    if (!sensor || sensor.monitoring?.health !== 'offline' || hasCoverage(sensor, sensors)) {
+      alert.resolved = true;
+      alert.resolvedAt = new Date();
+      if (!sensor) {
+        alert.resolution = 'Sensor no longer monitored';
+      } else if (sensor.monitoring?.health !== 'offline') {
+        alert.resolution = 'Sensor reporting again';
+      } else {
+        alert.resolution = 'Area covered by another sensor';
+      }
+      await alert.save();
+    }
+  }
+};
+
+// -------------------- Watchdog --------------------
+// Scheduled job: update sensor health and raise or clear coverage alerts.
+// Sensors in maintenance or marked inactive are left alone.
+const checkSensorHealth = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const now = Date.now();
+    const sensors = await Sensor.find({ status: { $in: ['active', 'error'] } });
+
+    for (const sensor of sensors) {
+      await checkSensor(sensor, now);
+    }
+
+    for (const sensor of sensors) {
+      if (sensor.monitoring.health === 'offline' && !hasCoverage(sensor, sensors)) {
+        await raiseCoverageAlert(sensor);
+      }
+    }
+
+    await resolveCoverageAlerts(sensors);
+  } catch (error) {
+    console.error('Error checking sensor health:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+module.exports = {
+  checkSensorHealth
+};
@@ -1,9 +1,15 @@
 const Joi = require('joi');
 
+const SENSOR_TYPES = [
+  'seismic', 'weather', 'air_quality', 'water_level', 'temperature', 'humidity', 'pressure', 'wind_speed', 'rainfall',
+  'pm2_5', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3',
+  'heat_index', 'wind_chill', 'flood_index'
+];
+
 // Alert validation schema
 const alertSchema = Joi.object({
   type: Joi.string()
-    .valid('earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'other')
+    .valid('earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other')
     .required(),
   message: Joi.string()
     .min(10)
@@ -33,7 +39,9 @@ const alertSchema = Joi.object({
     value: Joi.number().required(),
     unit: Joi.string().required(),
     sensorId: Joi.string().required()
-  }).optional()
+  }).optional(),
+  // Part of the scenario run in progress rather than a real event
+  exercise: Joi.boolean().optional()
 });
 
 // Sensor validation schema
@@ -44,7 +52,7 @@ const sensorSchema = Joi.object({
     .max(30)
     .required(),
   type: Joi.string()
-    .valid('seismic', 'weather', 'air_quality', 'water_level', 'temperature', 'humidity', 'pressure', 'wind_speed')
+    .valid(...SENSOR_TYPES)
     .required(),
   location: Joi.object({
     name: Joi.string().min(3).max(100).required(),
@@ -60,7 +68,42 @@ const sensorSchema = Joi.object({
   thresholds: Joi.object({
     warning: Joi.number().required(),
     critical: Joi.number().required()
-  }).required()
+  }).required(),
+  monitoring: Joi.object({
+    expectedInterval: Joi.number().integer().min(1).max(86400).optional()
+  }).optional()
+});
+
+// Derived sensor validation schema (create; every field but sensorId and kind can be updated)
+const derivedSensorFields = {
+  location: Joi.object({
+    name: Joi.string().min(3).max(100).required(),
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).required()
+  }),
+  // Roles not listed are filled with the nearest suitable sensor
+  inputs: Joi.array().items(Joi.object({
+    role: Joi.string().required(),
+    sensorId: Joi.string().required()
+  })).unique('role'),
+  params: Joi.object().pattern(Joi.string(), Joi.number()),
+  maxInputAgeMinutes: Joi.number().min(1).max(24 * 60),
+  thresholds: Joi.object({
+    warning: Joi.number().required(),
+    critical: Joi.number().required()
+  }),
+  monitoring: Joi.object({
+    expectedInterval: Joi.number().integer().min(1).max(86400).optional()
+  })
+};
+
+const derivedSensorSchema = Joi.object({
+  sensorId: Joi.string().pattern(/^[\w-]+$/).min(3).max(40).required(),
+  kind: Joi.string().valid('heat_index', 'wind_chill', 'naqi', 'flood_index').required(),
+  ...derivedSensorFields,
+  location: derivedSensorFields.location.required()
 });
 
 // Team validation schema
@@ -91,6 +134,125 @@ const teamSchema = Joi.object({
   ).optional()
 });
 
+// Escalation policy validation schema
+const escalationPolicySchema = Joi.object({
+  name: Joi.string().min(3).max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  alertTypes: Joi.array().items(
+    Joi.string().valid('earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other')
+  ).optional(),
+  severities: Joi.array().items(
+    Joi.string().valid('critical', 'warning', 'moderate', 'info')
+  ).optional(),
+  priority: Joi.number().integer().optional(),
+  enabled: Joi.boolean().optional(),
+  steps: Joi.array().items(
+    Joi.object({
+      afterMinutes: Joi.number().min(1).required(),
+      actions: Joi.array().items(
+        Joi.string().valid('notify', 'raise_severity', 'assign_team')
+      ).min(1).required(),
+      recipients: Joi.object({
+        roles: Joi.array().items(Joi.string().valid('citizen', 'admin', 'responder')).optional(),
+        users: Joi.array().items(Joi.string().hex().length(24)).optional(),
+        emails: Joi.array().items(Joi.string().email()).optional(),
+        phones: Joi.array().items(Joi.string()).optional()
+      }).optional(),
+      teamTypes: Joi.array().items(
+        Joi.string().valid('fire', 'medical', 'rescue', 'police', 'hazmat', 'coordination')
+      ).optional()
+    })
+  ).min(1).required()
+});
+
+// Alert rule validation schema
+const ruleConditionSchema = Joi.object({
+  source: Joi.string().valid('self', 'sensor', 'nearest').default('self'),
+  sensorId: Joi.string().when('source', { is: 'sensor', then: Joi.required() }),
+  sensorType: Joi.string()
+    .valid(...SENSOR_TYPES)
+    .when('source', { is: 'nearest', then: Joi.required() }),
+  radiusKm: Joi.number().positive().max(500).optional(),
+  metric: Joi.string().valid('value', 'rate').default('value'),
+  operator: Joi.string().valid('gt', 'gte', 'lt', 'lte').required(),
+  threshold: Joi.number(),
+  thresholdRef: Joi.string().valid('warning', 'critical'),
+  clearThreshold: Joi.number().optional(),
+  forMinutes: Joi.number().min(0).max(7 * 24 * 60).optional(),
+  rateWindowMinutes: Joi.number().min(1).max(7 * 24 * 60).optional(),
+  maxAgeMinutes: Joi.number().min(1).max(24 * 60).optional()
+}).xor('threshold', 'thresholdRef');
+
+const alertRuleSchema = Joi.object({
+  name: Joi.string().min(3).max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  enabled: Joi.boolean().optional(),
+  scope: Joi.object({
+    sensorTypes: Joi.array().items(
+      Joi.string().valid(...SENSOR_TYPES)
+    ).optional(),
+    sensorIds: Joi.array().items(Joi.string()).optional()
+  }).optional(),
+  conditions: Joi.array().items(ruleConditionSchema).min(1).required(),
+  alertType: Joi.string()
+    .valid('earthquake', 'flood', 'storm', 'fire', 'pollution', 'heatwave', 'infrastructure', 'other')
+    .required(),
+  severity: Joi.string().valid('critical', 'warning', 'moderate', 'info').required(),
+  messageTemplate: Joi.string().min(10).max(500).required(),
+  estimatedImpact: Joi.number().min(0).optional(),
+  cooldownMinutes: Joi.number().min(0).max(24 * 60).optional()
+});
+
+// CAP 1.2 validation schema (applied to the parsed XML document)
+const capDateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[-+]\d{2}:\d{2}$/;
+const capPoint = '-?\\d+(\\.\\d+)?,-?\\d+(\\.\\d+)?';
+
+const capAreaSchema = Joi.object({
+  areaDesc: Joi.string().required(),
+  polygon: Joi.array().items(
+    Joi.string().trim().pattern(new RegExp(`^${capPoint}(\\s+${capPoint}){3,}$`))
+  ).optional(),
+  circle: Joi.array().items(
+    Joi.string().trim().pattern(new RegExp(`^${capPoint}\\s+\\d+(\\.\\d+)?$`))
+  ).optional(),
+  geocode: Joi.array().items(
+    Joi.object({
+      valueName: Joi.string().required(),
+      value: Joi.string().required()
+    })
+  ).optional()
+}).unknown(true);
+
+const capInfoSchema = Joi.object({
+  language: Joi.string().optional(),
+  category: Joi.array().items(
+    Joi.string().valid('Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other')
+  ).min(1).required(),
+  event: Joi.string().required(),
+  urgency: Joi.string().valid('Immediate', 'Expected', 'Future', 'Past', 'Unknown').required(),
+  severity: Joi.string().valid('Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown').required(),
+  certainty: Joi.string().valid('Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown').required(),
+  effective: Joi.string().pattern(capDateTime).optional(),
+  onset: Joi.string().pattern(capDateTime).optional(),
+  expires: Joi.string().pattern(capDateTime).optional(),
+  area: Joi.array().items(capAreaSchema).optional()
+}).unknown(true);
+
+const capAlertSchema = Joi.object({
+  identifier: Joi.string().pattern(/^[^\s,<&]+$/).required(),
+  sender: Joi.string().pattern(/^[^\s,<&]+$/).required(),
+  sent: Joi.string().pattern(capDateTime).required(),
+  status: Joi.string().valid('Actual', 'Exercise', 'System', 'Test', 'Draft').required(),
+  msgType: Joi.string().valid('Alert', 'Update', 'Cancel', 'Ack', 'Error').required(),
+  scope: Joi.string().valid('Public', 'Restricted', 'Private').required(),
+  references: Joi.string().optional(),
+  info: Joi.when('msgType', {
+    is: 'Cancel',
+    then: Joi.array().items(capInfoSchema).optional(),
+    otherwise: Joi.array().items(capInfoSchema).min(1).required()
+  })
+}).unknown(true);
+
 // Validation functions
 const validateAlert = (data) => {
   return alertSchema.validate(data);
@@ -100,6 +262,14 @@ const validateSensor = (data) => {
   return sensorSchema.validate(data);
 };
 
+const validateDerivedSensor = (data) => {
+  return derivedSensorSchema.validate(data);
+};
+
+const validateDerivedSensorUpdate = (data) => {
+  return Joi.object(derivedSensorFields).min(1).validate(data);
+};
+
 const validateTeam = (data) => {
   return teamSchema.validate(data);
 };
@@ -107,14 +277,242 @@ const validateTeam = (data) => {
 const validateSensorReading = (data) => {
   const schema = Joi.object({
     value: Joi.number().required(),
-    quality: Joi.string().valid('good', 'fair', 'poor').optional()
+    quality: Joi.string().valid('good', 'fair', 'poor').optional(),
+    timestamp: Joi.date().optional(),
+    batteryLevel: Joi.number().min(0).max(100).optional()
   });
   return schema.validate(data);
 };
 
+const validateHeartbeat = (data) => {
+  const schema = Joi.object({
+    batteryLevel: Joi.number().min(0).max(100).optional(),
+    // Devices may declare how often they report, in seconds
+    expectedInterval: Joi.number().integer().min(1).max(86400).optional()
+  });
+  return schema.validate(data);
+};
+
+// Device credential for a sensor; gateway credentials also cover gatewaySensors
+const validateDeviceCredential = (data) => {
+  const schema = Joi.object({
+    sensorId: Joi.string().trim().required(),
+    type: Joi.string().valid('hmac', 'api_key').default('hmac'),
+    label: Joi.string().max(100).allow('').optional(),
+    gatewaySensors: Joi.array().items(Joi.string().trim()).unique().default([])
+  });
+  return schema.validate(data);
+};
+
+// Rotation keeps the old credential working for graceMinutes (at most a week)
+const validateCredentialRotation = (data) => {
+  const schema = Joi.object({
+    graceMinutes: Joi.number().integer().min(0).max(10080).default(60)
+  });
+  return schema.validate(data);
+};
+
+const validateAnomalySettings = (data) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    zThreshold: Joi.number().min(1).max(10).allow(null).optional(),
+    alertOnPersistent: Joi.boolean().optional(),
+    persistReadings: Joi.number().integer().min(1).max(1000).optional()
+  }).min(1);
+  return schema.validate(data);
+};
+
+// River level prediction settings; upstream replaces the whole list
+const validatePredictionSettings = (data) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    model: Joi.string().valid('linear', 'exponential').optional(),
+    windowMinutes: Joi.number().integer().min(10).max(720).allow(null).optional(),
+    horizonMinutes: Joi.number().integer().min(15).max(1440).allow(null).optional(),
+    upstream: Joi.array().items(Joi.object({
+      sensorId: Joi.string().required(),
+      lagMinutes: Joi.number().integer().min(1).max(1440).required(),
+      factor: Joi.number().min(0).max(10).optional()
+    })).max(5).unique('sensorId').optional()
+  }).min(1);
+  return schema.validate(data);
+};
+
+// Reach of the river network between two water level gauges
+const validateRiverReach = (data) => {
+  const coordinates = Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  });
+  const schema = Joi.object({
+    river: Joi.string().min(2).max(100).required(),
+    upstreamSensorId: Joi.string().required(),
+    downstreamSensorId: Joi.string().required(),
+    travelTimeMinutes: Joi.number().min(1).max(7 * 24 * 60).required(),
+    attenuation: Joi.number().min(0).max(10).optional(),
+    path: Joi.array().items(
+      Joi.array().ordered(Joi.number().min(-180).max(180).required(), Joi.number().min(-90).max(90).required())
+    ).max(1000).optional(),
+    communities: Joi.array().items(Joi.object({
+      name: Joi.string().min(2).max(100).required(),
+      coordinates: coordinates.required(),
+      population: Joi.number().integer().min(0).optional()
+    })).max(100).optional()
+  });
+  return schema.validate(data);
+};
+
+// Curve a scenario track follows, over scenario minutes
+const scenarioCurveSchema = Joi.object({
+  type: Joi.string().valid('keyframes', 'diurnal', 'seismic').required(),
+  // keyframes: [minute, value] points, eased (smooth) or linear between them
+  points: Joi.array()
+    .items(Joi.array().ordered(Joi.number().min(0).required(), Joi.number().required()))
+    .min(1)
+    .when('type', { is: 'keyframes', then: Joi.required(), otherwise: Joi.forbidden() }),
+  easing: Joi.string().valid('smooth', 'linear').when('type', { is: 'keyframes', otherwise: Joi.forbidden() }),
+  // diurnal: daily minimum and maximum, reached at minHour and peakHour
+  days: Joi.array().items(Joi.object({
+    min: Joi.number().required(),
+    max: Joi.number().required()
+  })).min(1).when('type', { is: 'diurnal', then: Joi.required(), otherwise: Joi.forbidden() }),
+  minHour: Joi.number().min(0).max(23).when('type', { is: 'diurnal', otherwise: Joi.forbidden() }),
+  peakHour: Joi.number().min(0).max(23).when('type', { is: 'diurnal', otherwise: Joi.forbidden() }),
+  // seismic: mainshock and aftershock sequence over a background level
+  mainshock: Joi.object({
+    at: Joi.number().min(0).required(),
+    magnitude: Joi.number().min(0).max(10).required()
+  }).when('type', { is: 'seismic', then: Joi.required(), otherwise: Joi.forbidden() }),
+  aftershocks: Joi.object({
+    count: Joi.number().integer().min(0).max(500).required(),
+    withinMinutes: Joi.number().min(1).required(),
+    minMagnitude: Joi.number().min(0).max(10).required(),
+    maxMagnitude: Joi.number().min(0).max(10).optional()
+  }).when('type', { is: 'seismic', otherwise: Joi.forbidden() }),
+  background: Joi.array().ordered(Joi.number().required(), Joi.number().required())
+    .when('type', { is: 'seismic', otherwise: Joi.forbidden() }),
+  shakingMinutes: Joi.number().min(0.1).when('type', { is: 'seismic', otherwise: Joi.forbidden() })
+});
+
+// Scripted scenario for the simulator (backend/scenarios/*.json); tracks drive one sensor or
+// every active sensor of a type
+const scenarioSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  name: Joi.string().min(3).max(100).required(),
+  description: Joi.string().max(1000).allow('').optional(),
+  durationMinutes: Joi.number().min(1).max(31 * 24 * 60).required(),
+  defaultSpeed: Joi.number().min(1).max(3600).default(60),
+  // Local hour at scenario minute 0 (for diurnal curves)
+  startHour: Joi.number().min(0).max(23).default(0),
+  seed: Joi.number().integer().min(0).default(1),
+  tracks: Joi.array().items(Joi.object({
+    sensorId: Joi.string(),
+    sensorType: Joi.string().valid(...SENSOR_TYPES),
+    curve: scenarioCurveSchema.required(),
+    // Random variation of up to +/- noise on each reading
+    noise: Joi.number().min(0).optional(),
+    min: Joi.number().optional(),
+    max: Joi.number().optional()
+  }).xor('sensorId', 'sensorType')).min(1).required()
+});
+
+const validateScenario = (data) => {
+  return scenarioSchema.validate(data);
+};
+
+const validateScenarioStart = (data) => {
+  const schema = Joi.object({
+    speed: Joi.number().min(1).max(3600).optional()
+  });
+  return schema.validate(data);
+};
+
+// Historical replay of a past window of readings; speed is simulated time per real time
+const validateReplay = (data) => {
+  const schema = Joi.object({
+    from: Joi.date().required(),
+    to: Joi.date().greater(Joi.ref('from')).max('now').required(),
+    speed: Joi.number().min(1).max(100000).optional(),
+    sensorIds: Joi.array().items(Joi.string()).min(1).unique().optional()
+  });
+  return schema.validate(data);
+};
+
+// Item of a batch upload; buffered readings must carry the time they were taken
+const validateBatchReading = (data) => {
+  const schema = Joi.object({
+    sensorId: Joi.string().required(),
+    value: Joi.number().required(),
+    quality: Joi.string().valid('good', 'fair', 'poor').optional(),
+    timestamp: Joi.date().required(),
+    batteryLevel: Joi.number().min(0).max(100).optional()
+  });
+  return schema.validate(data);
+};
+
+// Gain (calibrationFactor), offset and an optional piecewise curve of { raw, value } points.
+// A curve needs two points to interpolate between; an empty one clears it.
+const calibrationFields = {
+  calibrationFactor: Joi.number().invalid(0).optional(),
+  offset: Joi.number().optional(),
+  curve: Joi.array().items(Joi.object({
+    raw: Joi.number().required(),
+    value: Joi.number().required()
+  })).unique('raw').custom((curve, helpers) => (
+    curve.length === 1 ? helpers.message('"curve" must have at least 2 points; use offset for a single correction') : curve
+  )).optional(),
+  notes: Joi.string().max(500).allow('').optional()
+};
+
+const validateCalibration = (data) => {
+  const schema = Joi.object({
+    ...calibrationFields,
+    intervalDays: Joi.number().integer().min(1).max(3650).optional()
+  });
+  return schema.validate(data);
+};
+
+const validateCalibrationReapply = (data) => {
+  const schema = Joi.object({
+    ...calibrationFields,
+    from: Joi.date().required(),
+    to: Joi.date().min(Joi.ref('from')).optional()
+  });
+  return schema.validate(data);
+};
+
+const validateEscalationPolicy = (data) => {
+  return escalationPolicySchema.validate(data);
+};
+
+const validateAlertRule = (data) => {
+  return alertRuleSchema.validate(data);
+};
+
+const validateCapAlert = (data) => {
+  return capAlertSchema.validate(data, { abortEarly: false });
+};
+
 module.exports = {
   validateAlert,
+  validateAlertRule,
+  validateCapAlert,
   validateSensor,
+  validateDerivedSensor,
+  validateDerivedSensorUpdate,
   validateTeam,
-  validateSensorReading
+  validateSensorReading,
+  validateBatchReading,
+  validateHeartbeat,
+  validateDeviceCredential,
+  validateCredentialRotation,
+  validateAnomalySettings,
+  validatePredictionSettings,
+  validateRiverReach,
+  validateScenario,
+  validateScenarioStart,
+  validateReplay,
+  validateCalibration,
+  validateCalibrationReapply,
+  validateEscalationPolicy
 };
\ No newline at end of file